@@ -0,0 +1,62 @@
+/**
+ * @file Opening the next document for a viewer's load().
+ *
+ * Both viewers swap documents the same way: the new book is opened through
+ * the `loadBook` option while the old pages stay up, and only once it is in
+ * hand are the old pages released and the new ones laid out. A load that
+ * fails or is cancelled leaves the viewer showing the document it had.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import { isAbortError } from "./errors.js";
+
+/**
+ * Opens a viewer's next document, cancelling any load still running.
+ *
+ * The caller's signal is followed only while the load runs, so a signal
+ * kept for the life of the page doesn't collect a listener per load.
+ * Failures other than cancellations are reported through the viewer's
+ * `error` event before they are rethrown.
+ *
+ * @param {Object} viewer - The viewer; it needs the `loadBook` option, `_loadController` and `_reportError()`
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob|File} source - The PDF to open
+ * @param {AbortSignal} [signal] - Cancels the load
+ * @returns {Promise<Object|null>} The new book, or null if a later load or destroy() took over while it opened
+ * @throws {Error} If the book can't be opened, or an `AbortError` if the load was cancelled
+ *
+ * @example
+ * const book = await openNextBook(this, source, signal);
+ * if (!book) return this;
+ * this._releasePages();
+ */
+export async function openNextBook(viewer, source, signal) {
+  // Only the most recent load wins
+  if (viewer._loadController) viewer._loadController.abort();
+  const controller = new AbortController();
+  viewer._loadController = controller;
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener("abort", abort, { once: true });
+  }
+
+  let book;
+  try {
+    book = await viewer.options.loadBook(source, { signal: controller.signal });
+  } catch (error) {
+    if (!isAbortError(error)) viewer._reportError(error);
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener("abort", abort);
+    if (viewer._loadController === controller) viewer._loadController = null;
+  }
+  if (controller.signal.aborted) {
+    // Superseded by another load or destroy() while the book was created
+    if (book.destroy) book.destroy();
+    return null;
+  }
+  return book;
+}
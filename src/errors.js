@@ -0,0 +1,243 @@
+/**
+ * @file Error types and helpers shared by the PDF-A-go-go loading pipeline.
+ *
+ * Every failure surfaced by the library is an instance of one of the classes
+ * below, each with a stable `code` that embedders can branch on (the message
+ * text is meant for humans and may change). Errors coming from `fetch` or
+ * PDF.js are converted with {@link toPdfError}.
+ *
+ * Cancelled loads are the exception: they reject with a standard
+ * `DOMException` named `AbortError`, the same error `fetch` uses, so a
+ * cancellation can be told apart from a real failure with a single check.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+/**
+ * Create the error used to reject an aborted load.
+ *
+ * @param {string} [message="PDF loading was aborted"] - Human readable description
+ * @returns {DOMException} A DOMException whose name is `AbortError`
+ *
+ * @example
+ * signal.addEventListener('abort', () => reject(createAbortError()));
+ */
+export function createAbortError(message = "PDF loading was aborted") {
+  return new DOMException(message, "AbortError");
+}
+
+/**
+ * Check whether an error represents a cancelled operation.
+ *
+ * @param {*} error - The value a promise rejected with
+ * @returns {boolean} True for `AbortError`s from this library or from `fetch`
+ *
+ * @example
+ * loadPdfWithProgress(url, onProgress, { signal }).catch((err) => {
+ *   if (isAbortError(err)) return; // the user moved on, nothing to report
+ *   showError(err, container);
+ * });
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === "AbortError";
+}
+
+/**
+ * Throw an `AbortError` if the given signal has already been aborted.
+ *
+ * @param {AbortSignal} [signal] - Optional signal to check
+ * @throws {DOMException} When the signal is aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Base class for all errors reported by PDF-A-go-go.
+ *
+ * @class PdfAGoGoError
+ * @extends Error
+ * @property {string} code - Stable, machine readable error code
+ * @property {*} [cause] - The underlying error, if any
+ *
+ * @example
+ * viewer.on('error', (err) => {
+ *   if (err.code === 'RENDER_FAILED') reportToMonitoring(err);
+ * });
+ */
+export class PdfAGoGoError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} [options={}] - Extra details
+   * @param {*} [options.cause] - The underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "PdfAGoGoError";
+    this.code = "UNKNOWN";
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+
+  /**
+   * Whether trying the same operation again may succeed.
+   * @type {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The PDF could not be fetched because of a network failure (offline, DNS,
+ * CORS, connection reset...). Always retryable.
+ */
+export class NetworkError extends PdfAGoGoError {
+  constructor(message = "Network request failed", options = {}) {
+    super(message, options);
+    this.name = "NetworkError";
+    this.code = "NETWORK_ERROR";
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The server answered with an HTTP error status. Server errors, timeouts
+ * and rate limiting (5xx, 408, 429) are retryable.
+ *
+ * @property {number} status - The HTTP status code
+ */
+export class HttpError extends PdfAGoGoError {
+  /**
+   * @param {number} status - The HTTP status code
+   * @param {string} [message] - Human readable description
+   * @param {Object} [options={}] - Extra details
+   */
+  constructor(status, message = `HTTP ${status}`, options = {}) {
+    super(message, options);
+    this.name = "HttpError";
+    this.code = "HTTP_ERROR";
+    this.status = status;
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
+
+/** The file is not a PDF at all (e.g. an HTML page or an image). */
+export class NotPdfError extends PdfAGoGoError {
+  constructor(message = "The file is not a PDF", options = {}) {
+    super(message, options);
+    this.name = "NotPdfError";
+    this.code = "NOT_PDF";
+  }
+}
+
+/**
+ * The PDF is encrypted and no (correct) password was given.
+ *
+ * @property {boolean} incorrect - Whether a password was given but was wrong
+ */
+export class PasswordError extends PdfAGoGoError {
+  constructor(message = "A password is required to open this PDF", options = {}) {
+    super(message, options);
+    this.name = "PasswordError";
+    this.code = "PASSWORD";
+    this.incorrect = Boolean(options.incorrect);
+  }
+}
+
+/** The file looks like a PDF but is damaged or truncated. */
+export class CorruptPdfError extends PdfAGoGoError {
+  constructor(message = "The PDF file is corrupt", options = {}) {
+    super(message, options);
+    this.name = "CorruptPdfError";
+    this.code = "CORRUPT_PDF";
+  }
+}
+
+/** An HTML download page never led to a PDF within the download timeout. */
+export class HtmlRedirectTimeoutError extends PdfAGoGoError {
+  /**
+   * @param {number} timeout - The timeout that expired, in milliseconds
+   * @param {Object} [options={}] - Extra details
+   */
+  constructor(timeout, options = {}) {
+    super(`Download timeout after ${timeout}ms - no redirect detected`, options);
+    this.name = "HtmlRedirectTimeoutError";
+    this.code = "HTML_REDIRECT_TIMEOUT";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * A page of a successfully loaded PDF could not be rendered.
+ *
+ * @property {number} pageIndex - Zero-based index of the page that failed
+ */
+export class RenderError extends PdfAGoGoError {
+  /**
+   * @param {number} pageIndex - Zero-based index of the page that failed
+   * @param {Object} [options={}] - Extra details
+   */
+  constructor(pageIndex, options = {}) {
+    super(`Failed to render page ${pageIndex + 1}`, options);
+    this.name = "RenderError";
+    this.code = "RENDER_FAILED";
+    this.pageIndex = pageIndex;
+  }
+}
+
+/**
+ * Convert any error thrown while loading a PDF into a {@link PdfAGoGoError}.
+ *
+ * Errors that are already typed, and `AbortError`s, are returned unchanged.
+ * PDF.js exceptions are recognised by name; anything else becomes a generic
+ * {@link PdfAGoGoError} with the code `UNKNOWN`.
+ *
+ * @param {*} error - The error to convert
+ * @param {Object} [context={}] - What the loader knows about the file
+ * @param {boolean|null} [context.looksLikePdf=null] - Whether the file started with a PDF signature, if known
+ * @returns {PdfAGoGoError|DOMException} A typed error
+ *
+ * @example
+ * try {
+ *   await loadingTask.promise;
+ * } catch (err) {
+ *   throw toPdfError(err, { looksLikePdf: true });
+ * }
+ */
+export function toPdfError(error, context = {}) {
+  if (error instanceof PdfAGoGoError || isAbortError(error)) {
+    return error;
+  }
+  const name = error && error.name;
+  const message = (error && error.message) || String(error);
+  switch (name) {
+    case "PasswordException":
+      // PDF.js uses code 2 (PasswordResponses.INCORRECT_PASSWORD) for wrong passwords
+      return new PasswordError(undefined, { cause: error, incorrect: error.code === 2 });
+    case "ResponseException":
+    case "MissingPDFException":
+    case "UnexpectedResponseException":
+      return error.status
+        ? new HttpError(error.status, message, { cause: error })
+        : new NetworkError(message, { cause: error });
+    case "InvalidPDFException":
+      return context.looksLikePdf === false
+        ? new NotPdfError(undefined, { cause: error })
+        : new CorruptPdfError(message, { cause: error });
+    case "UnknownErrorException":
+    case "FormatError":
+      return new CorruptPdfError(message, { cause: error });
+    default:
+      return new PdfAGoGoError(message, { cause: error });
+  }
+}
@@ -0,0 +1,1067 @@
+/**
+ * @file Flipbook Viewer: page-turn presentation mode for PDF-A-go-go.
+ *
+ * This module provides the FlipbookViewer class, which shows a PDF as a book
+ * rather than a strip of pages:
+ * - The cover on its own, then facing pages side by side as spreads
+ * - Animated page turns, with an instant switch for reduced motion
+ * - Drag-to-turn with the mouse, a pen or a finger
+ * - Single pages on narrow viewers
+ *
+ * It is built on the same `book` interface as ScrollablePdfViewer and offers
+ * the same navigation methods (`go_to_page`, `flip_forward`, `flip_back`)
+ * and events (`seen`, `initialRenderComplete`, …), so the UI controls work
+ * with either one. Select it with `data-viewer="flipbook"` on the container,
+ * or `viewer: 'flipbook'` for `createViewer`.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import EventEmitter from "events";
+import { RenderError, isAbortError } from "./errors.js";
+import { canRenderOffscreen, renderPageImage, createHighlightLayer } from "./pageRender.js";
+import { openNextBook } from "./documentLoad.js";
+
+/** @type {Array<string>} Ways of pairing pages into spreads ("none" shows one page at a time) */
+const SPREAD_MODES = ["none", "odd", "even"];
+
+/** @type {number} Duration in ms of a complete page turn */
+const TURN_DURATION = 600;
+
+/** @type {number} Viewer width in px at or below which single pages are shown */
+const SINGLE_PAGE_BREAKPOINT = 768;
+
+/** @type {number} Space in px kept between the book and the viewer's edges */
+const BOOK_PADDING = 16;
+
+/** @type {number} Width-to-height ratio assumed until the first page has rendered */
+const DEFAULT_PAGE_ASPECT = 0.7;
+
+/** @type {number} Distance in px a pointer must move before a drag starts turning the page */
+const DRAG_THRESHOLD = 6;
+
+/** @type {number} How far through a dragged turn (0–1) the page must be to complete on release */
+const DRAG_COMPLETE_PROGRESS = 0.35;
+
+/** @type {number} Spreads kept rendered on either side of the current one */
+const PRELOAD_SPREADS = 1;
+
+/**
+ * Page-turn viewer that presents a PDF as a book.
+ *
+ * Pages are drawn into the left and right halves of an open book. Turning a
+ * page lifts a leaf off one half and rotates it around the spine, showing the
+ * next (or previous) page on its back, while the page beneath is already
+ * revealed. Dragging a page moves the leaf with the pointer; releasing it
+ * finishes the turn or lets the page fall back.
+ *
+ * @class FlipbookViewer
+ * @extends EventEmitter
+ *
+ * @fires FlipbookViewer#seen - When the shown page changes (1-based page number)
+ * @fires FlipbookViewer#visiblePages - When the pages on screen change (0-based indices)
+ * @fires FlipbookViewer#initialRenderComplete - When the first pages are rendered
+ * @fires FlipbookViewer#documentChanged - When load() has replaced the document
+ * @fires FlipbookViewer#error - When a page fails to render
+ * @fires FlipbookViewer#destroy - When the viewer is destroyed
+ *
+ * @example
+ * const viewer = new FlipbookViewer({
+ *   app: document.getElementById('pdf-container'),
+ *   book: pdfBook,
+ *   options: { spread: 'even' }
+ * });
+ * viewer.on('seen', (page) => console.log(`Showing page ${page}`));
+ * viewer.flip_forward();
+ */
+export class FlipbookViewer extends EventEmitter {
+  /**
+   * Create a new FlipbookViewer instance.
+   *
+   * @param {Object} config - Configuration object
+   * @param {HTMLElement} config.app - Container element for the viewer
+   * @param {Object} config.book - PDF book object with numPages() and getPage() methods
+   * @param {Object} [config.options={}] - Viewer options
+   * @param {string} [config.options.spread="even"] - "even" (cover on its own, then 2–3, 4–5, …), "odd" (1–2, 3–4, …) or "none" (one page at a time)
+   * @param {boolean} [config.options.animate=true] - Animate page turns; they are instant anyway when the reader prefers reduced motion
+   * @param {number} [config.options.scale] - Pixel ratio to render at (defaults to the device pixel ratio)
+   * @param {boolean} [config.options.offscreenRendering=true] - Render pages into an `OffscreenCanvas` and keep them as `ImageBitmap`s, where supported
+   */
+  constructor({ app, book, options }) {
+    super();
+
+    /** @type {HTMLElement} The main container element */
+    this.app = app;
+
+    /** @type {Object} PDF book object providing page access */
+    this.book = book;
+
+    /** @type {Object} Configuration options for the viewer */
+    this.options = options || {};
+
+    /** @type {number} Total number of pages in the PDF */
+    this.pageCount = book.numPages();
+
+    /** @type {number} Currently shown page (0-based index); with spreads, any page of the shown spread */
+    this.currentPage = 0;
+
+    /** @type {Object<number, Array<Object>>} Search highlight boxes keyed by page index */
+    this.highlights = {};
+
+    /** @type {string} Spread mode: "even" (cover shown on its own), "odd" or "none" */
+    this.spread = SPREAD_MODES.includes(this.options.spread) ? this.options.spread : "even";
+
+    /** @type {boolean} Whether spreads are shown right now; they fall back to single pages on narrow viewers */
+    this.spreadActive = false;
+
+    /** @type {Object<number, ImageBitmap|HTMLCanvasElement>} Rendered page bitmaps, at the size of a page slot, keyed by page index */
+    this.pageImages = {};
+
+    /** @type {Object<number, Object>} Page viewports at scale 1, used to place search highlights */
+    this.pageViewports = {};
+
+    /** @type {boolean} Whether pages are rendered off screen into ImageBitmaps */
+    this.offscreenRendering = this.options.offscreenRendering !== false && canRenderOffscreen();
+
+    /** @type {Object<number, Promise>} Renders in progress, keyed by page index */
+    this._pendingRenders = {};
+
+    /** @type {number} Width-to-height ratio of the pages, taken from the first rendered page */
+    this.pageAspect = DEFAULT_PAGE_ASPECT;
+
+    /** @type {{width: number, height: number}|null} Size of the first page in PDF points */
+    this.pageSize = null;
+
+    /** @type {boolean} Whether page turns happen without animation */
+    this.reducedMotion = this.options.animate === false || prefersReducedMotion();
+
+    /** @type {Object|null} The page turn in progress, see _startTurn() */
+    this._turn = null;
+
+    /** @type {Object|null} The pointer drag in progress */
+    this._drag = null;
+
+    /** @type {Array<Object>} Listeners added to `window`/`document`, removed by destroy() */
+    this._listeners = [];
+
+    /** @type {boolean} Whether destroy() has been called */
+    this.destroyed = false;
+
+    /** @type {AbortController|null} Cancels the document being opened by load() */
+    this._loadController = null;
+
+    /** @type {number|null} Timer for relayout after resizing */
+    this._resizeTimeout = null;
+
+    /** @type {Set<number>} Pages currently on screen */
+    this._visiblePages = new Set();
+
+    // The stage fills the container and centers the book
+    /** @type {HTMLElement} Element filling the container */
+    this.stage = document.createElement("div");
+    this.stage.className = "pdfagogo-flipbook";
+
+    /** @type {HTMLElement} The open book: two page slots side by side */
+    this.bookElement = document.createElement("div");
+    this.bookElement.className = "pdfagogo-flipbook-book";
+
+    /** @type {{left: HTMLElement, right: HTMLElement}} The left and right page slots */
+    this.slots = {
+      left: this._createPage("pdfagogo-flipbook-page pdfagogo-flipbook-page-left"),
+      right: this._createPage("pdfagogo-flipbook-page pdfagogo-flipbook-page-right")
+    };
+    this.bookElement.appendChild(this.slots.left);
+    this.bookElement.appendChild(this.slots.right);
+    this.stage.appendChild(this.bookElement);
+    this.app.appendChild(this.stage);
+
+    this._setupEventHandlers();
+    this._initializePages();
+  }
+
+  /**
+   * Creates a page element holding a canvas.
+   *
+   * @param {string} className - Classes of the page element
+   * @returns {HTMLElement} The page element
+   * @private
+   */
+  _createPage(className) {
+    const page = document.createElement("div");
+    page.className = className;
+    const canvas = document.createElement("canvas");
+    canvas.className = "pdfagogo-page-canvas";
+    page.appendChild(canvas);
+    return page;
+  }
+
+  /**
+   * Adds the resize handler and drag-to-turn.
+   *
+   * @private
+   */
+  _setupEventHandlers() {
+    this._listen(window, "resize", () => {
+      if (this._resizeTimeout) clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = setTimeout(() => this.refit(), 150);
+    });
+    this._setupDragToTurn();
+  }
+
+  /**
+   * Fit the book to the viewer's size again, straight away.
+   *
+   * The viewer refits by itself shortly after the window is resized; call
+   * this when only the viewer's own room changed, e.g. after its container
+   * was resized.
+   *
+   * @returns {Promise<void>} Resolves once the book is laid out again
+   */
+  refit() {
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = null;
+    }
+    if (this.destroyed) return Promise.resolve();
+    const previousHeight = this.pageBox.height;
+    this._layout();
+    // Pages rendered for a different size would look blurry or waste memory
+    if (this.pageBox.height !== previousHeight) {
+      Object.keys(this.pageImages).forEach(key => this._releasePage(parseInt(key, 10)));
+    }
+    this._showSpread(this.currentPage);
+    return Promise.resolve();
+  }
+
+  /**
+   * Adds an event listener that destroy() removes again.
+   *
+   * @param {EventTarget} target - The target to listen on
+   * @param {string} type - The event type
+   * @param {Function} handler - The event handler
+   * @param {Object} [options] - Options for `addEventListener`
+   * @private
+   */
+  _listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this._listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Lays out the book and shows the first pages.
+   *
+   * @private
+   * @async
+   * @fires FlipbookViewer#initialRenderComplete
+   */
+  async _initializePages() {
+    this._layout();
+    if (this.pageCount > 0) {
+      // Learn the page shape before sizing the book around it
+      await this._getPage(0);
+      if (this.destroyed) return;
+      this._layout();
+    }
+    await this._showSpread(this.currentPage);
+    if (this.destroyed) return;
+    this.emit("initialRenderComplete");
+  }
+
+  /**
+   * Sizes the book to fit the container, choosing between spreads and
+   * single pages for the available width.
+   *
+   * @fires FlipbookViewer#spreadChanged
+   * @private
+   */
+  _layout() {
+    const width = (this.app.clientWidth || 800) - BOOK_PADDING * 2;
+    const height = (this.app.clientHeight || 600) - BOOK_PADDING * 2;
+
+    const wasActive = this.spreadActive;
+    this.spreadActive = this.spread !== "none" && this.app.clientWidth > SINGLE_PAGE_BREAKPOINT;
+    const columns = this.spreadActive ? 2 : 1;
+
+    let pageHeight = Math.max(height, 50);
+    let pageWidth = pageHeight * this.pageAspect;
+    if (pageWidth * columns > width) {
+      pageWidth = Math.max(width, 50) / columns;
+      pageHeight = pageWidth / this.pageAspect;
+    }
+
+    /** @type {{width: number, height: number}} Size of one page slot in CSS pixels */
+    this.pageBox = { width: Math.floor(pageWidth), height: Math.floor(pageHeight) };
+    this.bookElement.style.width = this.pageBox.width * columns + "px";
+    this.bookElement.style.height = this.pageBox.height + "px";
+    this.bookElement.classList.toggle("pdfagogo-flipbook-single", !this.spreadActive);
+
+    if (this.spreadActive !== wasActive) {
+      this.emit("spreadChanged", { spread: this.spread, active: this.spreadActive });
+    }
+  }
+
+  /**
+   * Lists the pages shown together with a page: both pages of its spread,
+   * or just the page itself when spreads are off or have fallen back to
+   * single pages.
+   *
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Array<number>} Zero-based indices of the pages in the spread, in order
+   *
+   * @example
+   * // spread: "even" (cover on its own)
+   * viewer.getSpreadPages(0); // [0]
+   * viewer.getSpreadPages(4); // [3, 4] – pages 4–5
+   */
+  getSpreadPages(pageIndex) {
+    if (!this.spreadActive) return [pageIndex];
+    const offset = this.spread === "even" ? 1 : 0;
+    if (pageIndex < offset) return [pageIndex];
+    const first = pageIndex - ((pageIndex - offset) % 2);
+    return first + 1 < this.pageCount ? [first, first + 1] : [first];
+  }
+
+  /**
+   * Works out which page goes in which half of the book for a spread.
+   *
+   * A cover shown on its own sits on the right, like the front of a closed
+   * book; a last page on its own sits on the left, like the back. Single
+   * pages use the right slot only.
+   *
+   * @param {Array<number>} spread - Pages of the spread, from getSpreadPages()
+   * @returns {{left: number|null, right: number|null}} Page index per slot
+   * @private
+   */
+  _getSlotPages(spread) {
+    if (!this.spreadActive) return { left: null, right: spread[0] };
+    if (spread.length === 2) return { left: spread[0], right: spread[1] };
+    if (spread[0] === 0 && this.spread === "even") return { left: null, right: 0 };
+    return { left: spread[0], right: null };
+  }
+
+  /**
+   * Shows the spread holding a page without animation.
+   *
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Promise<void>} Resolves once the pages are drawn
+   * @private
+   */
+  _showSpread(pageIndex) {
+    const spread = this.getSpreadPages(pageIndex);
+    const slots = this._getSlotPages(spread);
+    this._setVisiblePages(spread);
+    const drawn = Promise.all([
+      this._drawPage(this.slots.left, slots.left),
+      this._drawPage(this.slots.right, slots.right)
+    ]);
+    this._preloadAround(spread);
+    return drawn;
+  }
+
+  /**
+   * Draws a page into a page element, rendering it first if needed.
+   *
+   * @param {HTMLElement} element - A page slot or a face of the turning leaf
+   * @param {number|null} ndx - Zero-based page index, or null for an empty slot
+   * @returns {Promise<void>} Resolves once the page is drawn
+   * @private
+   */
+  async _drawPage(element, ndx) {
+    const canvas = element.querySelector("canvas");
+    const empty = ndx === null || ndx === undefined;
+    element.dataset.page = empty ? "" : String(ndx + 1);
+    element.classList.toggle("pdfagogo-flipbook-empty", empty);
+    placeInSlot(canvas, { left: 0, top: 0, ...this.pageBox });
+    if (empty) {
+      canvas.width = canvas.height = 0;
+      this._drawHighlights(element, null);
+      return;
+    }
+    canvas.setAttribute("aria-label", `Page ${ndx + 1}`);
+
+    const img = this.pageImages[ndx] || await this._renderPage(ndx);
+    // The element may show another page by the time the render finishes
+    if (this.destroyed || !img || element.dataset.page !== String(ndx + 1)) return;
+
+    // A page shaped differently from the first keeps its own shape, centred
+    // in the slot with the paper showing around it
+    const box = this._getPageBox(ndx);
+    placeInSlot(canvas, box);
+    // The bitmap was rendered at this size, so this is a copy, not a rescale
+    const { width, height } = this._getBitmapSize(ndx);
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { alpha: false });
+    ctx.drawImage(img, 0, 0, width, height);
+    this._drawHighlights(element, ndx);
+  }
+
+  /**
+   * Lays a page's search highlights over a page element, replacing any
+   * shown before. Highlights are never drawn into the page bitmaps.
+   *
+   * @param {HTMLElement} element - A page slot or a face of the turning leaf
+   * @param {number|null} ndx - Zero-based page index, or null for an empty slot
+   * @private
+   */
+  _drawHighlights(element, ndx) {
+    const previous = element.querySelector(".pdfagogo-highlight-layer");
+    if (previous) previous.remove();
+    if (ndx === null || ndx === undefined) return;
+
+    const highlights = this.highlights[ndx];
+    const viewport = this.pageViewports[ndx];
+    if (!highlights || !highlights.length || !viewport) return;
+    const layer = createHighlightLayer(highlights, viewport);
+    placeInSlot(layer, this._getPageBox(ndx));
+    element.appendChild(layer);
+  }
+
+  /**
+   * Renders a page through the book, once, and keeps its bitmap.
+   *
+   * Pages are rendered at the exact size they take up in a page slot, so
+   * drawing them into a slot or onto a turning leaf never rescales them.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {Promise<ImageBitmap|HTMLCanvasElement|null>} The page bitmap, or null if it failed
+   * @private
+   */
+  _renderPage(ndx) {
+    if (this.pageImages[ndx]) return Promise.resolve(this.pageImages[ndx]);
+    if (this._pendingRenders[ndx]) return this._pendingRenders[ndx];
+
+    const book = this.book;
+    const render = this._getPage(ndx)
+      .then(pg => pg && renderPageImage(pg, {
+        ...this._getBitmapSize(ndx),
+        offscreen: this.offscreenRendering
+      }).promise)
+      .then(img => {
+        delete this._pendingRenders[ndx];
+        // The viewer may have been destroyed, or given a new document, meanwhile
+        if (!img || this.destroyed || this.book !== book) return null;
+        this.pageImages[ndx] = img;
+        return img;
+      }, error => {
+        delete this._pendingRenders[ndx];
+        if (!this.destroyed && this.book === book && !isAbortError(error)) {
+          this._reportError(new RenderError(ndx, { cause: error }));
+        }
+        return null;
+      });
+    this._pendingRenders[ndx] = render;
+    return render;
+  }
+
+  /**
+   * Gets a page from the book and notes its size.
+   *
+   * The first page sets the shape of the book.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {Promise<Object|null>} The page, or null if the viewer moved on or the book failed (the failure is reported)
+   * @private
+   */
+  _getPage(ndx) {
+    const book = this.book;
+    return new Promise((resolve) => {
+      book.getPage(ndx, (err, pg) => {
+        // The viewer may have been destroyed, or given a new document, meanwhile
+        if (this.destroyed || this.book !== book) {
+          resolve(null);
+          return;
+        }
+        if (err) {
+          this._reportError(new RenderError(ndx, { cause: err }));
+          resolve(null);
+          return;
+        }
+        if (pg.getViewport) {
+          const viewport = pg.getViewport({ scale: 1 });
+          this.pageViewports[ndx] = viewport;
+          if (!this.pageSize) this.pageSize = { width: viewport.width, height: viewport.height };
+        }
+        if (ndx === 0 && pg.width && pg.height) {
+          this.pageAspect = pg.width / pg.height;
+        }
+        resolve(pg);
+      });
+    });
+  }
+
+  /**
+   * Where a page sits in a page slot: as large as fits in its own shape,
+   * centred.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {{left: number, top: number, width: number, height: number}} The page's box in CSS pixels
+   * @private
+   */
+  _getPageBox(ndx) {
+    const viewport = this.pageViewports[ndx];
+    const aspect = viewport ? viewport.width / viewport.height : this.pageAspect;
+    const { width: slotWidth, height: slotHeight } = this.pageBox;
+    let width = slotWidth;
+    let height = Math.round(width / aspect);
+    if (height > slotHeight) {
+      height = slotHeight;
+      width = Math.round(height * aspect);
+    }
+    return {
+      left: Math.floor((slotWidth - width) / 2),
+      top: Math.floor((slotHeight - height) / 2),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Size of a page bitmap: the page's box in a slot, in device pixels.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {{width: number, height: number}} Width and height in device pixels
+   * @private
+   */
+  _getBitmapSize(ndx) {
+    const pixelRatio = this._getPixelRatio();
+    const { width, height } = this._getPageBox(ndx);
+    return {
+      width: Math.round(width * pixelRatio),
+      height: Math.round(height * pixelRatio)
+    };
+  }
+
+  /**
+   * Device pixels per CSS pixel to draw pages at.
+   *
+   * @returns {number} The pixel ratio
+   * @private
+   */
+  _getPixelRatio() {
+    return this.options.scale || window.devicePixelRatio || 1;
+  }
+
+  /**
+   * Renders the neighbouring spreads so turning to them is immediate, and
+   * releases pages that are further away.
+   *
+   * @param {Array<number>} spread - The shown spread
+   * @private
+   */
+  _preloadAround(spread) {
+    const keep = new Set(spread);
+    let before = spread[0];
+    let after = spread[spread.length - 1];
+    for (let i = 0; i < PRELOAD_SPREADS; i++) {
+      if (after + 1 < this.pageCount) {
+        const next = this.getSpreadPages(after + 1);
+        next.forEach(ndx => keep.add(ndx));
+        after = next[next.length - 1];
+      }
+      if (before > 0) {
+        const prev = this.getSpreadPages(before - 1);
+        prev.forEach(ndx => keep.add(ndx));
+        before = prev[0];
+      }
+    }
+
+    Object.keys(this.pageImages).forEach(key => {
+      const ndx = parseInt(key, 10);
+      if (!keep.has(ndx)) this._releasePage(ndx);
+    });
+    keep.forEach(ndx => {
+      if (!this.pageImages[ndx]) this._renderPage(ndx);
+    });
+  }
+
+  /**
+   * Drops the bitmap of a page.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _releasePage(ndx) {
+    const img = this.pageImages[ndx];
+    // Closing a bitmap or shrinking a canvas releases its memory right away
+    if (img && typeof img.close === "function") img.close();
+    else if (img && "getContext" in img) img.width = img.height = 0;
+    delete this.pageImages[ndx];
+  }
+
+  /**
+   * Records the pages on screen and reports them.
+   *
+   * @param {Array<number>} spread - Zero-based indices of the shown pages
+   * @fires FlipbookViewer#visiblePages
+   * @private
+   */
+  _setVisiblePages(spread) {
+    this._visiblePages = new Set(spread);
+    this.emit("visiblePages", spread.slice());
+  }
+
+  /**
+   * Turn to the next page, or the next spread.
+   */
+  flip_forward() {
+    const spread = this.getSpreadPages(this.currentPage);
+    const nextPage = spread[spread.length - 1] + 1;
+    if (nextPage < this.pageCount) {
+      this.go_to_page(nextPage);
+    }
+  }
+
+  /**
+   * Turn to the previous page, or the previous spread.
+   */
+  flip_back() {
+    const prevPage = this.getSpreadPages(this.currentPage)[0] - 1;
+    if (prevPage >= 0) {
+      this.go_to_page(this.getSpreadPages(prevPage)[0]);
+    }
+  }
+
+  /**
+   * Show a page. Turning to the neighbouring spread is animated; pages
+   * further away are shown straight away.
+   *
+   * @param {number} pageNum - Zero-based page index
+   * @fires FlipbookViewer#seen
+   */
+  go_to_page(pageNum) {
+    if (this.destroyed || pageNum < 0 || pageNum >= this.pageCount) return;
+
+    // Settle a turn that is still running before starting another; one
+    // still being dragged falls back
+    if (this._turn) this._finishTurn(this._turn.target === 1);
+    this._drag = null;
+
+    const current = this.getSpreadPages(this.currentPage);
+    const target = this.getSpreadPages(pageNum);
+    this.currentPage = pageNum;
+
+    if (target[0] !== current[0]) {
+      const adjacent = target[0] === current[current.length - 1] + 1 ||
+        target[target.length - 1] === current[0] - 1;
+      const turn = adjacent && !this.reducedMotion
+        ? this._startTurn(target[0] > current[0] ? 1 : -1, current, target)
+        : null;
+      if (turn) {
+        this._animateTurn(1);
+      } else {
+        this._showSpread(pageNum);
+      }
+    }
+    this.emit("seen", pageNum + 1);
+  }
+
+  /**
+   * Lifts a leaf off the book for a page turn between two spreads.
+   *
+   * Turning forward, the leaf starts over the right half showing the page
+   * there and ends over the left half showing the first page of the next
+   * spread on its back; the right half beneath already shows the next page.
+   * Turning back mirrors that. With single pages the leaf is the current
+   * page swinging away (forward) or the previous page swinging back in.
+   *
+   * @param {number} direction - 1 to turn forward, -1 to turn back
+   * @param {Array<number>} from - The shown spread
+   * @param {Array<number>} to - The spread being turned to
+   * @returns {Object} The turn: its leaf, start and end angles, the spreads it turns between, and the progress it is animating to (null while dragged)
+   * @private
+   */
+  _startTurn(direction, from, to) {
+    const fromSlots = this._getSlotPages(from);
+    const toSlots = this._getSlotPages(to);
+
+    const leaf = document.createElement("div");
+    leaf.className = "pdfagogo-flipbook-leaf";
+    const front = this._createPage("pdfagogo-flipbook-leaf-front");
+    const back = this._createPage("pdfagogo-flipbook-leaf-back");
+    leaf.appendChild(front);
+    leaf.appendChild(back);
+    leaf.style.width = this.pageBox.width + "px";
+    leaf.style.height = this.pageBox.height + "px";
+
+    let startAngle;
+    let endAngle;
+    if (!this.spreadActive) {
+      // The leaf covers the only slot and swings around its left edge
+      leaf.classList.add("pdfagogo-flipbook-leaf-right");
+      if (direction > 0) {
+        this._drawPage(front, fromSlots.right);
+        this._drawPage(back, null);
+        this._drawPage(this.slots.right, toSlots.right);
+        [startAngle, endAngle] = [0, -180];
+      } else {
+        this._drawPage(front, toSlots.right);
+        this._drawPage(back, null);
+        [startAngle, endAngle] = [-180, 0];
+      }
+    } else if (direction > 0) {
+      leaf.classList.add("pdfagogo-flipbook-leaf-right");
+      this._drawPage(front, fromSlots.right);
+      this._drawPage(back, toSlots.left);
+      this._drawPage(this.slots.right, toSlots.right);
+      [startAngle, endAngle] = [0, -180];
+    } else {
+      leaf.classList.add("pdfagogo-flipbook-leaf-left");
+      this._drawPage(front, fromSlots.left);
+      this._drawPage(back, toSlots.right);
+      this._drawPage(this.slots.left, toSlots.left);
+      [startAngle, endAngle] = [0, 180];
+    }
+    this.bookElement.appendChild(leaf);
+
+    this._turn = {
+      leaf, direction, from, to, startAngle, endAngle,
+      progress: 0,
+      target: null,
+      frame: null
+    };
+    this._setTurnProgress(0);
+    return this._turn;
+  }
+
+  /**
+   * Moves the turning leaf to a point of the turn.
+   *
+   * @param {number} progress - 0 at the start of the turn, 1 at its end
+   * @private
+   */
+  _setTurnProgress(progress) {
+    const turn = this._turn;
+    if (!turn) return;
+    turn.progress = Math.min(Math.max(progress, 0), 1);
+    const angle = turn.startAngle + (turn.endAngle - turn.startAngle) * turn.progress;
+    turn.leaf.style.transform = `rotateY(${angle}deg)`;
+    // Shade the leaf most when it stands upright
+    turn.leaf.style.setProperty("--pdfagogo-turn-shade", Math.sin((Math.abs(angle) * Math.PI) / 180).toFixed(3));
+  }
+
+  /**
+   * Animates the turning leaf to the end of the turn, or back to its start.
+   *
+   * @param {number} target - 1 to complete the turn, 0 to cancel it
+   * @private
+   */
+  _animateTurn(target) {
+    const turn = this._turn;
+    if (!turn) return;
+    if (turn.frame) cancelAnimationFrame(turn.frame);
+    turn.target = target;
+
+    const from = turn.progress;
+    const duration = TURN_DURATION * Math.abs(target - from);
+    const start = performance.now();
+    const step = (now) => {
+      if (this._turn !== turn) return;
+      const t = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
+      this._setTurnProgress(from + (target - from) * easeInOut(t));
+      if (t < 1) {
+        turn.frame = requestAnimationFrame(step);
+      } else {
+        turn.frame = null;
+        this._finishTurn(target === 1);
+      }
+    };
+    turn.frame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Ends the page turn: removes the leaf and draws the spread that is now
+   * open.
+   *
+   * @param {boolean} completed - True if the page was turned, false if it fell back
+   * @private
+   */
+  _finishTurn(completed) {
+    const turn = this._turn;
+    if (!turn) return;
+    if (turn.frame) cancelAnimationFrame(turn.frame);
+    this._turn = null;
+    if (turn.leaf.parentNode) turn.leaf.parentNode.removeChild(turn.leaf);
+    turn.leaf.querySelectorAll("canvas").forEach(canvas => {
+      canvas.width = canvas.height = 0;
+    });
+    this._showSpread((completed ? turn.to : turn.from)[0]);
+  }
+
+  /**
+   * Lets pages be turned by dragging them with the mouse, a pen or a finger.
+   *
+   * Dragging right to left from the right half turns forward, and left to
+   * right from the left half (or anywhere on a single page) turns back. The
+   * leaf follows the pointer; on release the turn completes when it is far
+   * enough along, or when the pointer was flicked, and falls back otherwise.
+   * With reduced motion the leaf doesn't follow the pointer and a long
+   * enough drag turns the page at once.
+   *
+   * @private
+   */
+  _setupDragToTurn() {
+    const book = this.bookElement;
+
+    book.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || this._turn || this.pageCount < 2) return;
+      const rect = book.getBoundingClientRect();
+      const onRight = this.spreadActive ? e.clientX > rect.left + rect.width / 2 : true;
+      this._drag = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        lastX: e.clientX,
+        lastTime: e.timeStamp,
+        velocity: 0,
+        onRight,
+        direction: 0
+      };
+    });
+
+    book.addEventListener("pointermove", (e) => {
+      const drag = this._drag;
+      if (!drag || drag.pointerId !== e.pointerId) return;
+      const dx = e.clientX - drag.startX;
+      const dt = e.timeStamp - drag.lastTime;
+      if (dt > 0) drag.velocity = (e.clientX - drag.lastX) / dt;
+      drag.lastX = e.clientX;
+      drag.lastTime = e.timeStamp;
+
+      if (!drag.direction) {
+        if (Math.abs(dx) < DRAG_THRESHOLD) return;
+        // Right half dragged left turns forward; a drag to the right turns back
+        const direction = dx < 0 && drag.onRight ? 1 : (dx > 0 && (!drag.onRight || !this.spreadActive) ? -1 : 0);
+        const spread = this.getSpreadPages(this.currentPage);
+        const canTurn = direction > 0
+          ? spread[spread.length - 1] + 1 < this.pageCount
+          : spread[0] > 0;
+        if (!direction || !canTurn) {
+          this._drag = null;
+          return;
+        }
+        drag.direction = direction;
+        book.setPointerCapture(e.pointerId);
+        if (!this.reducedMotion) {
+          const target = direction > 0
+            ? this.getSpreadPages(spread[spread.length - 1] + 1)
+            : this.getSpreadPages(this.getSpreadPages(spread[0] - 1)[0]);
+          this._startTurn(direction, spread, target);
+        }
+      }
+      if (this._turn) {
+        const span = this.pageBox.width * (this.spreadActive ? 2 : 1);
+        this._setTurnProgress((-dx * drag.direction) / span);
+      }
+      e.preventDefault();
+    });
+
+    const endDrag = (e) => {
+      const drag = this._drag;
+      if (!drag || drag.pointerId !== e.pointerId) return;
+      this._drag = null;
+      if (!drag.direction) return;
+
+      const flicked = drag.velocity * -drag.direction > 0.5;
+      const completed = e.type === "pointerup" &&
+        (flicked || (this._turn ? this._turn.progress : Math.abs(e.clientX - drag.startX) / this.pageBox.width) > DRAG_COMPLETE_PROGRESS);
+
+      if (!this._turn) {
+        // Reduced motion: turn at once
+        if (completed) {
+          if (drag.direction > 0) this.flip_forward();
+          else this.flip_back();
+        }
+        return;
+      }
+      if (completed) {
+        const to = this._turn.to;
+        this.currentPage = to[0];
+        this._animateTurn(1);
+        this.emit("seen", to[0] + 1);
+      } else {
+        this._animateTurn(0);
+      }
+    };
+    book.addEventListener("pointerup", endDrag);
+    book.addEventListener("pointercancel", endDrag);
+  }
+
+  /**
+   * Redraw a page's search highlights after they changed.
+   *
+   * Highlights sit in a layer above the page, so the page itself is not
+   * rendered again.
+   *
+   * @param {number} ndx - Zero-based page index
+   */
+  rerenderPage(ndx) {
+    if (this.destroyed) return;
+    Object.values(this.slots).forEach(slot => {
+      if (slot.dataset.page === String(ndx + 1)) this._drawHighlights(slot, ndx);
+    });
+  }
+
+  /**
+   * Emits an `error` event for a failure that happened after loading.
+   *
+   * An `error` event without listeners would throw from `emit`, so the error
+   * is only logged when nobody is listening.
+   *
+   * @param {PdfAGoGoError} error - The typed error to report
+   * @private
+   */
+  _reportError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Replaces the document shown by the viewer.
+   *
+   * Works like ScrollablePdfViewer's load(): the source is opened through
+   * the `loadBook` option while the current book stays up, the new book
+   * opens at the given page, and a load that is still running when load()
+   * is called again is cancelled. A load that fails or is cancelled leaves
+   * the current book in place.
+   *
+   * @param {string|URL|ArrayBuffer|Uint8Array|Blob|File} source - The PDF to show
+   * @param {Object} [options={}] - Load options
+   * @param {number} [options.page=1] - Page to open (1-based)
+   * @param {AbortSignal} [options.signal] - Cancels the load
+   * @returns {Promise<FlipbookViewer>} Resolves with the viewer once the new document is shown
+   * @fires FlipbookViewer#documentChanged
+   */
+  async load(source, options = {}) {
+    const { page = 1, signal } = options;
+    if (this.destroyed) {
+      throw new Error("Cannot load a document into a destroyed viewer");
+    }
+    if (!this.options.loadBook) {
+      throw new Error("This viewer was created without a loadBook option");
+    }
+
+    const book = await openNextBook(this, source, signal);
+    if (!book) return this;
+
+    // The old book stayed open under the loading bar until now
+    this._releasePages();
+    const previous = this.book;
+    this.book = book;
+    this.pageCount = book.numPages();
+    this.currentPage = Math.min(Math.max(page - 1, 0), Math.max(this.pageCount - 1, 0));
+    if (previous && previous !== book && previous.destroy) previous.destroy();
+
+    // Let the controls reset before the new pages start reporting
+    this.emit("documentChanged", { pageCount: this.pageCount, book });
+
+    await this._initializePages();
+    if (this.currentPage > 0) this.emit("seen", this.currentPage + 1);
+    return this;
+  }
+
+  /**
+   * Drops every page bitmap, any page turn in progress and the search
+   * highlights.
+   *
+   * @private
+   */
+  _releasePages() {
+    if (this._turn) {
+      if (this._turn.frame) cancelAnimationFrame(this._turn.frame);
+      if (this._turn.leaf.parentNode) this._turn.leaf.parentNode.removeChild(this._turn.leaf);
+      this._turn = null;
+    }
+    this._drag = null;
+    Object.keys(this.pageImages).forEach(key => this._releasePage(parseInt(key, 10)));
+    this._pendingRenders = {};
+    this.highlights = {};
+    this.pageViewports = {};
+    this.pageSize = null;
+    this.pageAspect = DEFAULT_PAGE_ASPECT;
+    this._visiblePages.clear();
+    Object.values(this.slots).forEach(slot => {
+      const canvas = slot.querySelector("canvas");
+      canvas.width = canvas.height = 0;
+      slot.dataset.page = "";
+      this._drawHighlights(slot, null);
+    });
+  }
+
+  /**
+   * Tears the viewer down so it can be garbage collected.
+   *
+   * Listeners for the `destroy` event run first, which is how the UI
+   * controls remove themselves. Calling it more than once has no effect.
+   *
+   * @returns {Promise<void>} Resolves once the PDF document has been released
+   * @fires FlipbookViewer#destroy
+   */
+  destroy() {
+    if (this.destroyed) return Promise.resolve();
+    this.destroyed = true;
+    this.emit("destroy");
+
+    this._listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this._listeners = [];
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = null;
+    }
+
+    this._releasePages();
+
+    if (this.stage.parentNode) {
+      this.stage.parentNode.removeChild(this.stage);
+    }
+
+    this.removeAllListeners();
+    return Promise.resolve(this.book.destroy ? this.book.destroy() : undefined);
+  }
+}
+
+/**
+ * Whether the reader has asked the system for less motion.
+ *
+ * @returns {boolean} True if `prefers-reduced-motion: reduce` matches
+ * @private
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+/**
+ * Ease-in-out curve for the page turn.
+ *
+ * @param {number} t - Time through the animation, 0–1
+ * @returns {number} Progress through the turn, 0–1
+ * @private
+ */
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Positions an element over part of a page slot.
+ *
+ * @param {HTMLElement} element - The page canvas or its highlight layer
+ * @param {{left: number, top: number, width: number, height: number}} box - Where to put it, in CSS pixels
+ * @private
+ */
+function placeInSlot(element, { left, top, width, height }) {
+  element.style.left = left + "px";
+  element.style.top = top + "px";
+  element.style.width = width + "px";
+  element.style.height = height + "px";
+}
@@ -21,6 +21,17 @@
  * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
  */
 
+import {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  HttpError,
+  HtmlRedirectTimeoutError,
+  NetworkError,
+  NotPdfError
+} from './errors.js';
+import { hasPdfSignature, SIGNATURE_BYTES } from './pdfSignature.js';
+
 /**
  * HTML Download Handler class for managing PDF downloads from HTML redirect pages.
  * 
@@ -81,6 +92,8 @@ export class HTMLDownloadHandler extends EventTarget {
    * @param {number} [options.downloadTimeout=30000] - Timeout in milliseconds for download operations
    * @param {boolean} [options.enableLogging=false] - Enable detailed console logging for debugging
    * @param {boolean} [options.preserveCookies=true] - Include cookies in download requests for authentication
+   * @param {PdfCache} [options.cache] - Offline cache used by downloadPDF()
+   * @param {Function} [options.fetch] - Function used for the HEAD and GET requests, e.g. from `createFetch`
    * 
    * @constructor
    * @example
@@ -103,6 +116,15 @@ export class HTMLDownloadHandler extends EventTarget {
     
     /** @type {HTMLIFrameElement|null} The iframe element used for HTML content loading */
     this.iframe = null;
+
+    /** @type {HTMLIFrameElement|null} The hidden proxy iframe used to detect redirects */
+    this.proxyFrame = null;
+
+    /** @type {Function|null} The window `message` listener for the proxy iframe */
+    this.messageHandler = null;
+
+    /** @type {number|null} Timer for the overall download timeout */
+    this.timeoutId = null;
     
     /** @type {HTMLElement|null} The container element for rendering iframes */
     this.container = null;
@@ -115,6 +137,12 @@ export class HTMLDownloadHandler extends EventTarget {
     
     /** @type {boolean} Whether to preserve cookies for authenticated downloads */
     this.preserveCookies = options.preserveCookies !== false;
+
+    /** @type {PdfCache|null} Offline cache for downloaded PDFs */
+    this.cache = options.cache || null;
+
+    /** @type {Function} Function used for the HEAD and GET requests */
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
   }
 
   /**
@@ -172,11 +200,14 @@ export class HTMLDownloadHandler extends EventTarget {
    * - Authenticated download endpoints
    * 
    * @param {string} url - The URL that returned HTML instead of PDF content
+   * @param {Object} [options={}] - Download options
+   * @param {AbortSignal} [options.signal] - Aborts the download, removing the iframes and listeners
    * @returns {Promise<Blob>} Promise that resolves with the downloaded PDF blob
    * @throws {Error} When container is not initialized
-   * @throws {Error} When download timeout is exceeded
-   * @throws {Error} When no PDF redirect is detected
-   * @throws {Error} When PDF download fails or returns invalid content
+   * @throws {DOMException} `AbortError` when the signal is aborted
+   * @throws {HtmlRedirectTimeoutError} When no PDF redirect is detected before the download timeout
+   * @throws {HttpError|NetworkError} When the PDF download fails
+   * @throws {NotPdfError} When the download returns something other than a PDF
    * 
    * @example
    * // Handle institutional repository URL
@@ -210,21 +241,49 @@ export class HTMLDownloadHandler extends EventTarget {
    * } finally {
    *   handler.removeEventListener('progress', progressHandler);
    * }
+   * 
+   * @example
+   * // Cancel when the user picks another document
+   * const controller = new AbortController();
+   * handler.handleHTMLDownload(htmlUrl, { signal: controller.signal })
+   *   .catch(error => {
+   *     if (error.name === 'AbortError') return;
+   *     throw error;
+   *   });
+   * controller.abort(); // iframes and listeners are removed immediately
    */
-  async handleHTMLDownload(url) {
+  async handleHTMLDownload(url, options = {}) {
     if (!this.container) {
       throw new Error('Handler must be initialized with a container before use');
     }
     
+    const { signal } = options;
+    throwIfAborted(signal);
+    
     if (this.enableLogging) {
       console.log('[HTMLDownloadHandler] Starting HTML download handling for:', url);
     }
     
     return new Promise((resolve, reject) => {
+      // Tear everything down as soon as the caller gives up
+      const onAbort = () => {
+        this.cleanup();
+        reject(createAbortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      const done = (blob) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(blob);
+      };
+      const fail = (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+
       // Set up timeout for the entire download process
-      const downloadTimeout = setTimeout(() => {
+      this.timeoutId = setTimeout(() => {
         this.cleanup();
-        reject(new Error(`Download timeout after ${this.downloadTimeout}ms - no redirect detected`));
+        fail(new HtmlRedirectTimeoutError(this.downloadTimeout));
       }, this.downloadTimeout);
 
       /**
@@ -244,9 +303,10 @@ export class HTMLDownloadHandler extends EventTarget {
         
         try {
           // Perform HEAD request to check content type without downloading full content
-          const headResponse = await fetch(urlToCheck, {
+          const headResponse = await this.fetch(urlToCheck, {
             method: 'HEAD',
-            credentials: this.preserveCookies ? 'include' : 'omit'
+            credentials: this.preserveCookies ? 'include' : 'omit',
+            signal
           });
           
           const contentType = headResponse.headers.get('content-type');
@@ -256,8 +316,9 @@ export class HTMLDownloadHandler extends EventTarget {
 
           // Check if content type indicates PDF
           if (contentType && contentType.toLowerCase().includes('pdf')) {
-            clearTimeout(downloadTimeout);
-            this.downloadPDF(urlToCheck).then(resolve).catch(reject);
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+            this.downloadPDF(urlToCheck, { signal }).then(done).catch(fail);
             return true;
           }
         } catch (error) {
@@ -271,7 +332,9 @@ export class HTMLDownloadHandler extends EventTarget {
       // Create a proxy iframe that will intercept redirects
       const proxyFrame = document.createElement('iframe');
       proxyFrame.style.display = 'none';
+      proxyFrame.setAttribute('data-pdfagogo-proxy', '');
       document.body.appendChild(proxyFrame);
+      this.proxyFrame = proxyFrame;
 
       // Write content to the proxy iframe that will help us detect redirects
       const proxyContent = `
@@ -406,17 +469,19 @@ export class HTMLDownloadHandler extends EventTarget {
 
       // Listen for messages from the proxy iframe
       const messageHandler = async (event) => {
+        // Ignore messages from other handlers' proxies (e.g. another viewer)
+        if (event.source !== proxyFrame.contentWindow) return;
         console.log('messageHandler', event.data);
         if (event.data.type === 'potentialPdfUrl') {
             console.log('potentialPdfUrl', event.data.url, event.data.source);
           const isPdf = await checkUrlAndDownload(event.data.url);
           if (isPdf) {
-            window.removeEventListener('message', messageHandler);
-            proxyFrame.remove();
+            this._removeProxy();
           }
         }
       };
       window.addEventListener('message', messageHandler);
+      this.messageHandler = messageHandler;
 
       // Create the main iframe
       this.iframe = document.createElement('iframe');
@@ -444,12 +509,16 @@ export class HTMLDownloadHandler extends EventTarget {
    * 
    * This method performs the actual PDF download after URL validation. It handles
    * authentication by preserving cookies and validates the downloaded content to
-   * ensure it's actually a PDF file.
+   * ensure it's actually a PDF file. With a cache, an unchanged PDF is served
+   * from the cached copy, which is also used when the network fails.
    * 
    * @param {string} url - The validated PDF URL to download
+   * @param {Object} [options={}] - Download options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<Blob>} Promise that resolves with the PDF blob
-   * @throws {Error} When the HTTP request fails
-   * @throws {Error} When the downloaded content is not a PDF
+   * @throws {NetworkError} When the server can't be reached
+   * @throws {HttpError} When the server answers with an error status
+   * @throws {NotPdfError} When the downloaded content is not a PDF
    * 
    * @example
    * // Direct PDF download (typically called internally)
@@ -462,18 +531,26 @@ export class HTMLDownloadHandler extends EventTarget {
    * 
    * @private
    */
-  async downloadPDF(url) {
+  async downloadPDF(url, options = {}) {
     if (this.enableLogging) {
       console.log('[HTMLDownloadHandler] Downloading PDF from:', url);
     }
     
     try {
-      const response = await fetch(url, {
-        credentials: this.preserveCookies ? 'include' : 'omit'
-      });
+      const init = {
+        credentials: this.preserveCookies ? 'include' : 'omit',
+        signal: options.signal
+      };
+      let response;
+      try {
+        response = await (this.cache ? this.cache.fetch(url, init, this.fetch) : this.fetch(url, init));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new NetworkError(`PDF download failed: ${error.message}`, { cause: error });
+      }
       
       if (!response.ok) {
-        throw new Error(`PDF download failed: ${response.status} ${response.statusText}`);
+        throw new HttpError(response.status, `PDF download failed: ${response.status} ${response.statusText}`);
       }
 
       const blob = await response.blob();
@@ -485,12 +562,10 @@ export class HTMLDownloadHandler extends EventTarget {
       // Validate that the downloaded content is actually a PDF
       if (!blob.type.includes('pdf') && blob.size > 0) {
         // Additional validation: check if blob starts with PDF signature
-        const arrayBuffer = await blob.slice(0, 4).arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        const signature = String.fromCharCode(...uint8Array);
+        const head = new Uint8Array(await blob.slice(0, SIGNATURE_BYTES).arrayBuffer());
         
-        if (!signature.startsWith('%PDF')) {
-          throw new Error(`Downloaded file is not a PDF (type: ${blob.type}, signature: ${signature})`);
+        if (!hasPdfSignature(head)) {
+          throw new NotPdfError(`Downloaded file is not a PDF (type: ${blob.type})`);
         }
       }
 
@@ -505,9 +580,9 @@ export class HTMLDownloadHandler extends EventTarget {
   /**
    * Clean up all DOM elements created by the handler.
    * 
-   * This method removes all iframes and loading indicators created during the
-   * download process. It should be called after successful downloads or when
-   * errors occur to prevent memory leaks and DOM pollution.
+   * This method removes all iframes, listeners, timers and loading indicators
+   * created during the download process. It should be called after successful
+   * downloads or when errors occur to prevent memory leaks and DOM pollution.
    * 
    * @example
    * // Manual cleanup (usually called automatically)
@@ -523,6 +598,12 @@ export class HTMLDownloadHandler extends EventTarget {
    * }
    */
   cleanup() {
+    // Stop the download timeout
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+
     // Remove main iframe if it exists
     if (this.iframe && this.iframe.parentNode) {
       this.iframe.parentNode.removeChild(this.iframe);
@@ -537,19 +618,30 @@ export class HTMLDownloadHandler extends EventTarget {
       }
     }
     
-    // Remove any proxy iframes that might still exist
-    const proxyFrames = document.querySelectorAll('iframe[data-pdfagogo-proxy]');
-    proxyFrames.forEach(frame => {
-      if (frame.parentNode) {
-        frame.parentNode.removeChild(frame);
-      }
-    });
+    // Remove this handler's proxy iframe and message listener
+    this._removeProxy();
     
     if (this.enableLogging) {
       console.log('[HTMLDownloadHandler] Cleanup completed');
     }
   }
 
+  /**
+   * Remove the proxy iframe and stop listening for its messages.
+   * 
+   * @private
+   */
+  _removeProxy() {
+    if (this.messageHandler) {
+      window.removeEventListener('message', this.messageHandler);
+      this.messageHandler = null;
+    }
+    if (this.proxyFrame && this.proxyFrame.parentNode) {
+      this.proxyFrame.parentNode.removeChild(this.proxyFrame);
+    }
+    this.proxyFrame = null;
+  }
+
   /**
    * Parse meta refresh content to extract delay and URL.
    * 
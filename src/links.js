@@ -0,0 +1,174 @@
+/**
+ * @file Links inside PDF documents for PDF-A-go-go.
+ *
+ * Reads the link annotations of a page, resolves internal destinations
+ * (`GoTo` actions and named destinations) to a page and a position on it,
+ * and decides whether a link to another site may be opened: links can be
+ * limited to an allow-list of hosts and/or need the reader to confirm them.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+/** @type {Array<string>} URL schemes links may use; anything else (e.g. `javascript:`) is never linked */
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/** @type {Array<string>} Named actions that move through the document */
+const NAVIGATION_ACTIONS = ["NextPage", "PrevPage", "FirstPage", "LastPage"];
+
+/**
+ * Lists the links on a page.
+ *
+ * Positions are in PDF points from the page's top-left corner, so they can
+ * be laid out as fractions of the page at any zoom level.
+ *
+ * @param {Object} page - A PDF.js page proxy
+ * @param {Object} [viewport] - The page's viewport at scale 1, by default unrotated beyond the page's own `/Rotate`
+ * @returns {Promise<Array<{left: number, top: number, width: number, height: number, url: string|null, dest: string|Array|null, action: string|null, text: string}>>} The page's links
+ */
+export async function getPageLinks(page, viewport = page.getViewport({ scale: 1 })) {
+  const annotations = await page.getAnnotations({ intent: "display" });
+  return annotations
+    .filter((annotation) => annotation.subtype === "Link")
+    .map((annotation) => {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+      return {
+        left: Math.min(x1, x2),
+        top: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1),
+        url: annotation.url || null,
+        dest: annotation.dest || null,
+        action: NAVIGATION_ACTIONS.includes(annotation.action) ? annotation.action : null,
+        text: (annotation.overlaidText || annotation.contents || "").trim()
+      };
+    })
+    .filter((link) => link.url || link.dest || link.action);
+}
+
+/**
+ * Resolves an internal destination to a page and the position to show.
+ *
+ * @param {Object} pdf - The PDF.js document
+ * @param {string|Array} dest - A named destination or an explicit destination array
+ * @returns {Promise<{pageIndex: number, left: number|null, top: number|null}|null>} Zero-based page index and position in PDF points from the page's top-left corner (null where the destination doesn't set one), or null if the destination can't be found
+ *
+ * @example
+ * const target = await resolveDestination(pdf, 'chapter-2');
+ * if (target) viewer.go_to_page(target.pageIndex, target);
+ */
+export async function resolveDestination(pdf, dest) {
+  try {
+    const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit)) return null;
+
+    const [ref, type, ...args] = explicit;
+    const pageIndex = Number.isInteger(ref) ? ref : await pdf.getPageIndex(ref);
+    if (!(pageIndex >= 0 && pageIndex < pdf.numPages)) return null;
+
+    // Each destination type names the coordinates it keeps in view
+    let x = null;
+    let y = null;
+    switch (type && type.name) {
+      case "XYZ":
+        [x, y] = args;
+        break;
+      case "FitH":
+      case "FitBH":
+        [y] = args;
+        break;
+      case "FitV":
+      case "FitBV":
+        [x] = args;
+        break;
+      case "FitR":
+        x = args[0];
+        y = args[3];
+        break;
+    }
+    const hasX = typeof x === "number";
+    const hasY = typeof y === "number";
+    if (!hasX && !hasY) return { pageIndex, left: null, top: null };
+
+    // Destinations use PDF coordinates, which start at the bottom left
+    const page = await pdf.getPage(pageIndex + 1);
+    const viewport = page.getViewport({ scale: 1 });
+    const [left, top] = viewport.convertToViewportPoint(hasX ? x : 0, hasY ? y : 0);
+    return { pageIndex, left: hasX ? left : null, top: hasY ? top : null };
+  } catch (error) {
+    console.warn("Could not resolve the link destination", dest, error);
+    return null;
+  }
+}
+
+/**
+ * Whether a URL may be linked at all.
+ *
+ * @param {string} url - The link URL
+ * @returns {boolean} True for absolute `http:`, `https:` and `mailto:` URLs
+ */
+export function isSafeLinkUrl(url) {
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decides what happens when a link to another site is followed.
+ *
+ * - Without an allow-list, links open right away, or after confirmation
+ *   when `confirmLinks` is set.
+ * - With an allow-list, links to listed hosts open right away; others need
+ *   confirmation, or are blocked when `confirmLinks` is `false`.
+ *
+ * @param {string} url - The link URL
+ * @param {Object} [options={}] - Link options
+ * @param {Array<string>|Function} [options.linkAllowList] - Hosts whose links open without asking (`"example.com"`, or `"*.example.com"` for the domain and its subdomains), or `(url: URL) => boolean`
+ * @param {boolean|Function} [options.confirmLinks] - Ask before opening links; a function `(url) => boolean|Promise<boolean>` replaces the browser's confirm dialog
+ * @returns {string} "open", "confirm" or "block"
+ */
+export function getLinkAction(url, options = {}) {
+  if (!isSafeLinkUrl(url)) return "block";
+  const { linkAllowList, confirmLinks } = options;
+  if (linkAllowList ? isAllowedLink(new URL(url), linkAllowList) : !confirmLinks) return "open";
+  return confirmLinks === false ? "block" : "confirm";
+}
+
+/**
+ * Asks the reader whether to open a link.
+ *
+ * @param {string} url - The link URL
+ * @param {Object} [options={}] - Link options, see {@link getLinkAction}
+ * @returns {Promise<boolean>} True if the link should open
+ */
+export async function confirmLink(url, options = {}) {
+  if (typeof options.confirmLinks === "function") {
+    return Boolean(await options.confirmLinks(url));
+  }
+  return window.confirm(`This link leads outside the document:\n\n${url}\n\nOpen it?`);
+}
+
+/**
+ * Checks a URL against the allow-list.
+ *
+ * @param {URL} url - The link URL
+ * @param {Array<string>|Function} allowList - Host patterns, or a predicate
+ * @returns {boolean} True if the link may open without asking
+ * @private
+ */
+function isAllowedLink(url, allowList) {
+  if (typeof allowList === "function") return Boolean(allowList(url));
+  const host = url.hostname.toLowerCase();
+  if (!host) return false;
+  return allowList.some((pattern) => {
+    pattern = pattern.trim().toLowerCase();
+    if (pattern.startsWith("*.")) {
+      const domain = pattern.slice(2);
+      return host === domain || host.endsWith("." + domain);
+    }
+    return host === pattern;
+  });
+}
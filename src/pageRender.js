@@ -0,0 +1,221 @@
+/**
+ * @file Drawing pages and their search highlights for PDF-A-go-go's viewers.
+ *
+ * The book renders a page straight into the canvas it is shown in, at the
+ * canvas's exact pixel size, so a page is rasterized once and never scaled
+ * afterwards. Where the browser supports it, pages can instead be rendered
+ * into an `OffscreenCanvas` and handed over as an `ImageBitmap`: the canvas
+ * on screen keeps its old image until the new one is complete.
+ *
+ * Search highlights are never part of the page bitmap. They are laid over
+ * the canvas as positioned elements, so changing them needs no re-render.
+ * With a reading theme, a page is recoloured before it is shown (see
+ * themes.js).
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import { createAbortError } from "./errors.js";
+import { applyTheme } from "./themes.js";
+
+/**
+ * Whether pages can be rendered off screen and swapped in as an ImageBitmap.
+ *
+ * @returns {boolean} True if `OffscreenCanvas` and the `bitmaprenderer` canvas context are available
+ */
+export function canRenderOffscreen() {
+  return typeof OffscreenCanvas !== "undefined" &&
+    typeof OffscreenCanvas.prototype.transferToImageBitmap === "function" &&
+    typeof ImageBitmapRenderingContext !== "undefined";
+}
+
+/**
+ * Renders a page into a canvas shown on screen.
+ *
+ * The canvas is resized to `width` × `height` device pixels and the page is
+ * drawn to fill it. Off screen, the canvas is only resized once the new
+ * bitmap is ready; a canvas must always be drawn the same way, as the two
+ * paths use different canvas contexts. With a theme, the page is drawn and
+ * recoloured in a canvas of its own before it is shown, so it never
+ * flashes up in its original colours.
+ *
+ * @param {Object} pg - A page from the book's `getPage()`
+ * @param {HTMLCanvasElement} canvas - The canvas to draw into
+ * @param {Object} options - Render options
+ * @param {number} options.width - Bitmap width in device pixels
+ * @param {number} options.height - Bitmap height in device pixels
+ * @param {boolean} [options.offscreen=false] - Render into an `OffscreenCanvas` and swap the finished bitmap in
+ * @param {Object|null} [options.theme=null] - Reading theme to recolour the page with, from `resolveTheme()`
+ * @returns {{promise: Promise<void>, cancel: Function}} The render; a cancelled render rejects with an `AbortError`
+ *
+ * @example
+ * const task = renderPageToCanvas(pg, canvas, { width: 1200, height: 1600 });
+ * task.promise.then(() => canvas.setAttribute('data-resolution', 'high'));
+ */
+export function renderPageToCanvas(pg, canvas, { width, height, offscreen = false, theme = null }) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+
+  if (!offscreen && !theme) {
+    canvas.width = width;
+    canvas.height = height;
+    return drawPage(pg, canvas);
+  }
+
+  if (!offscreen) {
+    const target = document.createElement("canvas");
+    target.width = width;
+    target.height = height;
+    const task = drawThemedPage(pg, target, theme);
+    return {
+      promise: task.promise.then(() => {
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext("2d", { alpha: false }).drawImage(target, 0, 0);
+        releaseCanvas(target);
+      }),
+      cancel: task.cancel
+    };
+  }
+
+  const target = new OffscreenCanvas(width, height);
+  const task = drawThemedPage(pg, target, theme);
+  return {
+    promise: task.promise.then(() => {
+      const bitmap = target.transferToImageBitmap();
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext("bitmaprenderer").transferFromImageBitmap(bitmap);
+    }),
+    cancel: task.cancel
+  };
+}
+
+/**
+ * Renders a page into a bitmap of its own, e.g. to keep in a cache and copy
+ * onto several canvases.
+ *
+ * @param {Object} pg - A page from the book's `getPage()`
+ * @param {Object} options - Render options
+ * @param {number} options.width - Bitmap width in device pixels
+ * @param {number} options.height - Bitmap height in device pixels
+ * @param {boolean} [options.offscreen=false] - Render off screen and resolve with an `ImageBitmap`
+ * @returns {{promise: Promise<ImageBitmap|HTMLCanvasElement>, cancel: Function}} The render; a cancelled render rejects with an `AbortError`
+ */
+export function renderPageImage(pg, { width, height, offscreen = false }) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+
+  let target;
+  if (offscreen) {
+    target = new OffscreenCanvas(width, height);
+  } else {
+    target = document.createElement("canvas");
+    target.width = width;
+    target.height = height;
+  }
+  const task = drawPage(pg, target);
+  return {
+    promise: task.promise.then(() => (offscreen ? target.transferToImageBitmap() : target)),
+    cancel: task.cancel
+  };
+}
+
+/**
+ * Empties a page canvas and shrinks it, which releases its backing store
+ * right away rather than whenever the element is garbage collected.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to clear
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.size=0] - Width and height to leave the canvas at
+ * @param {boolean} [options.offscreen=false] - Whether the canvas is drawn by {@link renderPageToCanvas} off screen
+ */
+export function releaseCanvas(canvas, { size = 0, offscreen = false } = {}) {
+  if (offscreen) {
+    // Resizing doesn't drop a bitmap that was handed over; this does
+    const ctx = canvas.getContext("bitmaprenderer");
+    if (ctx) ctx.transferFromImageBitmap(null);
+  }
+  canvas.width = canvas.height = size;
+}
+
+/**
+ * Lays search highlights over a page.
+ *
+ * Boxes are positioned in percent of the page, so the layer fits the page
+ * at any size without being rebuilt.
+ *
+ * @param {Array<{x: number, y: number, width: number, height: number}>} highlights - Boxes in PDF coordinates (from the bottom left of the page)
+ * @param {Object} viewport - The page's viewport at scale 1, from `pg.getViewport({ scale: 1 })`
+ * @returns {HTMLElement} The highlight layer
+ */
+export function createHighlightLayer(highlights, viewport) {
+  const layer = document.createElement("div");
+  layer.className = "pdfagogo-highlight-layer";
+  layer.setAttribute("aria-hidden", "true");
+  highlights.forEach((hl) => {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([hl.x, hl.y, hl.x + hl.width, hl.y + hl.height]);
+    const box = document.createElement("div");
+    box.className = "pdfagogo-highlight";
+    box.style.left = (Math.min(x1, x2) / viewport.width) * 100 + "%";
+    box.style.top = (Math.min(y1, y2) / viewport.height) * 100 + "%";
+    box.style.width = (Math.abs(x2 - x1) / viewport.width) * 100 + "%";
+    box.style.height = (Math.abs(y2 - y1) / viewport.height) * 100 + "%";
+    layer.appendChild(box);
+  });
+  return layer;
+}
+
+/**
+ * Draws a page to fill a canvas and recolours it with a reading theme.
+ *
+ * The page's pictures, from the optional `getImageRegions()`, keep their
+ * colours; they are looked up while the page draws.
+ *
+ * @param {Object} pg - A page from the book's `getPage()`
+ * @param {HTMLCanvasElement|OffscreenCanvas} target - The canvas to draw into, already sized
+ * @param {Object|null} theme - The theme, or null to draw the page as it is
+ * @returns {{promise: Promise<void>, cancel: Function}} The render
+ * @private
+ */
+function drawThemedPage(pg, target, theme) {
+  const task = drawPage(pg, target);
+  if (!theme) return task;
+
+  let cancelled = false;
+  const regions = typeof pg.getImageRegions === "function"
+    ? Promise.resolve().then(() => pg.getImageRegions()).catch(() => [])
+    : Promise.resolve([]);
+  return {
+    promise: Promise.all([task.promise, regions]).then(([, found]) => {
+      if (cancelled) throw createAbortError("Page rendering was cancelled");
+      applyTheme(target, theme, found);
+    }),
+    cancel: () => {
+      cancelled = true;
+      task.cancel();
+    }
+  };
+}
+
+/**
+ * Draws a page to fill a canvas.
+ *
+ * Books written before `render()` existed hand over a rendered `img`
+ * instead; it is scaled onto the canvas.
+ *
+ * @param {Object} pg - A page from the book's `getPage()`
+ * @param {HTMLCanvasElement|OffscreenCanvas} target - The canvas to draw into, already sized
+ * @returns {{promise: Promise<void>, cancel: Function}} The render
+ * @private
+ */
+function drawPage(pg, target) {
+  if (typeof pg.render === "function") return pg.render(target);
+
+  if (pg.img) {
+    target.getContext("2d", { alpha: false }).drawImage(pg.img, 0, 0, target.width, target.height);
+  }
+  return { promise: Promise.resolve(), cancel() {} };
+}
@@ -0,0 +1,347 @@
+/**
+ * @file Offline cache of downloaded PDF documents.
+ *
+ * Stores the bytes of PDFs fetched from the network in Cache Storage, keyed by
+ * their absolute URL, so a document that was opened once can be opened again
+ * on a flaky connection or with no connection at all. Cached copies are
+ * revalidated with the server's `ETag`/`Last-Modified` validators on every
+ * use, and the least recently used documents are evicted once the cache grows
+ * beyond its size limit.
+ *
+ * The cache is opt-in: pass `cache: true` (or a {@link PdfCache}) to
+ * `createViewer`/`loadPdfWithProgress`, or set `data-cache="true"` on a
+ * container.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import { isAbortError } from "./errors.js";
+import { hasPdfSignature } from "./pdfSignature.js";
+
+/** @type {string} Default Cache Storage name */
+const DEFAULT_CACHE_NAME = "pdfagogo-documents";
+
+/** @type {number} Default size limit of the cache in bytes (100 MB) */
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+
+/** @type {string} Path of the entry holding the cache index */
+const INDEX_PATH = "/__pdfagogo-cache-index__";
+
+/**
+ * Size-bounded LRU cache of PDF documents backed by Cache Storage.
+ *
+ * Every instance with the same `name` shares the same stored documents, so a
+ * page can manage the cache used by its viewers simply by creating its own
+ * instance.
+ *
+ * @class PdfCache
+ *
+ * @example
+ * // Let viewers cache what they download
+ * createViewer(container, { source: url, cache: true });
+ *
+ * @example
+ * // Manage the cache from a settings page
+ * const cache = new PdfCache();
+ * const entries = await cache.list();
+ * console.log(entries.map(e => `${e.url}: ${e.size} bytes`));
+ * await cache.evict(entries[entries.length - 1].url); // least recently used
+ * await cache.clear();
+ */
+export class PdfCache {
+  /**
+   * Create a new PdfCache instance.
+   *
+   * @param {Object} [options={}] - Cache options
+   * @param {string} [options.name="pdfagogo-documents"] - Cache Storage name
+   * @param {number} [options.maxSize=104857600] - Maximum total size of the cached documents in bytes
+   */
+  constructor(options = {}) {
+    /** @type {string} Cache Storage name */
+    this.name = options.name || DEFAULT_CACHE_NAME;
+
+    /** @type {number} Maximum total size of the cached documents in bytes */
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+
+    /** @type {Promise} Serializes updates to the index */
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Whether the browser supports Cache Storage (it requires a secure context).
+   *
+   * @returns {boolean} True if documents can be cached
+   * @static
+   */
+  static isSupported() {
+    return typeof caches !== "undefined";
+  }
+
+  /**
+   * Fetches a PDF, using and updating the cached copy.
+   *
+   * A drop-in replacement for `fetch` for GET requests:
+   * - With a cached copy, the request is made conditional on its validators;
+   *   a `304 Not Modified` answer is served from the cache.
+   * - When the request fails because of the network, or the server answers
+   *   with a 5xx error, the cached copy is returned if there is one.
+   * - A fresh `200` response whose body is a PDF is stored in the background.
+   *
+   * @param {string} url - The URL of the PDF
+   * @param {RequestInit} [init={}] - Options for `fetch`
+   * @param {Function} [fetchImpl=fetch] - Function used to make the request
+   * @returns {Promise<Response>} The network response or a response built from the cached copy
+   *
+   * @example
+   * const response = await cache.fetch(url, { signal });
+   * const blob = await response.blob();
+   */
+  async fetch(url, init = {}, fetchImpl = (input, options) => fetch(input, options)) {
+    const key = resolveUrl(url);
+    const cached = await this._match(key);
+    const headers = new Headers(init.headers);
+    if (cached) {
+      const etag = cached.headers.get("etag");
+      const lastModified = cached.headers.get("last-modified");
+      if (etag) headers.set("If-None-Match", etag);
+      if (lastModified) headers.set("If-Modified-Since", lastModified);
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, Object.assign({}, init, { headers }));
+    } catch (error) {
+      if (cached && !isAbortError(error)) {
+        console.warn("Network unavailable, using the cached copy of", key);
+        return this._touch(key, cached);
+      }
+      throw error;
+    }
+
+    if (cached && (response.status === 304 || response.status >= 500)) {
+      return this._touch(key, cached);
+    }
+    if (response.status === 200) {
+      // Store a copy without holding up the caller
+      this._store(key, response.clone()).catch((error) => {
+        console.warn("Could not cache", key, error);
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Checks whether a URL has a cached copy.
+   *
+   * @param {string} url - The URL of the PDF
+   * @returns {Promise<boolean>} True if the document is cached
+   */
+  async has(url) {
+    return Boolean(await this._match(resolveUrl(url)));
+  }
+
+  /**
+   * Stores the bytes of a PDF.
+   *
+   * Documents larger than the whole cache are not stored. Least recently
+   * used documents are evicted to make room.
+   *
+   * @param {string} url - The URL of the PDF
+   * @param {ArrayBuffer|Uint8Array} data - The PDF bytes
+   * @param {Object} [validators={}] - Validators sent by the server
+   * @param {string} [validators.etag] - The `ETag` header
+   * @param {string} [validators.lastModified] - The `Last-Modified` header
+   * @returns {Promise<void>} Resolves once the document is stored
+   */
+  put(url, data, validators = {}) {
+    const headers = { "Content-Type": "application/pdf" };
+    if (validators.etag) headers.ETag = validators.etag;
+    if (validators.lastModified) headers["Last-Modified"] = validators.lastModified;
+    return this._store(resolveUrl(url), new Response(data, { headers }));
+  }
+
+  /**
+   * Lists the cached documents, most recently used first.
+   *
+   * @returns {Promise<Array<{url: string, size: number, lastAccess: number, etag: string|null, lastModified: string|null}>>} The cached documents
+   */
+  async list() {
+    const index = await this._readIndex();
+    return Object.keys(index)
+      .map((url) => Object.assign({ url }, index[url]))
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+
+  /**
+   * Removes a document from the cache.
+   *
+   * @param {string} url - The URL of the PDF
+   * @returns {Promise<boolean>} True if the document was cached
+   */
+  evict(url) {
+    const key = resolveUrl(url);
+    return this._updateIndex(async (index, cache) => {
+      delete index[key];
+      return cache.delete(key);
+    });
+  }
+
+  /**
+   * Removes every cached document.
+   *
+   * @returns {Promise<void>} Resolves once the cache is empty
+   */
+  clear() {
+    return this._enqueue(async () => {
+      if (!PdfCache.isSupported()) return;
+      await caches.delete(this.name);
+    });
+  }
+
+  /**
+   * Looks up the cached response for a URL.
+   *
+   * @param {string} key - The absolute URL
+   * @returns {Promise<Response|undefined>} The cached response, if any
+   * @private
+   */
+  async _match(key) {
+    if (!PdfCache.isSupported()) return undefined;
+    const cache = await caches.open(this.name);
+    return cache.match(key);
+  }
+
+  /**
+   * Marks a document as used and returns its cached response.
+   *
+   * @param {string} key - The absolute URL
+   * @param {Response} response - The cached response
+   * @returns {Response} The cached response
+   * @private
+   */
+  _touch(key, response) {
+    this._updateIndex((index) => {
+      if (index[key]) index[key].lastAccess = Date.now();
+    }).catch(() => {});
+    return response;
+  }
+
+  /**
+   * Stores a response if its body is a PDF, then trims the cache to size.
+   *
+   * @param {string} key - The absolute URL
+   * @param {Response} response - A response with the PDF bytes
+   * @returns {Promise<void>} Resolves once the document is stored
+   * @private
+   */
+  async _store(key, response) {
+    if (!PdfCache.isSupported()) return;
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.byteLength > this.maxSize || !hasPdfSignature(data)) return;
+
+    const etag = response.headers.get("etag");
+    const lastModified = response.headers.get("last-modified");
+    const headers = { "Content-Type": "application/pdf" };
+    if (etag) headers.ETag = etag;
+    if (lastModified) headers["Last-Modified"] = lastModified;
+
+    await this._updateIndex(async (index, cache) => {
+      await cache.put(key, new Response(data, { headers }));
+      index[key] = {
+        size: data.byteLength,
+        lastAccess: Date.now(),
+        etag,
+        lastModified
+      };
+
+      // Evict least recently used documents until everything fits
+      const byAge = Object.keys(index).sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+      let total = byAge.reduce((sum, url) => sum + index[url].size, 0);
+      for (const url of byAge) {
+        if (total <= this.maxSize) break;
+        if (url === key) continue;
+        total -= index[url].size;
+        delete index[url];
+        await cache.delete(url);
+      }
+    });
+  }
+
+  /**
+   * Reads the index of cached documents.
+   *
+   * @returns {Promise<Object<string, Object>>} Entries keyed by absolute URL
+   * @private
+   */
+  async _readIndex() {
+    if (!PdfCache.isSupported()) return {};
+    const cache = await caches.open(this.name);
+    const response = await cache.match(resolveUrl(INDEX_PATH));
+    return response ? response.json() : {};
+  }
+
+  /**
+   * Runs an update of the index, one at a time, and saves the result.
+   *
+   * @param {Function} update - `(index, cache) => result`; may modify `index`
+   * @returns {Promise<*>} The result of `update`
+   * @private
+   */
+  _updateIndex(update) {
+    return this._enqueue(async () => {
+      if (!PdfCache.isSupported()) return undefined;
+      const cache = await caches.open(this.name);
+      const index = await this._readIndex();
+      const result = await update(index, cache);
+      await cache.put(
+        resolveUrl(INDEX_PATH),
+        new Response(JSON.stringify(index), { headers: { "Content-Type": "application/json" } })
+      );
+      return result;
+    });
+  }
+
+  /**
+   * Chains a task after the pending ones so index updates don't interleave.
+   *
+   * @param {Function} task - The task to run
+   * @returns {Promise<*>} The result of the task
+   * @private
+   */
+  _enqueue(task) {
+    const run = this._pending.then(task, task);
+    this._pending = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Turns the option passed as `cache` into a cache instance.
+ *
+ * @param {boolean|Object|PdfCache} [option] - `true` for the default cache, options for a new one, or a cache instance
+ * @returns {PdfCache|null} The cache to use, or null when caching is off or unsupported
+ */
+export function resolveCache(option) {
+  if (!option) return null;
+  if (!PdfCache.isSupported()) {
+    console.warn("PDF caching is not supported in this browser (Cache Storage needs a secure context)");
+    return null;
+  }
+  if (option instanceof PdfCache) return option;
+  return new PdfCache(typeof option === "object" ? option : {});
+}
+
+/**
+ * Makes a URL absolute and drops its fragment, giving the cache key.
+ *
+ * @param {string} url - The URL to resolve
+ * @returns {string} The absolute URL
+ * @private
+ */
+function resolveUrl(url) {
+  const resolved = new URL(url, document.baseURI);
+  resolved.hash = "";
+  return resolved.href;
+}
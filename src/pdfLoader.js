@@ -19,19 +19,56 @@
 
 /**
  * Loads a PDF using PDF.js and provides progress updates.
- * @param {string} url - The URL of the PDF to load.
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob} source - The PDF to load (URL, data URL, bytes or Blob/File).
  * @param {(progress: number|null) => void} onProgress - Callback for progress updates (0-1 or null for indeterminate).
  * @param {Object} options - Additional options for loading
  * @param {HTMLElement} options.container - Container element for HTML download handling
  * @param {number} options.downloadTimeout - Timeout for HTML download handling
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {Function} [options.onPassword] - Prompt for a password when one is needed
+ * @param {number} [options.rangeChunkSize] - Size in bytes of each range request
+ * @param {boolean} [options.disableAutoFetch=true] - Only fetch the byte ranges needed for displayed pages
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @param {number} [options.retries=2] - How many times to retry after a transient network error
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in ms, doubled for each further retry
+ * @param {boolean|Object|PdfCache} [options.cache] - Keep downloaded PDFs in an offline cache
+ * @param {Object<string, string>} [options.httpHeaders] - Headers sent with every request for the document
+ * @param {boolean} [options.withCredentials=false] - Send cookies and HTTP auth with cross-origin requests
+ * @param {Function} [options.fetch] - Replacement for `window.fetch`
+ * @param {Function} [options.beforeRequest] - Hook called as `(url, init)` before every request
+ * @param {Function} [options.onError] - Called with range request failures after the document has opened
  * @returns {Promise<Object>} Resolves with the loaded PDF document.
  */
 import * as pdfjsLib from "pdfjs-dist/build/pdf.mjs";
 import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs";
 import { HTMLDownloadHandler } from "./htmlDownloadHandler.js";
+import { resolveCache } from "./pdfCache.js";
+import { hasPdfSignature } from "./pdfSignature.js";
+import { createFetch, hasCustomFetch } from "./request.js";
+import {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  toPdfError,
+  HttpError,
+  NetworkError,
+  PasswordError
+} from "./errors.js";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
 
+/** @type {number} Default size in bytes of each PDF.js range request (256 KB) */
+const DEFAULT_RANGE_CHUNK_SIZE = 262144;
+
+/** @type {number} Number of bytes requested when sniffing a URL's content with a GET */
+const SNIFF_BYTES = 1024;
+
+/** @type {number} Default number of retries after a transient network error */
+const DEFAULT_RETRIES = 2;
+
+/** @type {number} Default delay in milliseconds before the first retry */
+const DEFAULT_RETRY_DELAY = 1000;
+
 /**
  * Loads a PDF using PDF.js with comprehensive progress tracking and HTML handling.
  *
@@ -41,21 +78,59 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
  * - Progress tracking for both determinate and indeterminate loading states
  * - Automatic content type detection and appropriate handling
  * - Timeout management for HTML download scenarios
+ * - Range/streamed loading so the first page shows before the whole file arrives
+ *
+ * The function first sniffs the content type of the URL with a HEAD request
+ * (falling back to a small ranged GET that is aborted after the first chunk),
+ * so the file is never downloaded just to look at its headers. If it detects
+ * HTML content, it uses the HTMLDownloadHandler to extract the actual PDF URL
+ * and download the file. Otherwise, it hands the URL to PDF.js, which fetches
+ * only the byte ranges it needs to display the requested pages.
+ * In-memory sources (data URLs, ArrayBuffers, typed arrays, Blobs and Files)
+ * skip the network entirely and are handed straight to PDF.js.
+ *
+ * Failures are reported as typed errors from `errors.js` (`NetworkError`,
+ * `HttpError`, `NotPdfError`, `PasswordError`, `CorruptPdfError`,
+ * `HtmlRedirectTimeoutError`), each with a stable `code`. Transient network
+ * failures are retried with exponential backoff before giving up.
  *
- * The function first checks the content type of the response. If it detects HTML
- * content, it uses the HTMLDownloadHandler to extract the actual PDF URL and
- * download the file. Otherwise, it loads the PDF directly with PDF.js.
+ * With `options.cache` set, URL sources are also kept in an offline cache
+ * (see `pdfCache.js`). A cached copy is revalidated with the server and used
+ * instead of downloading the file again, or when the network is down.
+ * Documents that aren't cached yet load in ranges as usual and are stored
+ * in the background once they have loaded.
  *
- * @param {string} url - The URL of the PDF to load (may be direct PDF or HTML redirect)
+ * Request options (`httpHeaders`, `withCredentials`, `fetch`, `beforeRequest`)
+ * apply to every request made for the document: sniffing, the HTML download
+ * handler's requests, cache revalidation and the PDF.js range requests.
+ * PDF.js applies headers and credentials itself; with a custom `fetch` or
+ * `beforeRequest` hook its range requests are routed through them instead.
+ *
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob} source - The PDF to load: a URL (may be direct PDF or HTML redirect), data URL, raw bytes or a Blob/File
  * @param {Function} onProgress - Callback for progress updates
  * @param {number|null} onProgress.progress - Progress value (0-1) or null for indeterminate
  * @param {Object} [options={}] - Additional loading options
  * @param {HTMLElement} [options.container] - Container element for HTML download handling
  * @param {number} [options.downloadTimeout=30000] - Timeout in milliseconds for HTML downloads
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {Function} [options.onPassword] - Called as `(incorrect)` when a password is needed; returns the password or null to cancel
+ * @param {number} [options.rangeChunkSize=262144] - Size in bytes of each range request made by PDF.js
+ * @param {boolean} [options.disableAutoFetch=true] - Only fetch the byte ranges needed for displayed pages, instead of prefetching the rest of the file in the background
+ * @param {AbortSignal} [options.signal] - Cancels the whole pipeline: sniffing requests, HTML download iframes and listeners, and the PDF.js loading task
+ * @param {number} [options.retries=2] - How many times to retry after a transient network error (network failure, HTTP 5xx, 408 or 429)
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in milliseconds, doubled for each further retry
+ * @param {boolean|Object|PdfCache} [options.cache] - Keep downloaded PDFs in an offline cache: `true` for the default cache, `{ name, maxSize }` for a custom one, or a `PdfCache` instance
+ * @param {Object<string, string>} [options.httpHeaders] - Headers sent with every request for the document, e.g. `Authorization`
+ * @param {boolean} [options.withCredentials=false] - Send cookies and HTTP auth with cross-origin requests
+ * @param {Function} [options.fetch] - Replacement for `window.fetch`, called as `(url, init)`
+ * @param {Function} [options.beforeRequest] - Called as `(url, init)` before every request; may modify `init.headers` (a `Headers` object) or return a replacement `init`
+ * @param {Function} [options.onError] - Called with a typed error when a range request made through a custom `fetch` or `beforeRequest` hook fails after the document has opened, e.g. once a bearer token has expired; failures while it opens reject the returned promise instead
  * @returns {Promise<Object>} Promise that resolves with the loaded PDF.js document
  *
+ * @throws {TypeError} When the source type is not supported
+ * @throws {DOMException} `AbortError` when `options.signal` is aborted
  * @throws {Error} When container is required but not provided for HTML downloads
- * @throws {Error} When PDF loading fails due to network, parsing, or timeout issues
+ * @throws {PdfAGoGoError} When PDF loading fails; check `error.code` for the reason
  *
  * @example
  * // Basic PDF loading with progress
@@ -106,65 +181,692 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
  *     console.error(`Failed to load ${url}:`, error.message);
  *   }
  * }
+ *
+ * @example
+ * // Loading a file chosen by the user
+ * fileInput.addEventListener('change', async () => {
+ *   const pdf = await loadPdfWithProgress(fileInput.files[0], updateProgress);
+ *   console.log(`Loaded ${fileInput.files[0].name}: ${pdf.numPages} pages`);
+ * });
+ *
+ * @example
+ * // Encrypted PDF with a custom password prompt
+ * loadPdfWithProgress('./protected.pdf', updateProgress, {
+ *   onPassword: (incorrect) =>
+ *     window.prompt(incorrect ? 'Incorrect password, try again:' : 'Password:')
+ * });
+ *
+ * @example
+ * // Cancel the load when the user picks another document
+ * const controller = new AbortController();
+ * loadPdfWithProgress(url, updateProgress, { container, signal: controller.signal })
+ *   .catch(error => {
+ *     if (error.name === 'AbortError') return;
+ *     console.error('Failed to load PDF:', error);
+ *   });
+ * picker.onchange = () => controller.abort();
+ *
+ * @example
+ * // Branch on the kind of failure
+ * loadPdfWithProgress(url, updateProgress, { container, retries: 4 })
+ *   .catch(error => {
+ *     if (error.code === 'HTTP_ERROR' && error.status === 404) showNotFound();
+ *     else if (error.code === 'NOT_PDF') showWrongFileType();
+ *   });
+ *
+ * @example
+ * // Field use: reopen documents without the network
+ * loadPdfWithProgress(url, updateProgress, {
+ *   container,
+ *   cache: { maxSize: 200 * 1024 * 1024 } // 200 MB
+ * });
+ *
+ * @example
+ * // PDFs behind bearer-token authentication
+ * loadPdfWithProgress(url, updateProgress, {
+ *   container,
+ *   beforeRequest: async (url, init) => {
+ *     init.headers.set('Authorization', `Bearer ${await auth.getToken()}`);
+ *   }
+ * });
+ */
+export async function loadPdfWithProgress(source, onProgress, options = {}) {
+  options = Object.assign({}, options, {
+    cache: resolveCache(options.cache),
+    request: createFetch(options)
+  });
+  const { signal } = options;
+  const retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+  const retryDelay = options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY;
+  try {
+    throwIfAborted(signal);
+    const params = await getDocumentParams(source);
+
+    for (let attempt = 0; ; attempt++) {
+      throwIfAborted(signal);
+      try {
+        return await loadDocument(params, onProgress, options);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+        const delay = retryDelay * Math.pow(2, attempt);
+        console.warn(`Loading PDF failed (${error.message}), retrying in ${delay}ms`);
+        await wait(delay, signal);
+      }
+    }
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error('Error loading PDF:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Runs a single attempt at loading a document from normalized parameters.
+ *
+ * Any failure is converted into a typed error with {@link toPdfError}, so the
+ * caller can decide whether it is worth retrying.
+ *
+ * @param {{url: string}|{data: Uint8Array}} params - Parameters from {@link getDocumentParams}
+ * @param {Function} onProgress - Callback for progress updates
+ * @param {Object} options - Options passed to {@link loadPdfWithProgress}
+ * @returns {Promise<Object>} Promise that resolves with the loaded PDF.js document
+ * @private
  */
-export async function loadPdfWithProgress(url, onProgress, options = {}) {
+async function loadDocument(params, onProgress, options) {
+  const { signal } = options;
+  // Whether the file starts with a PDF header, used to tell "not a PDF"
+  // apart from "a damaged PDF" when PDF.js can't parse it
+  let looksLikePdf = null;
   try {
-    // First try to fetch the URL to check its content type
-    const response = await fetch(url);
-    const contentType = response.headers.get('content-type');
+    // In-memory sources are handed straight to PDF.js
+    if (!params.url) {
+      looksLikePdf = hasPdfSignature(params.data);
+      return await openDocument(params, onProgress, options);
+    }
+    const url = params.url;
+    const { cache, request } = options;
+
+    // A cached copy only needs revalidating, or stands in when offline
+    if (cache && await cache.has(url)) {
+      const data = await fetchCachedDocument(cache, url, request, onProgress, signal);
+      if (data) {
+        looksLikePdf = true;
+        return await openDocument({ data }, onProgress, options);
+      }
+    }
+
+    // Check the content type without downloading the whole file
+    const sniffed = await sniffContent(url, request, signal);
+    looksLikePdf = sniffed.looksLikePdf;
 
     // If it's HTML content, handle it with HTMLDownloadHandler
-    if (contentType && contentType.includes('text/html')) {
+    if (sniffed.isHtml) {
       if (!options.container) {
         throw new Error('Container element is required for HTML download handling');
       }
 
       const handler = new HTMLDownloadHandler({
-        downloadTimeout: options.downloadTimeout
+        downloadTimeout: options.downloadTimeout,
+        cache,
+        fetch: request
       });
       handler.initialize(options.container);
 
-      // Get the PDF blob from the handler
-      const pdfBlob = await handler.handleHTMLDownload(url);
+      // Get the PDF blob from the handler; it checks the signature itself
+      const pdfBlob = await handler.handleHTMLDownload(url, { signal });
+      looksLikePdf = true;
+
+      // The handler caches the PDF under its own URL; keep a copy under the
+      // page URL as well, so it can be found when the page can't be reached
+      if (cache) {
+        pdfBlob.arrayBuffer()
+          .then((buffer) => cache.put(url, buffer))
+          .catch((error) => console.warn('Could not cache', url, error));
+      }
 
       // Create a URL from the blob
       const pdfUrl = URL.createObjectURL(pdfBlob);
 
       // Load the PDF with PDF.js
-      const loadingTask = pdfjsLib.getDocument(pdfUrl);
-      if (onProgress && loadingTask.onProgress !== undefined) {
-        loadingTask.onProgress = function (progressData) {
-          if (progressData && progressData.loaded && progressData.total) {
-            onProgress(progressData.loaded / progressData.total);
-          } else {
-            onProgress(null); // Indeterminate
-          }
-        };
-      }
-
       try {
-        const pdf = await loadingTask.promise;
-        return pdf;
+        return await openDocument({ url: pdfUrl }, onProgress, options);
       } finally {
         // Clean up the blob URL
         URL.revokeObjectURL(pdfUrl);
       }
     }
 
-    // If it's a PDF or other content, load directly with PDF.js
-    const loadingTask = pdfjsLib.getDocument(url);
-    if (onProgress && loadingTask.onProgress !== undefined) {
-      loadingTask.onProgress = function (progressData) {
-        if (progressData && progressData.loaded && progressData.total) {
-          onProgress(progressData.loaded / progressData.total);
+    // If it's a PDF or other content, let PDF.js load it in ranges
+    let documentParams;
+    if (!hasCustomFetch(options)) {
+      documentParams = Object.assign(getRangeParams(options), getRequestParams(options), params);
+    } else if (sniffed.acceptsRanges && sniffed.length) {
+      // PDF.js can't call our fetch, so hand it the ranges ourselves
+      documentParams = Object.assign(getRangeParams(options), {
+        range: new FetchRangeTransport(url, sniffed.length, request)
+      });
+    } else {
+      // Without range support the file has to be downloaded in one go
+      let response;
+      try {
+        response = await request(url, { signal });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new NetworkError(`Could not fetch ${url}: ${error.message}`, { cause: error });
+      }
+      if (!response.ok) {
+        throw new HttpError(response.status, `Could not fetch ${url}: ${response.status} ${response.statusText}`);
+      }
+      documentParams = { data: await readResponse(response, onProgress) };
+    }
+    const pdf = await openDocument(documentParams, onProgress, options);
+    if (cache) {
+      // Fetch the remaining ranges in the background and store the file
+      pdf.getData()
+        .then((data) => cache.put(url, data, sniffed.validators))
+        .catch((error) => console.warn('Could not cache', url, error));
+    }
+    return pdf;
+  } catch (error) {
+    throw toPdfError(error, { looksLikePdf });
+  }
+}
+
+/**
+ * Downloads a document that has a cached copy.
+ *
+ * The cache makes the request conditional, so an unchanged document costs a
+ * `304` and is read from the cache; a changed one is downloaded in full and
+ * replaces the cached copy.
+ *
+ * @param {PdfCache} cache - The offline cache
+ * @param {string} url - The URL of the document
+ * @param {Function} request - Fetch function from `createFetch`
+ * @param {Function} onProgress - Callback for progress updates
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Uint8Array|null>} The PDF bytes, or null if the URL no longer serves a PDF
+ * @throws {HttpError} When the server answers with an error and there is no usable copy
+ * @private
+ */
+async function fetchCachedDocument(cache, url, request, onProgress, signal) {
+  let response;
+  try {
+    response = await cache.fetch(url, { signal }, request);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new NetworkError(`Could not fetch ${url}: ${error.message}`, { cause: error });
+  }
+  if (!response.ok) {
+    throw new HttpError(response.status, `Could not fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  const data = await readResponse(response, onProgress);
+  // e.g. the URL now serves an HTML download page; take the normal route
+  return hasPdfSignature(data) ? data : null;
+}
+
+/**
+ * Reads a response body, reporting progress when the size is known.
+ *
+ * @param {Response} response - The response to read
+ * @param {Function} [onProgress] - Callback for progress updates (0-1 or null)
+ * @returns {Promise<Uint8Array>} The body bytes
+ * @private
+ */
+async function readResponse(response, onProgress) {
+  const total = parseInt(response.headers.get('content-length'), 10);
+  if (!response.body || !onProgress) {
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(total ? Math.min(loaded / total, 1) : null);
+  }
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return data;
+}
+
+/**
+ * Feeds PDF.js the byte ranges it asks for through our own fetch function.
+ *
+ * Used when a custom `fetch` or `beforeRequest` hook is given, since PDF.js
+ * would otherwise make its range requests with the plain browser `fetch`.
+ *
+ * @class FetchRangeTransport
+ * @extends PDFDataRangeTransport
+ * @private
+ */
+class FetchRangeTransport extends pdfjsLib.PDFDataRangeTransport {
+  /**
+   * @param {string} url - The URL of the document
+   * @param {number} length - The size of the document in bytes
+   * @param {Function} request - Fetch function from `createFetch`
+   */
+  constructor(url, length, request) {
+    super(length, null);
+
+    /** @type {string} The URL of the document */
+    this.url = url;
+
+    /** @type {Function} Fetch function used for every range */
+    this.request = request;
+
+    /** @type {AbortController} Cancels outstanding range requests */
+    this.controller = new AbortController();
+
+    /** @type {Function|null} Called with the first failed range, as a typed error */
+    this.onError = null;
+
+    /** @type {boolean} Whether a range has failed; PDF.js has no way to recover from it */
+    this.failed = false;
+  }
+
+  /**
+   * Fetches the bytes from `begin` up to (but excluding) `end`.
+   *
+   * PDF.js waits for every range it asks for, so a failed range is handed
+   * to `onError` rather than left for PDF.js to wait on forever.
+   *
+   * @param {number} begin - Offset of the first byte
+   * @param {number} end - Offset after the last byte
+   */
+  requestDataRange(begin, end) {
+    this.request(this.url, {
+      headers: { Range: `bytes=${begin}-${end - 1}` },
+      signal: this.controller.signal
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new HttpError(response.status, `Range request failed: ${response.status} ${response.statusText}`);
+        }
+        return response.arrayBuffer().then((buffer) => {
+          // A 200 means the server sent the whole file instead of the range
+          const data = new Uint8Array(buffer);
+          return response.status === 206 ? data : data.slice(begin, end);
+        });
+      })
+      .then((chunk) => this.onDataRange(begin, chunk))
+      .catch((error) => {
+        if (isAbortError(error) || this.failed) return;
+        this.failed = true;
+        const failure = error instanceof HttpError
+          ? error
+          : new NetworkError(`Could not fetch ${this.url}: ${error.message}`, { cause: error });
+        if (this.onError) {
+          this.onError(failure);
         } else {
-          onProgress(null); // Indeterminate
+          console.error('Error loading PDF range:', failure);
         }
+      });
+  }
+
+  /** Cancels outstanding range requests when the document is destroyed. */
+  abort() {
+    this.controller.abort();
+  }
+}
+
+/**
+ * Builds the PDF.js parameters for headers and credentials.
+ *
+ * @param {Object} options - Loader options
+ * @param {Object<string, string>} [options.httpHeaders] - Headers for every request
+ * @param {boolean} [options.withCredentials] - Send cookies with cross-origin requests
+ * @returns {Object} Parameters for `pdfjsLib.getDocument`
+ * @private
+ */
+function getRequestParams(options) {
+  const params = {};
+  if (options.httpHeaders) params.httpHeaders = options.httpHeaders;
+  if (options.withCredentials) params.withCredentials = true;
+  return params;
+}
+
+/**
+ * Works out the full size of a document from a (possibly partial) response.
+ *
+ * @param {Response} response - A response for the document
+ * @returns {number|null} The size in bytes, if the server says
+ * @private
+ */
+function getLength(response) {
+  const range = response.headers.get('content-range');
+  if (range) {
+    // e.g. "bytes 0-1023/146515"
+    return parseInt(range.split('/')[1], 10) || null;
+  }
+  if (response.status === 200) {
+    return parseInt(response.headers.get('content-length'), 10) || null;
+  }
+  return null;
+}
+
+/**
+ * Collects the validators a cached copy is revalidated with.
+ *
+ * @param {Response} response - A response for the document
+ * @returns {{etag: string|null, lastModified: string|null}} The `ETag` and `Last-Modified` headers
+ * @private
+ */
+function getValidators(response) {
+  return {
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
+
+/**
+ * Waits before the next retry.
+ *
+ * @param {number} ms - How long to wait in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short with an `AbortError`
+ * @returns {Promise<void>} Resolves once the delay has passed
+ * @private
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Tells whether a content type says the file is a PDF.
+ *
+ * @param {string} contentType - The `Content-Type` header value
+ * @returns {boolean|null} `true` for PDF types, `null` for generic binary types that could be anything, `false` otherwise
+ * @private
+ */
+function isPdfContentType(contentType) {
+  const type = contentType.toLowerCase();
+  if (type.includes('pdf')) return true;
+  if (type.includes('octet-stream') || type.includes('binary')) return null;
+  return false;
+}
+
+/**
+ * Works out what a URL points to without downloading it.
+ *
+ * A HEAD request is tried first. Servers that don't support HEAD get a GET
+ * with a small `Range` header instead; only the first chunk of that response
+ * is read before the request is aborted, so servers that ignore the range
+ * don't send the whole file either. The first bytes are also checked for the
+ * `%PDF-` signature, which wins over a misleading content type.
+ *
+ * Error statuses from the HEAD request are not trusted (some signed URLs only
+ * allow GET); an error status from the GET rejects with an `HttpError`.
+ *
+ * @param {string} url - The URL to inspect
+ * @param {Function} request - Fetch function from `createFetch`
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<{contentType: string, isHtml: boolean, looksLikePdf: boolean|null, validators: Object, length: number|null, acceptsRanges: boolean}>} The sniffed content type, cache validators, file size and range support
+ * @throws {HttpError} When the server answers with an error status
+ * @throws {NetworkError} When the server can't be reached
+ * @private
+ */
+async function sniffContent(url, request, signal) {
+  try {
+    const head = await request(url, { method: 'HEAD', signal });
+    const contentType = head.headers.get('content-type');
+    if (contentType && head.ok) {
+      return {
+        contentType,
+        isHtml: contentType.includes('text/html'),
+        looksLikePdf: isPdfContentType(contentType),
+        validators: getValidators(head),
+        length: parseInt(head.headers.get('content-length'), 10) || null,
+        acceptsRanges: head.headers.get('accept-ranges') === 'bytes'
       };
     }
-    return loadingTask.promise;
   } catch (error) {
-    console.error('Error loading PDF:', error);
-    throw error;
+    if (isAbortError(error)) throw error;
+    // Some servers reject HEAD outright; fall back to a ranged GET below
+  }
+
+  // Our own controller stops the GET after the first chunk; it also follows
+  // the caller's signal
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    let response;
+    try {
+      response = await request(url, {
+        headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new NetworkError(`Could not fetch ${url}: ${error.message}`, { cause: error });
+    }
+    // 416 only means the file is shorter than the sniffing range
+    if (!response.ok && response.status !== 416) {
+      throw new HttpError(response.status, `Could not fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    let looksLikePdf = null;
+    if (response.body) {
+      const { value } = await response.body.getReader().read();
+      if (value) looksLikePdf = hasPdfSignature(value);
+    }
+    return {
+      contentType,
+      isHtml: !looksLikePdf && contentType.includes('text/html'),
+      looksLikePdf,
+      validators: getValidators(response),
+      length: getLength(response),
+      acceptsRanges: response.status === 206
+    };
+  } finally {
+    // Stop the download once we've seen the first chunk
+    if (signal) signal.removeEventListener('abort', onAbort);
+    controller.abort();
+  }
+}
+
+/**
+ * Builds the PDF.js parameters for range/streamed loading.
+ *
+ * With auto-fetch disabled PDF.js only requests the byte ranges it needs for
+ * the pages being displayed. Streaming has to be disabled as well for that to
+ * work, since a streamed response would pull in the rest of the file anyway.
+ *
+ * @param {Object} options - Loader options
+ * @param {number} [options.rangeChunkSize] - Size in bytes of each range request
+ * @param {boolean} [options.disableAutoFetch=true] - Only fetch the ranges that are needed
+ * @returns {Object} Parameters for `pdfjsLib.getDocument`
+ * @private
+ */
+function getRangeParams(options) {
+  const disableAutoFetch = options.disableAutoFetch !== false;
+  return {
+    rangeChunkSize: options.rangeChunkSize || DEFAULT_RANGE_CHUNK_SIZE,
+    disableAutoFetch,
+    disableStream: disableAutoFetch
+  };
+}
+
+/**
+ * Starts a PDF.js loading task and forwards its progress to the callback.
+ *
+ * Encrypted documents are opened with `options.password` if one is given.
+ * When PDF.js asks for a (new) password, `options.onPassword` is called with
+ * `true` if the previous attempt was wrong; it returns the password to try, or
+ * `null` to give up, in which case loading fails with a `PasswordError`.
+ * Aborting `options.signal` destroys the loading task and rejects with an
+ * `AbortError`. With a `FetchRangeTransport` in `params.range`, a failed
+ * range fails the loading task too; once the document has opened it is
+ * passed to `options.onError` instead.
+ *
+ * @param {Object} params - Parameters for `pdfjsLib.getDocument` (`url` or `data`)
+ * @param {Function} [onProgress] - Callback for progress updates (0-1 or null)
+ * @param {Object} [options={}] - Password and cancellation options
+ * @param {string} [options.password] - Password to try first
+ * @param {Function} [options.onPassword] - `(incorrect) => string|null|Promise<string|null>`
+ * @param {AbortSignal} [options.signal] - Cancels the loading task
+ * @param {Function} [options.onError] - Called with range failures after the document has opened
+ * @returns {Promise<Object>} Promise that resolves with the loaded PDF.js document
+ * @private
+ */
+function openDocument(params, onProgress, options = {}) {
+  const loadingTask = pdfjsLib.getDocument(
+    options.password ? Object.assign({ password: options.password }, params) : params
+  );
+  if (onProgress && loadingTask.onProgress !== undefined) {
+    loadingTask.onProgress = function (progressData) {
+      if (progressData && progressData.loaded && progressData.total) {
+        onProgress(progressData.loaded / progressData.total);
+      } else {
+        onProgress(null); // Indeterminate
+      }
+    };
+  }
+
+  const { signal } = options;
+  const transport = params.range instanceof FetchRangeTransport ? params.range : null;
+  if (!options.onPassword && !signal && !transport) {
+    return loadingTask.promise;
+  }
+
+  // PDF.js doesn't reject while it waits for a password or a range, so
+  // cancelling has to reject our own promise and tear the loading task down
+  let cancelLoading;
+  const cancelled = new Promise((resolve, reject) => {
+    cancelLoading = (error) => {
+      reject(error);
+      loadingTask.destroy();
+    };
+  });
+
+  if (signal) {
+    if (signal.aborted) {
+      cancelLoading(createAbortError());
+    }
+    const onAbort = () => cancelLoading(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    // Once the document is loaded the signal no longer applies
+    const detach = () => signal.removeEventListener('abort', onAbort);
+    loadingTask.promise.then(detach, detach);
+  }
+
+  if (transport) {
+    let opened = false;
+    loadingTask.promise.then(() => {
+      opened = true;
+    }, () => {});
+    transport.onError = (error) => {
+      if (!opened) {
+        cancelLoading(error);
+      } else if (options.onError) {
+        options.onError(error);
+      } else {
+        console.error('Error loading PDF range:', error);
+      }
+    };
+  }
+
+  if (options.onPassword) {
+    loadingTask.onPassword = function (updatePassword, reason) {
+      const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+      Promise.resolve(options.onPassword(incorrect)).then((password) => {
+        if (password === null || password === undefined) {
+          cancelLoading(new PasswordError(undefined, { incorrect }));
+          return;
+        }
+        updatePassword(password);
+      }, cancelLoading);
+    };
+  }
+  return Promise.race([loadingTask.promise, cancelled]);
+}
+
+/**
+ * Normalizes any supported PDF source into parameters for `pdfjsLib.getDocument`.
+ *
+ * Supported sources:
+ * - URL strings and `URL` objects, loaded over the network
+ * - `data:` URLs, decoded in place
+ * - `ArrayBuffer` and typed arrays such as `Uint8Array`
+ * - `Blob` and `File` objects (e.g. from a file input or drag and drop)
+ *
+ * Binary data is copied before it is passed on, because PDF.js transfers the
+ * buffer to its worker and would otherwise detach the caller's copy.
+ *
+ * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} source - The PDF to load
+ * @returns {Promise<{url: string}|{data: Uint8Array}>} Parameters for PDF.js
+ * @throws {TypeError} When the source type is not supported
+ *
+ * @example
+ * await getDocumentParams('./doc.pdf');          // { url: './doc.pdf' }
+ * await getDocumentParams(fileInput.files[0]);   // { data: Uint8Array(...) }
+ */
+export async function getDocumentParams(source) {
+  if (typeof URL !== 'undefined' && source instanceof URL) {
+    source = source.href;
+  }
+  if (typeof source === 'string') {
+    if (/^data:/i.test(source)) {
+      return { data: decodeDataUrl(source) };
+    }
+    return { url: source };
+  }
+  if (source instanceof ArrayBuffer) {
+    return { data: new Uint8Array(source.slice(0)) };
+  }
+  if (ArrayBuffer.isView(source)) {
+    return {
+      data: new Uint8Array(
+        source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)
+      )
+    };
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return { data: new Uint8Array(await source.arrayBuffer()) };
+  }
+  throw new TypeError('Unsupported PDF source: expected a URL, data URL, ArrayBuffer, Uint8Array, Blob or File');
+}
+
+/**
+ * Decodes a `data:` URL into its raw bytes.
+ *
+ * @param {string} dataUrl - A data URL, e.g. `data:application/pdf;base64,JVBERi0...`
+ * @returns {Uint8Array} The decoded bytes
+ * @throws {TypeError} When the data URL is malformed
+ * @private
+ */
+function decodeDataUrl(dataUrl) {
+  const commaIndex = dataUrl.indexOf(',');
+  if (commaIndex === -1) {
+    throw new TypeError('Malformed data URL');
+  }
+  const meta = dataUrl.slice(0, commaIndex);
+  const payload = dataUrl.slice(commaIndex + 1);
+  const binary = /;base64$/i.test(meta)
+    ? atob(payload)
+    : payload.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & 0xff;
   }
-}
\ No newline at end of file
+  return bytes;
+}
@@ -0,0 +1,32 @@
+/**
+ * @file Recognising PDF files by their header.
+ *
+ * The loader, the document cache and the HTML download handler all need to
+ * tell a PDF from an error page or a login form served in its place, and
+ * they have to agree on what counts as one. This module has no imports, so
+ * any of them can use it.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+/** @type {number} Number of leading bytes searched for the PDF header */
+export const SIGNATURE_BYTES = 1024;
+
+/**
+ * Checks whether bytes start with a PDF header.
+ *
+ * The header doesn't have to be at the very start: readers accept it
+ * anywhere in the first kilobyte, after junk some generators prepend.
+ *
+ * @param {Uint8Array} bytes - The first bytes of the file
+ * @returns {boolean} Whether `%PDF-` appears in the first 1024 bytes
+ *
+ * @example
+ * hasPdfSignature(new TextEncoder().encode("%PDF-1.7")); // true
+ */
+export function hasPdfSignature(bytes) {
+  const head = String.fromCharCode(...bytes.subarray(0, SIGNATURE_BYTES));
+  return head.includes("%PDF-");
+}
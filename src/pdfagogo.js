@@ -11,26 +11,26 @@
  */
 
 import { loadPdfWithProgress } from "./pdfLoader.js";
-import { createLoadingBar, updateLoadingBar, removeLoadingBar, showError, setupControls } from "./ui.js";
+import { createLoadingBar, updateLoadingBar, removeLoadingBar, showError, showPasswordPrompt, setupControls, removeControls } from "./ui.js";
 import { getH } from "@tpp/htm-x";
-import { ScrollablePdfViewer } from "./scrollablePdfViewer.js";
-
-/** @type {Object|null} The loaded PDF.js document instance */
-let pdf = null;
-
-/** @type {ScrollablePdfViewer|null} The active PDF viewer instance */
-let viewer = null;
+import { TextLayer } from "pdfjs-dist/build/pdf.mjs";
+import { ScrollablePdfViewer, DEFAULT_MOMENTUM } from "./scrollablePdfViewer.js";
+import { FlipbookViewer } from "./flipbookviewer.js";
+import { isAbortError, createAbortError } from "./errors.js";
+import { getPageLinks, resolveDestination } from "./links.js";
+import { getPageImageRegions } from "./themes.js";
 
 /**
  * Initialize the PDF-A-go-go viewer with comprehensive error handling and accessibility support.
  * 
- * This function creates a new ScrollablePdfViewer instance within the specified container,
+ * This function creates a new ScrollablePdfViewer (or, with `viewer: "flipbook"`, a
+ * FlipbookViewer) instance within the specified container,
  * configures it with the provided options, and sets up all necessary event handlers.
  * 
  * @param {Object} book - PDF book object with numPages() and getPage() methods
  * @param {Function} book.numPages - Returns the total number of pages in the PDF
- * @param {Function} book.getPage - Retrieves a specific page with rendering capabilities
- * @param {string} id - DOM element ID for the viewer container
+ * @param {Function} book.getPage - Retrieves a specific page; the page's `render(canvas)` draws it to fill a canvas
+ * @param {string|HTMLElement} id - DOM element ID (or the element itself) for the viewer container
  * @param {Object} [opts={}] - Viewer configuration options
  * @param {boolean} [opts.showPrevNext=true] - Show previous/next navigation buttons
  * @param {boolean} [opts.showPageSelector=true] - Show page number input field
@@ -38,6 +38,18 @@ let viewer = null;
  * @param {boolean} [opts.showSearch=true] - Show search functionality
  * @param {boolean} [opts.showDownload=true] - Show download button
  * @param {boolean} [opts.showResizeGrip=true] - Show resize handle
+ * @param {string} [opts.viewer="scroll"] - "scroll" (scrolling strip of pages) or "flipbook" (a book with animated page turns)
+ * @param {string} [opts.layout="horizontal"] - "horizontal" (pages side by side) or "vertical" (pages top to bottom, fitted to the width)
+ * @param {string} [opts.spread="none"] - Two-page spreads: "none", "odd" (pages 1–2, 3–4, …) or "even" (cover on its own, then 2–3, 4–5, …); the flipbook viewer defaults to "even"
+ * @param {boolean} [opts.offscreenRendering=true] - Render pages into an `OffscreenCanvas` and swap the finished bitmap in, so a page being re-rendered keeps its old image meanwhile (where the browser supports it)
+ * @param {number} [opts.memoryBudget] - Megabytes of rendered pages to keep (default 256, or 64 on mobile); beyond it the least recently seen pages out of view are released and rendered again when they come back
+ * @param {string} [opts.theme="auto"] - Page colours: "normal", "dark", "sepia" or "high-contrast"; "auto" is dark when the reader's system prefers dark colours
+ * @param {string} [opts.themeForeground] - Ink colour of the high-contrast theme, any CSS colour (default yellow)
+ * @param {string} [opts.themeBackground] - Paper colour of the high-contrast theme, any CSS colour (default black)
+ * @param {boolean} [opts.textLayer=true] - Put selectable text over the pages, so passages can be selected and copied
+ * @param {boolean} [opts.links=true] - Make the PDF's links clickable: links to other sites open in a new tab, links within the document go to their page
+ * @param {Array<string>|Function} [opts.linkAllowList] - Hosts whose links open without asking (`"example.com"`, `"*.example.com"`), or `(url: URL) => boolean`; links elsewhere ask first
+ * @param {boolean|Function} [opts.confirmLinks] - Ask before opening links to other sites (`false` blocks links that are not on the allow-list); a function `(url) => boolean|Promise<boolean>` replaces the confirm dialog
  * @param {number} [opts.defaultPage=1] - Default page to display on load
  * @param {number} [opts.momentum=1.5] - Scroll momentum factor for smooth scrolling
  * @param {boolean} [opts.debug=false] - Enable debug mode with performance metrics
@@ -46,6 +58,7 @@ let viewer = null;
  * @param {number} [opts.margin] - General margin setting
  * @param {number} [opts.marginTop] - Top margin setting
  * @param {number} [opts.marginLeft] - Left margin setting
+ * @param {Function} [opts.loadBook] - `(source, { signal }) => Promise<book>`, lets `viewer.load()` open new documents
  * @param {Function} [cb] - Callback function called with (error, viewer) upon completion
  * @returns {void}
  * 
@@ -94,8 +107,9 @@ function init(book, id, opts, cb) {
   // Remove any existing children to ensure clean initialization
   while (app.firstChild) app.removeChild(app.firstChild);
 
-  // Create the scrollable PDF viewer with provided configuration
-  viewer = new ScrollablePdfViewer({
+  // Create the PDF viewer with provided configuration
+  const Viewer = opts.viewer === "flipbook" ? FlipbookViewer : ScrollablePdfViewer;
+  const viewer = new Viewer({
     app,
     book,
     options: opts,
@@ -104,307 +118,604 @@ function init(book, id, opts, cb) {
 }
 
 /**
- * Main entry point for PDF-A-go-go application.
- * 
- * This IIFE (Immediately Invoked Function Expression) handles the complete application lifecycle:
- * - Parses configuration from data attributes
- * - Sets up loading progress indicators
- * - Loads the PDF with HTML download handling
- * - Initializes the viewer with accessibility features
- * - Sets up all UI controls and event handlers
- * 
- * The function automatically detects and handles:
- * - Direct PDF URLs
- * - HTML pages that redirect to PDFs (institutional repositories)
- * - WebGL configuration for optimal rendering
- * - Mobile vs desktop optimization
- * 
- * @function
- * @name MainApplication
- * @memberof module:pdfagogo
+ * Default configuration options for the PDF viewer.
+ * These can be overridden via data attributes on the container element.
+ *
+ * @type {Object}
+ * @property {boolean} showPrevNext - Show previous/next navigation buttons
+ * @property {boolean} showPageSelector - Show page number input field
+ * @property {boolean} showCurrentPage - Show current page indicator
+ * @property {boolean} showSearch - Show search functionality
+ * @property {boolean} showResizeGrip - Show resize handle
+ * @property {string} pdfUrl - Default PDF URL to load
+ * @property {boolean} showDownload - Show download button
+ * @property {boolean} showThumbnails - Show the page thumbnail sidebar (scrolling viewer only)
  */
-(function () {
-  const pdfagogoContainer = document.querySelector(".pdfagogo-container");
-  
-  // Create loading bar with progress tracking
-  const progressBar = createLoadingBar(pdfagogoContainer);
+const defaultOptions = {
+  showPrevNext: true,
+  showPageSelector: true,
+  showCurrentPage: true,
+  showSearch: true,
+  showResizeGrip: true,
+  pdfUrl: "./example.pdf",
+  showDownload: true,
+  showZoom: true,
+  showRotate: true,
+  showTheme: true,
+  showThumbnails: false,
+};
 
-  // --- BEGIN: Option defaults ---
-  /**
-   * Default configuration options for the PDF viewer.
-   * These can be overridden via data attributes on the container element.
-   * 
-   * @type {Object}
-   * @property {boolean} showPrevNext - Show previous/next navigation buttons
-   * @property {boolean} showPageSelector - Show page number input field
-   * @property {boolean} showCurrentPage - Show current page indicator
-   * @property {boolean} showSearch - Show search functionality
-   * @property {boolean} showResizeGrip - Show resize handle
-   * @property {string} pdfUrl - Default PDF URL to load
-   * @property {boolean} showDownload - Show download button
-   */
-  const defaultOptions = {
-    showPrevNext: true,
-    showPageSelector: true,
-    showCurrentPage: true,
-    showSearch: true,
-    showResizeGrip: true,
-    pdfUrl: "./example.pdf",
-    showDownload: true,
-  };
-  // --- END: Option defaults ---
+/**
+ * Robust boolean parser that handles various input formats.
+ *
+ * This helper function safely converts string and boolean values to boolean,
+ * with proper fallback handling for undefined or invalid values.
+ *
+ * @param {string|boolean|undefined} val - Value to parse as boolean
+ * @param {boolean} fallback - Fallback value if parsing fails
+ * @returns {boolean} Parsed boolean value or fallback
+ *
+ * @example
+ * parseBool('true', false);     // returns true
+ * parseBool('false', true);     // returns false
+ * parseBool('', false);         // returns true (empty string is truthy)
+ * parseBool(undefined, true);   // returns true (fallback)
+ * parseBool(null, false);       // returns false (fallback)
+ */
+function parseBool(val, fallback) {
+  if (val === undefined) return fallback;
+  if (typeof val === 'boolean') return val;
+  if (typeof val === 'string') return val === 'true' || val === '';
+  return fallback;
+}
 
-  /**
-   * Robust boolean parser that handles various input formats.
-   * 
-   * This helper function safely converts string and boolean values to boolean,
-   * with proper fallback handling for undefined or invalid values.
-   * 
-   * @param {string|boolean|undefined} val - Value to parse as boolean
-   * @param {boolean} fallback - Fallback value if parsing fails
-   * @returns {boolean} Parsed boolean value or fallback
-   * 
-   * @example
-   * parseBool('true', false);     // returns true
-   * parseBool('false', true);     // returns false
-   * parseBool('', false);         // returns true (empty string is truthy)
-   * parseBool(undefined, true);   // returns true (fallback)
-   * parseBool(null, false);       // returns false (fallback)
-   */
-  function parseBool(val, fallback) {
-    if (val === undefined) return fallback;
-    if (typeof val === 'boolean') return val;
-    if (typeof val === 'string') return val === 'true' || val === '';
-    return fallback;
+/**
+ * Extracts and parses configuration options from data attributes on the container element.
+ *
+ * This function reads all supported data attributes and converts them to the appropriate
+ * types (string, number, boolean) for use in viewer configuration. It handles both
+ * display options and behavioral settings.
+ *
+ * @param {HTMLElement} container - The container element with data attributes
+ * @returns {Object} Parsed options object with typed values
+ *
+ * @example
+ * // HTML: <div data-pdf-url="./doc.pdf" data-show-search="true" data-default-page="5">
+ * const options = getOptionsFromDataAttrs(container);
+ * // Returns: { pdfUrl: './doc.pdf', showSearch: true, defaultPage: 5 }
+ */
+function getOptionsFromDataAttrs(container) {
+  const opts = {};
+  if (!container) return opts;
+
+  const map = container.dataset;
+
+  // URL and content options
+  if (map.pdfUrl) opts.pdfUrl = map.pdfUrl;
+  if (map.defaultPage) opts.defaultPage = parseInt(map.defaultPage, 10);
+  if (map.hashKey) opts.hashKey = map.hashKey;
+  if (map.password) opts.password = map.password;
+  if (map.rangeChunkSize) opts.rangeChunkSize = parseInt(map.rangeChunkSize, 10);
+  if (map.disableAutoFetch !== undefined) opts.disableAutoFetch = parseBool(map.disableAutoFetch, true);
+  if (map.retries !== undefined) opts.retries = parseInt(map.retries, 10);
+  if (map.retryDelay !== undefined) opts.retryDelay = parseInt(map.retryDelay, 10);
+  if (parseBool(map.cache, false)) {
+    opts.cache = map.cacheMaxSize ? { maxSize: parseInt(map.cacheMaxSize, 10) } : true;
   }
+  if (map.withCredentials !== undefined) opts.withCredentials = parseBool(map.withCredentials, false);
+
+  // Appearance options
+  if (map.viewer) opts.viewer = map.viewer;
+  if (map.layout) opts.layout = map.layout;
+  if (map.spread) opts.spread = map.spread;
+  if (map.offscreenRendering !== undefined) opts.offscreenRendering = parseBool(map.offscreenRendering, true);
+  if (map.memoryBudget) opts.memoryBudget = parseFloat(map.memoryBudget);
+  if (map.theme) opts.theme = map.theme;
+  if (map.themeForeground) opts.themeForeground = map.themeForeground;
+  if (map.themeBackground) opts.themeBackground = map.themeBackground;
+  if (map.textLayer !== undefined) opts.textLayer = parseBool(map.textLayer, true);
+  if (map.links !== undefined) opts.links = parseBool(map.links, true);
+  if (map.linkAllowList) opts.linkAllowList = map.linkAllowList.split(",").map((host) => host.trim()).filter(Boolean);
+  if (map.confirmLinks !== undefined) opts.confirmLinks = parseBool(map.confirmLinks, false);
+  if (map.backgroundColor) opts.backgroundColor = map.backgroundColor;
+  if (map.boxBorder) opts.boxBorder = parseInt(map.boxBorder, 10);
+  if (map.margin) opts.margin = parseFloat(map.margin);
+  if (map.marginTop) opts.marginTop = parseFloat(map.marginTop);
+  if (map.marginLeft) opts.marginLeft = parseFloat(map.marginLeft);
+
+  // UI feature toggles
+  if (map.showPrevNext !== undefined) opts.showPrevNext = parseBool(map.showPrevNext, undefined);
+  if (map.showPageSelector !== undefined) opts.showPageSelector = parseBool(map.showPageSelector, undefined);
+  if (map.showCurrentPage !== undefined) opts.showCurrentPage = parseBool(map.showCurrentPage, undefined);
+  if (map.showSearch !== undefined) opts.showSearch = parseBool(map.showSearch, undefined);
+  if (map.showResizeGrip !== undefined) opts.showResizeGrip = parseBool(map.showResizeGrip, undefined);
+  if (map.showDownload !== undefined) opts.showDownload = parseBool(map.showDownload, undefined);
+  if (map.showZoom !== undefined) opts.showZoom = parseBool(map.showZoom, undefined);
+  if (map.showRotate !== undefined) opts.showRotate = parseBool(map.showRotate, undefined);
+  if (map.showTheme !== undefined) opts.showTheme = parseBool(map.showTheme, undefined);
+  if (map.showThumbnails !== undefined) opts.showThumbnails = parseBool(map.showThumbnails, undefined);
+
+  // Behavioral options
+  if (map.momentum !== undefined) opts.momentum = parseFloat(map.momentum) || DEFAULT_MOMENTUM;
+  if (map.debug !== undefined) opts.debug = parseBool(map.debug, false);
 
+  return opts;
+}
+
+/**
+ * Determines WebGL configuration from data attributes.
+ *
+ * WebGL is disabled by default for better compatibility and stability.
+ * This can be overridden by setting data-disable-webgl="false".
+ *
+ * @param {HTMLElement} container - Container element to check for WebGL settings
+ * @returns {boolean} True if WebGL should be disabled, false otherwise
+ */
+function getDisableWebGLFromDataAttrs(container) {
+  if (!container) return true; // default: disable WebGL
+  const val = container.getAttribute('data-disable-webgl');
+  if (val === null) return true; // default: disable WebGL
+  if (val === 'false') return false;
+  return true;
+}
+
+/**
+ * Builds the URL hash key used to deep-link to a page in a given viewer.
+ *
+ * The first viewer on the page keeps the historical `pdf-page` key so existing
+ * share links keep working. Every further viewer gets its own key derived from
+ * the container id (or its position) so that several viewers can keep their
+ * page in the same URL hash, e.g. `#pdf-page=3&pdf-page-annual-report=12`.
+ *
+ * @param {HTMLElement} container - The viewer container element
+ * @param {number} index - Position of the container among all viewers on the page
+ * @returns {string} The hash key for this viewer
+ */
+function getHashKey(container, index) {
+  if (index === 0) return "pdf-page";
+  return "pdf-page-" + (container.id || index + 1);
+}
+
+/** @type {WeakMap<HTMLElement, number>} Order in which each container first got a viewer */
+const viewerIndexes = new WeakMap();
+
+/** @type {number} Containers that have had a viewer so far */
+let viewerCount = 0;
+
+/**
+ * Finds a container's position among all the viewers created on the page.
+ *
+ * A container keeps its position when it gets a viewer again, e.g. when a
+ * failed load is retried, so its page stays under the same hash key.
+ *
+ * @param {HTMLElement} container - The viewer container element
+ * @returns {number} Zero-based position of the container's viewer
+ */
+function getViewerIndex(container) {
+  if (!viewerIndexes.has(container)) viewerIndexes.set(container, viewerCount++);
+  return viewerIndexes.get(container);
+}
+
+/**
+ * Creates the book adapter the viewer uses to access a loaded PDF document.
+ *
+ * The viewer never talks to PDF.js directly; instead it asks this adapter for
+ * the page count and for pages, which render themselves into the viewer's
+ * canvases at the size they are shown at. Keeping the adapter here means
+ * integrators using {@link createViewer} never have to build one themselves.
+ *
+ * @param {Object} pdf - The loaded PDF.js document instance
+ * @returns {Object} Book object with numPages(), getPage() and destroy() methods
+ */
+function createBook(pdf) {
   /**
-   * Extracts and parses configuration options from data attributes on the container element.
-   * 
-   * This function reads all supported data attributes and converts them to the appropriate
-   * types (string, number, boolean) for use in viewer configuration. It handles both
-   * display options and behavioral settings.
-   * 
-   * @param {HTMLElement} container - The container element with data attributes
-   * @returns {Object} Parsed options object with typed values
-   * 
-   * @example
-   * // HTML: <div data-pdf-url="./doc.pdf" data-show-search="true" data-default-page="5">
-   * const options = getOptionsFromDataAttrs(container);
-   * // Returns: { pdfUrl: './doc.pdf', showSearch: true, defaultPage: 5 }
+   * Book object that provides a standardized interface to the PDF document.
+   *
+   * This object abstracts PDF.js functionality and provides methods for
+   * page counting, page retrieval and rendering.
+   *
+   * @type {Object}
+   * @property {Function} numPages - Returns total number of pages
+   * @property {Function} getPage - Retrieves a specific page, which can render itself into a canvas
+   * @property {Function} resolveDestination - Finds the target of an internal link
+   * @property {Function} destroy - Releases the PDF document
+   * @property {Object} pdf - The underlying PDF.js document, used by search and download
    */
-  function getOptionsFromDataAttrs(container) {
-    const opts = {};
-    if (!container) return opts;
-    
-    const map = container.dataset;
-    
-    // URL and content options
-    if (map.pdfUrl) opts.pdfUrl = map.pdfUrl;
-    if (map.defaultPage) opts.defaultPage = parseInt(map.defaultPage, 10);
-    
-    // Appearance options
-    if (map.backgroundColor) opts.backgroundColor = map.backgroundColor;
-    if (map.boxBorder) opts.boxBorder = parseInt(map.boxBorder, 10);
-    if (map.margin) opts.margin = parseFloat(map.margin);
-    if (map.marginTop) opts.marginTop = parseFloat(map.marginTop);
-    if (map.marginLeft) opts.marginLeft = parseFloat(map.marginLeft);
-    
-    // UI feature toggles
-    if (map.showPrevNext !== undefined) opts.showPrevNext = parseBool(map.showPrevNext, undefined);
-    if (map.showPageSelector !== undefined) opts.showPageSelector = parseBool(map.showPageSelector, undefined);
-    if (map.showCurrentPage !== undefined) opts.showCurrentPage = parseBool(map.showCurrentPage, undefined);
-    if (map.showSearch !== undefined) opts.showSearch = parseBool(map.showSearch, undefined);
-    if (map.showResizeGrip !== undefined) opts.showResizeGrip = parseBool(map.showResizeGrip, undefined);
-    if (map.showDownload !== undefined) opts.showDownload = parseBool(map.showDownload, undefined);
-    
-    // Behavioral options
-    if (map.momentum !== undefined) opts.momentum = parseFloat(map.momentum) || 1.5;
-    if (map.debug !== undefined) opts.debug = parseBool(map.debug, false);
-    
-    return opts;
+  return {
+    pdf,
+
+    /**
+     * Get the total number of pages in the PDF.
+     * @returns {number} Total page count
+     */
+    numPages: () => pdf.numPages,
+
+    /**
+     * Retrieve a specific page.
+     *
+     * Nothing is rendered yet: the viewer works out the exact size it shows
+     * the page at and asks for a render into its own canvas with `render()`.
+     * The page's size, render, text and links all follow the rotation
+     * asked for, on top of the page's own `/Rotate`.
+     *
+     * @param {number} num - Zero-based page index
+     * @param {Function} cb - Callback function(error, pageData)
+     * @param {Object} [options] - Page options
+     * @param {number} [options.rotation=0] - Extra clockwise rotation in degrees, a multiple of 90
+     */
+    getPage: (num, cb, { rotation = 0 } = {}) => {
+      const pageNum = num + 1; // Convert to 1-based indexing
+
+      if (pageNum < 1 || pageNum > pdf.numPages) {
+        cb(new Error("Page out of range"));
+        return;
+      }
+
+      pdf
+        .getPage(pageNum)
+        .then(function (page) {
+          const viewport = page.getViewport({ scale: 1, rotation: (page.rotate + rotation) % 360 });
+
+          // Return the page's size in PDF points and its rendering capabilities
+          cb(null, {
+            width: viewport.width,
+            height: viewport.height,
+            /**
+             * Renders the page to fill a canvas at the canvas's current size.
+             *
+             * @param {HTMLCanvasElement|OffscreenCanvas} target - The canvas to draw into
+             * @returns {{promise: Promise<void>, cancel: Function}} The render; a cancelled render rejects with an `AbortError`
+             */
+            render: (target) => {
+              const task = page.render({
+                canvasContext: target.getContext("2d", { alpha: false }),
+                viewport,
+                transform: [target.width / viewport.width, 0, 0, target.height / viewport.height, 0, 0]
+              });
+              return {
+                promise: task.promise.catch((err) => {
+                  throw err && err.name === "RenderingCancelledException" ? createAbortError("Page rendering was cancelled") : err;
+                }),
+                cancel: () => task.cancel()
+              };
+            },
+            getTextContent: () => page.getTextContent(),
+            getViewport: (opts) => page.getViewport({ rotation: viewport.rotation, ...opts }),
+            // Lays the page's text out in `container` in PDF points; the
+            // viewer scales it to the page with --total-scale-factor
+            renderTextLayer: (container) => new TextLayer({
+              textContentSource: page.streamTextContent(),
+              container,
+              viewport
+            }),
+            getLinks: () => getPageLinks(page, viewport),
+            // Where the page's pictures are, so reading themes can leave them be
+            getImageRegions: () => getPageImageRegions(page, viewport)
+          });
+        })
+        .catch(function (err) {
+          cb(err);
+        });
+    },
+
+    /**
+     * Find the page and position an internal link points to.
+     *
+     * @param {string|Array} dest - A named or explicit destination, from a link's `dest`
+     * @returns {Promise<{pageIndex: number, left: number|null, top: number|null}|null>} The target, or null if it can't be found
+     */
+    resolveDestination: (dest) => resolveDestination(pdf, dest),
+
+    /**
+     * Release the PDF document and its worker resources.
+     * Called by the viewer's destroy().
+     * @returns {Promise<void>} Resolves once PDF.js has cleaned up
+     */
+    destroy: () => pdf.destroy(),
+  };
+}
+
+/**
+ * Creates a viewer inside a container and loads a PDF into it.
+ *
+ * This is the programmatic counterpart to the data attribute bootstrap. The
+ * PDF can come from anywhere: a URL, a data URL, raw bytes or a Blob/File
+ * (for example one dropped onto the page by the user). The loading bar,
+ * book adapter, viewer and controls are all created for you.
+ *
+ * @param {string|HTMLElement} container - The container element, or its id
+ * @param {Object} [opts={}] - Source and viewer options
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob|File} [opts.source] - The PDF to load (defaults to `opts.pdfUrl`)
+ * @param {number} [opts.downloadTimeout=30000] - Timeout in milliseconds for HTML downloads
+ * @param {string} [opts.hashKey] - URL hash parameter used for page links; the first viewer on the page uses `pdf-page`, later ones `pdf-page-<container id>` (or their position)
+ * @param {string} [opts.downloadName] - File name used by the download button for non-URL sources
+ * @param {string} [opts.password] - Password for encrypted PDFs; the user is prompted if it is missing or wrong
+ * @param {number} [opts.rangeChunkSize] - Size in bytes of each range request
+ * @param {boolean} [opts.disableAutoFetch=true] - Only fetch the parts of the file needed for displayed pages
+ * @param {AbortSignal} [opts.signal] - Cancels loading; the loading bar is removed and the promise rejects with an `AbortError`
+ * @param {number} [opts.retries=2] - How many times to retry after a transient network error
+ * @param {number} [opts.retryDelay=1000] - Delay before the first retry in ms, doubled for each further retry
+ * @param {boolean|Object|PdfCache} [opts.cache] - Keep downloaded PDFs in an offline cache (`true`, `{ name, maxSize }` or a `PdfCache`)
+ * @param {Object<string, string>} [opts.httpHeaders] - Headers sent with every request for the document, e.g. `{ Authorization: 'Bearer …' }`
+ * @param {boolean} [opts.withCredentials=false] - Send cookies and HTTP auth with cross-origin requests
+ * @param {Function} [opts.fetch] - Replacement for `window.fetch` used for every request for the document
+ * @param {Function} [opts.beforeRequest] - Called as `(url, init)` before every request; may set headers on `init.headers` (e.g. a freshly refreshed token) or return a replacement `init`
+ * @param {Object<string, string>} [opts.messages] - Translations for the error messages, keyed by error code (see `DEFAULT_ERROR_MESSAGES` in ui.js)
+ * @param {string} [opts.viewer="scroll"] - "scroll" for the scrolling viewer or "flipbook" for a book with page turns
+ * @returns {Promise<ScrollablePdfViewer|FlipbookViewer>} Resolves with the viewer once the PDF has loaded
+ *
+ * If loading fails, the loading area shows a message for the error's `code`
+ * with a "Retry" button, a `pdfagogo:error` DOM event carrying the error in
+ * `event.detail.error` is dispatched on the container, and the promise
+ * rejects with the error. Errors after loading, such as a page failing to
+ * render or `viewer.load()` failing to open another document, are emitted
+ * as `error` events on the viewer.
+ *
+ * The viewer can show other documents later with `viewer.load(source, { page })`,
+ * which keeps the toolbar and the viewer's size.
+ *
+ * @example
+ * // Show a file the user dropped onto the page
+ * dropZone.addEventListener('drop', async (e) => {
+ *   e.preventDefault();
+ *   const viewer = await createViewer(container, {
+ *     source: e.dataTransfer.files[0],
+ *     showSearch: true
+ *   });
+ *   viewer.go_to_page(0);
+ * });
+ *
+ * @example
+ * // Show a PDF generated on the client
+ * const bytes = await generateReport(); // Uint8Array
+ * createViewer('report-container', { source: bytes });
+ *
+ * @example
+ * // Stop loading when the route changes
+ * const controller = new AbortController();
+ * createViewer(container, { source: url, signal: controller.signal });
+ * router.onLeave(() => controller.abort());
+ *
+ * @example
+ * // PDFs behind bearer-token authentication
+ * createViewer(container, {
+ *   source: 'https://api.example.com/reports/42.pdf',
+ *   beforeRequest: async (url, init) => {
+ *     init.headers.set('Authorization', `Bearer ${await auth.getToken()}`);
+ *   }
+ * });
+ *
+ * @example
+ * // Branch on the kind of failure
+ * container.addEventListener('pdfagogo:error', (e) => {
+ *   if (e.detail.error.code === 'PASSWORD') analytics.track('pdf-locked');
+ * });
+ * const viewer = await createViewer(container, { source: url });
+ * viewer.on('error', (err) => console.warn(err.code, err.pageIndex));
+ *
+ * @example
+ * // Switch documents from a picker next to the viewer
+ * const viewer = await createViewer(container, { source: picker.value });
+ * picker.addEventListener('change', () => viewer.load(picker.value, { page: 1 }));
+ */
+function createViewer(container, opts) {
+  const pdfagogoContainer = typeof container === "string"
+    ? document.getElementById(container)
+    : container;
+  if (!pdfagogoContainer) {
+    const emsg = "scrollable-pdf-viewer: Failed to find container for viewer: " + container;
+    console.error(emsg);
+    return Promise.reject(new Error(emsg));
   }
 
-  // Merge default options with data attribute options
-  const dataOptions = getOptionsFromDataAttrs(pdfagogoContainer);
-  const featureOptions = Object.assign({}, defaultOptions, dataOptions);
+  // Every viewer keeps its page under its own key in the URL hash
+  const hashKey = getHashKey(pdfagogoContainer, getViewerIndex(pdfagogoContainer));
+  const featureOptions = Object.assign({ hashKey }, defaultOptions, opts);
+  const source = featureOptions.source !== undefined ? featureOptions.source : featureOptions.pdfUrl;
+  const signal = featureOptions.signal;
+  delete featureOptions.source;
+  delete featureOptions.signal;
 
   // Clean up any existing UI controls to prevent duplicates
-  [
-    "pdfagogo-search-controls",
-    "pdfagogo-controls",
-    "pdfagogo-page-announcement",
-    "pdfagogo-a11y-instructions",
-  ].forEach((cls) => {
-    const el = document.querySelector("." + cls);
-    if (el && el.parentNode) el.parentNode.removeChild(el);
-  });
+  removeControls(pdfagogoContainer);
 
-  /**
-   * Determines WebGL configuration from data attributes.
-   * 
-   * WebGL is disabled by default for better compatibility and stability.
-   * This can be overridden by setting data-disable-webgl="false".
-   * 
-   * @param {HTMLElement} container - Container element to check for WebGL settings
-   * @returns {boolean} True if WebGL should be disabled, false otherwise
-   */
-  function getDisableWebGLFromDataAttrs(container) {
-    if (!container) return true; // default: disable WebGL
-    const val = container.getAttribute('data-disable-webgl');
-    if (val === null) return true; // default: disable WebGL
-    if (val === 'false') return false;
-    return true;
-  }
+  // viewer.load() opens new documents the same way as the first one
+  featureOptions.loadBook = (nextSource, loadOptions) => {
+    const { signal: loadSignal } = loadOptions || {};
+    return openBook(pdfagogoContainer, nextSource, featureOptions, opts, loadSignal)
+      .then((book) => {
+        removeLoadingBar(pdfagogoContainer);
+        return book;
+      })
+      .catch((err) => {
+        reportLoadError(err, pdfagogoContainer, featureOptions, () => {
+          const viewer = pdfagogoContainer.pdfViewer;
+          if (viewer) viewer.load(nextSource, loadOptions).catch(() => {});
+        });
+        throw err;
+      });
+  };
 
-  // Configure PDF.js WebGL settings
-  if (typeof window !== "undefined") {
-    window.pdfjsDisableWebGL = getDisableWebGLFromDataAttrs(pdfagogoContainer);
-  }
+  return openBook(pdfagogoContainer, source, featureOptions, opts, signal)
+    .then(function (book) {
+      // Initialize the viewer with the book object
+      return new Promise((resolve, reject) => {
+        init(book, pdfagogoContainer, featureOptions, function (err, viewer) {
+          removeLoadingBar(pdfagogoContainer);
+          if (err) {
+            reject(err instanceof Error ? err : new Error(err));
+            return;
+          }
+          pdfagogoContainer.pdfViewer = viewer;
+          viewer.once("destroy", () => {
+            if (pdfagogoContainer.pdfViewer === viewer) delete pdfagogoContainer.pdfViewer;
+          });
+          setupControls(pdfagogoContainer, featureOptions, viewer, book, book.pdf);
+          resolve(viewer);
+        });
+      });
+    })
+    .catch(function (err) {
+      // Errors from a retry are reported the same way
+      reportLoadError(err, pdfagogoContainer, featureOptions, () =>
+        createViewer(pdfagogoContainer, opts).catch(() => {})
+      );
+      throw err;
+    });
+}
+
+/**
+ * Shows the loading bar and opens a PDF source as a book.
+ *
+ * Once the document has opened, also points the download button at it:
+ * plain URLs are linked to directly, other sources are downloaded from the
+ * loaded document's bytes. A load that fails or is cancelled leaves the
+ * button on the document that is still showing.
+ * Range requests that fail once the document is open are reported in the
+ * loading area like a failed load, with a retry that opens it again.
+ *
+ * @param {HTMLElement} container - The viewer container
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob|File} source - The PDF to open
+ * @param {Object} featureOptions - The viewer's options; `pdfUrl` and `downloadName` are updated
+ * @param {Object} [opts={}] - The options originally passed to {@link createViewer}
+ * @param {AbortSignal} [signal] - Cancels loading
+ * @returns {Promise<Object>} Resolves with the book adapter for the document
+ */
+function openBook(container, source, featureOptions, opts, signal) {
+  // Create loading bar with progress tracking
+  const progressBar = createLoadingBar(container);
 
   // Load PDF with comprehensive progress tracking and error handling
-  loadPdfWithProgress(
-    featureOptions.pdfUrl, 
+  return loadPdfWithProgress(
+    source,
     (progress) => {
       updateLoadingBar(progressBar, progress);
     },
     {
-      container: pdfagogoContainer,
-      downloadTimeout: parseInt(pdfagogoContainer.dataset.downloadTimeout, 10) || 30000
+      container,
+      downloadTimeout: featureOptions.downloadTimeout || 30000,
+      password: featureOptions.password,
+      rangeChunkSize: featureOptions.rangeChunkSize,
+      disableAutoFetch: featureOptions.disableAutoFetch,
+      retries: featureOptions.retries,
+      retryDelay: featureOptions.retryDelay,
+      cache: featureOptions.cache,
+      httpHeaders: featureOptions.httpHeaders,
+      withCredentials: featureOptions.withCredentials,
+      fetch: featureOptions.fetch,
+      beforeRequest: featureOptions.beforeRequest,
+      signal,
+      onPassword: (incorrect) => showPasswordPrompt(container, incorrect),
+      // A range request failing once the document is open, e.g. after a
+      // bearer token expired: offer to open the document again
+      onError: (err) => reportLoadError(err, container, featureOptions, () => {
+        const viewer = container.pdfViewer;
+        if (viewer) viewer.load(source, { page: viewer.currentPage + 1 }).catch(() => {});
+      })
     }
-  )
-    .then(async function (loadedPdf) {
-      pdf = loadedPdf;
-      
-      /**
-       * Book object that provides a standardized interface to the PDF document.
-       * 
-       * This object abstracts PDF.js functionality and provides methods for
-       * page counting, page retrieval, and rendering with highlight support.
-       * 
-       * @type {Object}
-       * @property {Function} numPages - Returns total number of pages
-       * @property {Function} getPage - Retrieves and renders a specific page
-       */
-      const book = {
-        /**
-         * Get the total number of pages in the PDF.
-         * @returns {number} Total page count
-         */
-        numPages: () => pdf.numPages,
-        
-        /**
-         * Retrieve and render a specific page with optional highlights.
-         * 
-         * @param {number} num - Zero-based page index
-         * @param {Function} cb - Callback function(error, pageData)
-         * @param {Array<Object>} [highlights] - Array of highlight objects to render
-         * @param {number} highlights[].x - X coordinate of highlight
-         * @param {number} highlights[].y - Y coordinate of highlight  
-         * @param {number} highlights[].width - Width of highlight
-         * @param {number} highlights[].height - Height of highlight
-         */
-        getPage: (num, cb, highlights) => {
-          const pageNum = num + 1; // Convert to 1-based indexing
-          
-          if (pageNum < 1 || pageNum > pdf.numPages) {
-            cb(new Error("Page out of range"));
-            return;
-          }
-          
-          pdf
-            .getPage(pageNum)
-            .then(async function (page) {
-              // Use device pixel ratio for crisp rendering
-              const scale = window.devicePixelRatio || 1.8;
-              const viewport = page.getViewport({ scale });
-              
-              // Create canvas for rendering
-              const canvas = document.createElement("canvas");
-              const context = canvas.getContext("2d");
-              canvas.width = viewport.width;
-              canvas.height = viewport.height;
-              
-              // Render the page
-              await page.render({ canvasContext: context, viewport: viewport }).promise;
-              
-              // Draw highlights if provided (for search results)
-              if (Array.isArray(highlights) && highlights.length > 0) {
-                context.save();
-                const prevComp = context.globalCompositeOperation;
-                context.globalCompositeOperation = 'multiply';
-                context.globalAlpha = 1.0;
-                context.fillStyle = "rgba(255,255,0,1)";
-                
-                for (const hl of highlights) {
-                  const rect = viewport.convertToViewportRectangle([
-                    hl.x,
-                    hl.y,
-                    hl.x + hl.width,
-                    hl.y + hl.height
-                  ]);
-                  const left = Math.min(rect[0], rect[2]);
-                  let top = Math.min(rect[1], rect[3]);
-                  top -= 8; // Slight vertical adjustment for better visibility
-                  const width = Math.abs(rect[2] - rect[0]);
-                  const height = Math.abs(rect[3] - rect[1]);
-                  context.fillRect(left, top, width, height);
-                }
-                
-                context.globalCompositeOperation = prevComp;
-                context.restore();
-              }
-              
-              // Return page data with rendering capabilities
-              cb(null, {
-                img: canvas,
-                width: viewport.width,
-                height: viewport.height,
-                getTextContent: () => page.getTextContent(),
-                getViewport: (opts) => page.getViewport(opts)
-              });
-            })
-            .catch(function (err) {
-              cb(err);
-            });
-        },
-      };
-      
-      // Initialize the viewer with the book object
-      init(book, "pdfagogo-container", featureOptions, function (err, v) {
-        removeLoadingBar();
-        if (err) {
-          showError("Failed to load PDF: " + err);
-          return;
-        }
-        viewer = v;
-        setupControls(pdfagogoContainer, featureOptions, viewer, book, pdf);
-      });
-    })
-    .catch(function (err) {
-      /**
-       * Handle PDF loading errors with user-friendly error messages.
-       * 
-       * This catch block handles various types of loading failures:
-       * - Network errors (PDF not found, server issues)
-       * - PDF parsing errors (corrupted or invalid PDF files)
-       * - HTML download handler failures (timeout, redirect issues)
-       * - PDF.js rendering errors
-       * 
-       * @param {Error} err - The error that occurred during PDF loading
-       */
-      showError("Failed to load PDF: " + err);
-    });
+  ).then((pdf) => {
+    featureOptions.pdfUrl = typeof source === "string" && !source.startsWith("data:") ? source : null;
+    featureOptions.downloadName = (opts && opts.downloadName) ||
+      (typeof File !== "undefined" && source instanceof File ? source.name : undefined);
+    return createBook(pdf);
+  });
+}
+
+/**
+ * Reports a failed load in the viewer's loading area.
+ *
+ * The loader reports failures as typed errors (network, HTTP status, not a
+ * PDF, password, corrupt file, HTML redirect timeout); the message shown is
+ * picked by the error's `code`, and the user can retry the load from the
+ * loading area. A `pdfagogo:error` event is dispatched on the container so
+ * pages using the data attribute setup can react too. Cancelled loads just
+ * clear the loading area.
+ *
+ * @param {Error} err - The error that occurred during PDF loading
+ * @param {HTMLElement} container - The viewer container
+ * @param {Object} featureOptions - The viewer's options (for `messages`)
+ * @param {Function} retry - Called when the user presses "Retry"
+ */
+function reportLoadError(err, container, featureOptions, retry) {
+  if (isAbortError(err)) {
+    // Cancelled on purpose: nothing to report, just clear the loading area
+    removeLoadingBar(container);
+    return;
+  }
+  showError(err, container, {
+    messages: featureOptions.messages,
+    onRetry: retry
+  });
+  container.dispatchEvent(
+    new CustomEvent("pdfagogo:error", { bubbles: true, detail: { error: err } })
+  );
+}
+
+/**
+ * Bootstraps a single viewer inside the given container.
+ *
+ * Each container gets its own loading bar, PDF document, book adapter,
+ * ScrollablePdfViewer and controls, so several viewers can live on one page
+ * without sharing any state.
+ *
+ * The function automatically detects and handles:
+ * - Direct PDF URLs
+ * - HTML pages that redirect to PDFs (institutional repositories)
+ * - WebGL configuration for optimal rendering
+ * - Mobile vs desktop optimization
+ *
+ * @param {HTMLElement} pdfagogoContainer - The `.pdfagogo-container` element to set up
+ * @param {number} index - Position of the container among all viewers on the page
+ */
+function bootstrapContainer(pdfagogoContainer, index) {
+  // Merge the per-container defaults with data attribute options
+  const dataOptions = getOptionsFromDataAttrs(pdfagogoContainer);
+  const featureOptions = Object.assign(
+    {
+      hashKey: getHashKey(pdfagogoContainer, index),
+      downloadTimeout: parseInt(pdfagogoContainer.dataset.downloadTimeout, 10) || 30000
+    },
+    dataOptions
+  );
+
+  // Configure PDF.js WebGL settings
+  if (typeof window !== "undefined") {
+    window.pdfjsDisableWebGL = getDisableWebGLFromDataAttrs(pdfagogoContainer);
+  }
+
+  // Errors are already shown in the loading area by createViewer
+  createViewer(pdfagogoContainer, featureOptions).catch(() => {});
+}
+
+/**
+ * Main entry point for PDF-A-go-go application.
+ *
+ * This IIFE (Immediately Invoked Function Expression) finds every
+ * `.pdfagogo-container` on the page and bootstraps an independent viewer in
+ * each of them:
+ * - Parses configuration from data attributes
+ * - Sets up loading progress indicators
+ * - Loads the PDF with HTML download handling
+ * - Initializes the viewer with accessibility features
+ * - Sets up all UI controls and event handlers
+ *
+ * @function
+ * @name MainApplication
+ * @memberof module:pdfagogo
+ */
+(function () {
+  document.querySelectorAll(".pdfagogo-container").forEach(bootstrapContainer);
 })();
 
 /**
- * Default export object providing the init function for external use.
+ * Default export object providing the init and createViewer functions for external use.
  * 
  * This allows the module to be used programmatically by other applications
  * that want to embed the PDF viewer with custom configuration.
  * 
  * @type {Object}
  * @property {Function} init - The main initialization function
+ * @property {Function} createViewer - Load a PDF from any source into a container
  * 
  * @example
  * import pdfagogo from './pdfagogo.js';
@@ -419,4 +730,23 @@ function init(book, id, opts, cb) {
  *   }
  * });
  */
-export default { init };
+export { init, createViewer };
+export default { init, createViewer };
+
+// Error classes, so embedders can check `instanceof` as well as `error.code`
+export {
+  PdfAGoGoError,
+  NetworkError,
+  HttpError,
+  NotPdfError,
+  PasswordError,
+  CorruptPdfError,
+  HtmlRedirectTimeoutError,
+  RenderError
+} from "./errors.js";
+
+// Viewer classes, for `instanceof` checks and custom setups
+export { ScrollablePdfViewer, FlipbookViewer };
+
+// Offline cache, so pages can list and clear what viewers have cached
+export { PdfCache } from "./pdfCache.js";
@@ -0,0 +1,64 @@
+/**
+ * @file Shared HTTP request settings for PDF-A-go-go.
+ *
+ * Every request the library makes for a document goes through a function
+ * built by {@link createFetch}: the content sniffing requests, the HTML
+ * download handler's HEAD and GET requests, the offline cache's
+ * revalidation, and (when a custom `fetch` or `beforeRequest` hook is given)
+ * the range requests PDF.js makes for the document itself. That way extra
+ * headers, credentials and hooks apply to all of them alike, e.g. for PDFs
+ * behind bearer-token authentication.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+/**
+ * Builds a `fetch`-compatible function that applies the request options.
+ *
+ * @param {Object} [options={}] - Request options
+ * @param {Object<string, string>} [options.httpHeaders] - Headers added to every request
+ * @param {boolean} [options.withCredentials=false] - Send cookies and HTTP auth with cross-origin requests
+ * @param {Function} [options.fetch] - Replacement for `window.fetch`, called as `(url, init)`
+ * @param {Function} [options.beforeRequest] - Called as `(url, init)` before every request; `init.headers` is a `Headers` object that may be modified in place, or the hook may return (a promise of) a replacement `init`
+ * @returns {Function} `(url, init) => Promise<Response>`
+ *
+ * @example
+ * const request = createFetch({
+ *   httpHeaders: { 'X-Client': 'field-app' },
+ *   beforeRequest: async (url, init) => {
+ *     init.headers.set('Authorization', `Bearer ${await getToken()}`);
+ *   }
+ * });
+ * const response = await request(url, { method: 'HEAD' });
+ */
+export function createFetch(options = {}) {
+  const baseFetch = options.fetch || ((url, init) => fetch(url, init));
+  return async function request(url, init = {}) {
+    const headers = new Headers(options.httpHeaders);
+    new Headers(init.headers).forEach((value, name) => headers.set(name, value));
+    let requestInit = Object.assign({}, init, { headers });
+    if (!requestInit.credentials && options.withCredentials) {
+      requestInit.credentials = "include";
+    }
+    if (options.beforeRequest) {
+      const replacement = await options.beforeRequest(url, requestInit);
+      if (replacement) requestInit = replacement;
+    }
+    return baseFetch(url, requestInit);
+  };
+}
+
+/**
+ * Whether the options replace how requests are made, rather than just
+ * adding headers or credentials. PDF.js can apply headers and credentials
+ * itself, but custom fetch functions and hooks need its range requests to
+ * be routed through {@link createFetch}.
+ *
+ * @param {Object} [options={}] - Request options
+ * @returns {boolean} True when a `fetch` or `beforeRequest` function is given
+ */
+export function hasCustomFetch(options = {}) {
+  return Boolean(options.fetch || options.beforeRequest);
+}
@@ -18,122 +18,447 @@
  */
 
 import EventEmitter from "events";
+import { RenderError, isAbortError } from "./errors.js";
+import { getLinkAction, confirmLink } from "./links.js";
+import { canRenderOffscreen, renderPageToCanvas, releaseCanvas, createHighlightLayer } from "./pageRender.js";
+import { resolveTheme } from "./themes.js";
+import { openNextBook } from "./documentLoad.js";
+import { THUMBNAIL_WIDTH } from "./thumbnailPanel.js";
+
+/** @type {number} Smallest zoom level, relative to the fitted page height */
+const MIN_ZOOM = 0.25;
+
+/** @type {number} Largest zoom level, relative to the fitted page height */
+const MAX_ZOOM = 4;
+
+/** @type {Array<number>} Levels zoomIn() and zoomOut() step through */
+const ZOOM_STEPS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4];
+
+/** @type {Array<string>} Zoom modes that are worked out from the viewer's size */
+const ZOOM_MODES = ["fit-width", "fit-page", "actual"];
+
+/** @type {number} CSS pixels per PDF point, used for the "actual" zoom mode */
+const CSS_PIXELS_PER_POINT = 96 / 72;
+
+/** @type {number} Width-to-height ratio assumed for pages that haven't rendered yet */
+const DEFAULT_PAGE_ASPECT = 0.7;
+
+/** @type {number} Largest bitmap (in pixels) rendered for one page, to bound memory use when zoomed in */
+const MAX_CANVAS_PIXELS = 16777216;
+
+/** @type {number} Delay in ms before zoomed pages are re-rendered, so continuous zooming stays smooth */
+const ZOOM_RENDER_DELAY = 150;
+
+/** @type {number} How strongly ctrl + wheel (and trackpad pinch) zooms */
+const WHEEL_ZOOM_SPEED = 0.002;
+
+/** @type {number} Zoom level a double tap zooms in to from the fitted size */
+const DOUBLE_TAP_ZOOM = 2;
+
+/** @type {number} Longest time in ms between the taps of a double tap, and for each tap */
+const DOUBLE_TAP_DELAY = 300;
+
+/** @type {number} Farthest apart in px the two taps of a double tap may land */
+const DOUBLE_TAP_DISTANCE = 30;
+
+/** @type {number} How far in px a finger may move and still count as a tap */
+const TAP_SLOP = 10;
+
+/** @type {number} Width in px of the strips along the viewer's left and right edges where a swipe turns the page */
+const EDGE_SWIPE_ZONE = 32;
+
+/** @type {number} How far in px an edge swipe has to travel to turn the page */
+const EDGE_SWIPE_DISTANCE = 60;
+
+/** @type {number} Space in px left beside pages in the vertical layout (matches the CSS page margin) */
+const VERTICAL_PAGE_GUTTER = 12;
+
+/** @type {Array<string>} Ways of pairing pages into spreads */
+const SPREAD_MODES = ["none", "odd", "even"];
+
+/** @type {number} Fraction of the full render scale used for the quick first pass over newly visible pages */
+const LOW_RES_FACTOR = 0.35;
+
+/** @type {number} Delay in ms after scrolling stops before visible pages are upgraded to high resolution */
+const HIGH_RES_DELAY = 200;
+
+/** @type {number} Minimum time in ms between visible-page checks while scrolling (~30fps) */
+const SCROLL_CHECK_INTERVAL = 32;
+
+/** @type {number} How many pages may render at once (one on mobile) */
+const MAX_CONCURRENT_RENDERS = 2;
+
+/** @type {number} Pages whose sizes are read together; the first batch is read before the pages are shown, the others in the background */
+const PAGE_SIZE_BATCH = 50;
+
+/** @type {number} How far wheel scrolls and flicks carry the pages when no `momentum` is given */
+export const DEFAULT_MOMENTUM = 1.5;
+
+/** @type {number} Megabytes of rendered pages kept by default */
+const DEFAULT_MEMORY_BUDGET = 256;
+
+/** @type {number} Megabytes of rendered pages kept by default on mobile devices */
+const MOBILE_MEMORY_BUDGET = 64;
+
+/** @type {number} Bytes per megabyte */
+const MB = 1024 * 1024;
 
 /**
- * Render queue system for managing PDF page rendering tasks.
- * 
- * This class implements a priority-based task queue that processes rendering
- * operations using requestAnimationFrame for optimal performance. It ensures
- * that high-priority tasks (visible pages) are rendered before lower-priority
- * tasks (off-screen pages).
- * 
+ * Render queue for page rendering tasks.
+ *
+ * Tasks are keyed, so asking for the same render twice queues it once.
+ * Whenever a task can start, the queue picks the most urgent one and, among
+ * those, the one for the page closest to the centre of the view, using the
+ * `distance` function it was created with. A few tasks run at once, each
+ * started in an animation frame; tasks get an `AbortSignal` so renders for
+ * pages that have scrolled away can be stopped mid-way.
+ *
+ * Tasks go in one of two lanes. The "pages" lane holds the pages in the
+ * strip. The "background" lane holds work that can wait, such as page
+ * thumbnails: its tasks start only while no page is waiting, first come
+ * first served, one at a time, so a page scrolled into view always finds
+ * a free slot soon.
+ *
  * @class RenderQueue
  * @example
- * const queue = new RenderQueue();
- * 
- * // Add a high-priority task
- * queue.add(() => renderVisiblePage(1), true);
- * 
- * // Add a normal priority task
- * queue.add(() => renderOffscreenPage(5));
- * 
- * // Clear all pending tasks
- * queue.clear();
+ * const queue = new RenderQueue({ distance: (page) => distanceFromCenter(page) });
+ *
+ * // Quick passes go before everything else
+ * queue.add('low:1', (signal) => renderPage(1, 'low', signal), { page: 1, urgent: true });
+ * queue.add('high:5', (signal) => renderPage(5, 'high', signal), { page: 5 });
+ *
+ * // Stop work for pages that are no longer needed
+ * queue.prune((page) => page < 10);
+ *
+ * // Thumbnails wait for the pages
+ * queue.add('thumbnail:7', (signal) => renderThumbnail(7, signal), { page: 7, lane: 'background' });
  */
 class RenderQueue {
   /**
    * Create a new render queue instance.
-   * 
+   *
    * @constructor
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.concurrency=2] - How many tasks may run at once
+   * @param {Function} [options.distance] - `(page) => number`, how far a page is from the centre of the view
    */
-  constructor() {
-    /** @type {Array<Function>} Array of pending render tasks */
-    this.queue = [];
-    
-    /** @type {boolean} Whether the queue is currently processing tasks */
-    this.isProcessing = false;
-    
-    /** @type {Function|null} The currently executing task */
-    this.currentTask = null;
+  constructor({ concurrency = MAX_CONCURRENT_RENDERS, distance = () => 0 } = {}) {
+    /** @type {Map<string, Object>} Tasks waiting to start, keyed by task key */
+    this.pending = new Map();
+
+    /** @type {Map<string, Object>} Tasks running right now, keyed by task key */
+    this.running = new Map();
+
+    /** @type {number} How many tasks may run at once */
+    this.concurrency = concurrency;
+
+    /** @type {Function} Distance of a page from the centre of the view */
+    this.distance = distance;
+
+    /** @type {number|null} Animation frame waiting to start tasks */
+    this.frameId = null;
+
+    /** @type {number} Order in which tasks were added, to keep ties first come first served */
+    this.sequence = 0;
+
+    /**
+     * Counters for the performance metrics.
+     * @type {{completed: number, cancelled: number, deduplicated: number}}
+     */
+    this.stats = { completed: 0, cancelled: 0, deduplicated: 0 };
+  }
+
+  /**
+   * Number of tasks waiting to start.
+   * @type {number}
+   */
+  get length() {
+    return this.pending.size;
   }
 
   /**
    * Add a rendering task to the queue.
-   * 
-   * Tasks can be added with normal or high priority. High-priority tasks
-   * are added to the front of the queue and will be processed before
-   * normal priority tasks.
-   * 
-   * @param {Function} task - The rendering task function to execute
-   * @param {boolean} [priority=false] - Whether this is a high-priority task
-   * 
+   *
+   * A task with the same key as one already waiting replaces it. A task
+   * with the same key as one already running cancels that one, as it was
+   * asked for under different conditions (e.g. another zoom level).
+   *
+   * @param {string} key - Identifies the render, e.g. `"high:4"`
+   * @param {Function} task - `(signal) => Promise`, the render; it should stop when `signal` aborts
+   * @param {Object} [options={}] - Scheduling options
+   * @param {number} [options.page] - Zero-based page index the task renders
+   * @param {boolean} [options.urgent=false] - Run before all tasks that aren't urgent
+   * @param {string} [options.lane="pages"] - "pages", or "background" for work that waits until no page is waiting
+   *
    * @example
-   * // Add a normal priority task
-   * queue.add(() => renderPage(5));
-   * 
-   * // Add a high-priority task (will be processed first)
-   * queue.add(() => renderVisiblePage(2), true);
+   * queue.add('high:2', (signal) => renderPage(2, 'high', signal), { page: 2 });
    */
-  add(task, priority = false) {
-    if (priority) {
-      // High-priority tasks go to the front of the queue
-      this.queue.unshift(task);
-    } else {
-      // Normal priority tasks go to the back
-      this.queue.push(task);
-    }
+  add(key, task, { page = null, urgent = false, lane = "pages" } = {}) {
+    if (this.pending.has(key)) this.stats.deduplicated++;
+    if (this.running.has(key)) this._abort(this.running.get(key));
+    this.pending.set(key, { key, task, page, urgent, lane, order: this.sequence++ });
+    this._schedule();
+  }
 
-    // Start processing if not already running
-    if (!this.isProcessing) {
-      this.process();
-    }
+  /**
+   * Whether a task is waiting or running.
+   *
+   * @param {string} key - The task key
+   * @returns {boolean} True if the task is queued or in progress
+   */
+  has(key) {
+    return this.pending.has(key) || this.running.has(key);
   }
 
   /**
-   * Clear all pending tasks from the queue.
-   * 
-   * This method removes all queued tasks but does not interrupt
-   * the currently executing task.
-   * 
-   * @example
-   * // Clear all pending renders when user navigates away
-   * queue.clear();
+   * Cancel the waiting and running tasks for pages that are no longer
+   * needed.
+   *
+   * @param {Function} keep - `(page) => boolean`, whether a page's tasks should go on
+   * @param {string} [lane="pages"] - The lane to prune
    */
-  clear() {
-    this.queue = [];
-    this.currentTask = null;
+  prune(keep, lane = "pages") {
+    this.pending.forEach(job => {
+      if (job.lane === lane && job.page !== null && !keep(job.page)) {
+        this.pending.delete(job.key);
+        this.stats.cancelled++;
+      }
+    });
+    this.running.forEach(job => {
+      if (job.lane === lane && job.page !== null && !keep(job.page)) this._abort(job);
+    });
   }
 
   /**
-   * Process the next task in the queue using requestAnimationFrame.
-   * 
-   * This method uses requestAnimationFrame to ensure rendering tasks
-   * are executed at the optimal time for smooth performance. It handles
-   * errors gracefully and continues processing even if individual tasks fail.
-   * 
-   * @private
+   * Cancel every task, waiting or running, in one lane or all of them.
+   *
+   * @param {string} [lane] - The lane to clear; every lane if left out
+   *
+   * @example
+   * // Start over after the pages were resized, leaving thumbnails be
+   * queue.clear('pages');
    */
-  process() {
-    if (this.queue.length === 0) {
-      this.isProcessing = false;
+  clear(lane) {
+    if (lane) {
+      this.pending.forEach(job => {
+        if (job.lane === lane) {
+          this.pending.delete(job.key);
+          this.stats.cancelled++;
+        }
+      });
+      this.running.forEach(job => {
+        if (job.lane === lane) this._abort(job);
+      });
       return;
     }
+    this.stats.cancelled += this.pending.size;
+    this.pending.clear();
+    this.running.forEach(job => this._abort(job));
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
 
-    this.isProcessing = true;
-    this.currentTask = this.queue.shift();
+  /**
+   * Stops a running task. It leaves the running set straight away, so a
+   * replacement can start without waiting for it to wind down.
+   *
+   * @param {Object} job - The running task
+   * @private
+   */
+  _abort(job) {
+    if (this.running.get(job.key) === job) this.running.delete(job.key);
+    job.controller.abort();
+    this.stats.cancelled++;
+  }
 
-    requestAnimationFrame(() => {
-      Promise.resolve(this.currentTask())
-        .then(() => {
-          this.currentTask = null;
-          this.process(); // Process next task
-        })
+  /**
+   * Starts tasks in the next animation frame if there is room for them.
+   *
+   * @private
+   */
+  _schedule() {
+    if (this.frameId !== null || this.pending.size === 0 || this.running.size >= this.concurrency) return;
+    this.frameId = requestAnimationFrame(() => {
+      this.frameId = null;
+      this._process();
+    });
+  }
+
+  /**
+   * Starts the most urgent, closest tasks until the concurrency limit is
+   * reached. Failing tasks are logged and don't stop the queue.
+   *
+   * @private
+   */
+  _process() {
+    while (this.pending.size > 0 && this.running.size < this.concurrency) {
+      const job = this._next();
+      if (!job) break;
+      this.pending.delete(job.key);
+      job.controller = new AbortController();
+      this.running.set(job.key, job);
+
+      Promise.resolve()
+        .then(() => job.task(job.controller.signal))
         .catch(err => {
           console.error('Render task failed:', err);
-          this.currentTask = null;
-          this.process(); // Continue with next task even if current fails
+        })
+        .then(() => {
+          // A cancelled task has already been taken off the running set
+          if (this.running.get(job.key) === job) {
+            this.running.delete(job.key);
+            this.stats.completed++;
+          }
+          this._schedule();
         });
+    }
+  }
+
+  /**
+   * Picks the task to start next: urgent tasks first, then the page
+   * closest to the centre of the view, then the oldest. Background tasks
+   * come after every page, one at a time.
+   *
+   * @returns {Object|null} The waiting task, or null if background tasks have to wait
+   * @private
+   */
+  _next() {
+    let best = null;
+    let bestDistance = Infinity;
+    this.pending.forEach(job => {
+      if (job.lane !== "pages") return;
+      const distance = job.page === null ? Infinity : this.distance(job.page);
+      if (!best ||
+          (job.urgent && !best.urgent) ||
+          (job.urgent === best.urgent &&
+            (distance < bestDistance || (distance === bestDistance && job.order < best.order)))) {
+        best = job;
+        bestDistance = distance;
+      }
+    });
+    if (best) return best;
+
+    for (const job of this.running.values()) {
+      if (job.lane !== "pages") return null;
+    }
+    this.pending.forEach(job => {
+      if (!best || job.order < best.order) best = job;
     });
+    return best;
+  }
+}
+
+/**
+ * Least-recently-seen cache of rendered pages, kept within a memory budget.
+ *
+ * The cache doesn't hold the bitmaps itself: it tracks how many bytes each
+ * rendered page canvas takes and in which order the pages were last seen,
+ * and tells the viewer which pages to release once the total goes over the
+ * budget.
+ *
+ * @class PageCache
+ * @example
+ * const cache = new PageCache({ budget: 64 * MB });
+ * cache.set(3, canvas.width * canvas.height * 4);
+ * cache.touch(3); // seen again
+ * cache.evict((page) => visible.has(page)).forEach(releasePage);
+ */
+class PageCache {
+  /**
+   * Create a new page cache instance.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.budget] - Bytes of rendered pages to keep
+   */
+  constructor({ budget = DEFAULT_MEMORY_BUDGET * MB } = {}) {
+    /** @type {Map<number, number>} Bytes per page, least recently seen first */
+    this.entries = new Map();
+
+    /** @type {number} Bytes of rendered pages to keep */
+    this.budget = budget;
+
+    /** @type {number} Bytes taken by the pages in the cache */
+    this.used = 0;
+
+    /**
+     * Counters for the performance metrics.
+     * @type {{evicted: number}}
+     */
+    this.stats = { evicted: 0 };
+  }
+
+  /**
+   * Number of pages in the cache.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Records a rendered page as the most recently seen one.
+   *
+   * @param {number} page - Zero-based page index
+   * @param {number} bytes - Memory its bitmap takes
+   */
+  set(page, bytes) {
+    this.delete(page);
+    this.entries.set(page, bytes);
+    this.used += bytes;
+  }
+
+  /**
+   * Marks a page as seen just now, if it is in the cache.
+   *
+   * @param {number} page - Zero-based page index
+   */
+  touch(page) {
+    if (!this.entries.has(page)) return;
+    const bytes = this.entries.get(page);
+    this.entries.delete(page);
+    this.entries.set(page, bytes);
+  }
+
+  /**
+   * Forgets a page, e.g. once its bitmap has been released.
+   *
+   * @param {number} page - Zero-based page index
+   * @returns {number} The bytes the page took, 0 if it wasn't cached
+   */
+  delete(page) {
+    const bytes = this.entries.get(page) || 0;
+    if (this.entries.delete(page)) this.used -= bytes;
+    return bytes;
+  }
+
+  /**
+   * Takes the least recently seen pages out of the cache until it is
+   * within budget.
+   *
+   * @param {Function} keep - `(page) => boolean`, pages that may not be evicted, e.g. the visible ones
+   * @returns {Array<number>} The evicted pages, for the caller to release
+   */
+  evict(keep) {
+    const evicted = [];
+    for (const page of this.entries.keys()) {
+      if (this.used <= this.budget) break;
+      if (keep(page)) continue;
+      this.delete(page);
+      this.stats.evicted++;
+      evicted.push(page);
+    }
+    return evicted;
+  }
+
+  /**
+   * Forgets every page.
+   */
+  clear() {
+    this.entries.clear();
+    this.used = 0;
   }
 }
 
@@ -145,7 +470,8 @@ class RenderQueue {
  * and accessibility features.
  * 
  * Key features:
- * - Horizontal scrolling PDF viewer with smooth navigation
+ * - Horizontal (side by side) or vertical (top to bottom) scrolling with smooth navigation
+ * - Two-page spreads for magazines and brochures
  * - Render queue system for optimal performance
  * - Memory management with automatic cleanup
  * - Mobile and desktop optimization
@@ -159,6 +485,13 @@ class RenderQueue {
  * @fires ScrollablePdfViewer#initialRenderComplete - When initial page rendering is complete
  * @fires ScrollablePdfViewer#pageChange - When the current page changes
  * @fires ScrollablePdfViewer#seen - When a page becomes visible
+ * @fires ScrollablePdfViewer#error - When a page fails to render or a new document fails to load
+ * @fires ScrollablePdfViewer#documentChanged - When load() has swapped in a new document
+ * @fires ScrollablePdfViewer#zoomChanged - When the zoom level or mode changes
+ * @fires ScrollablePdfViewer#spreadChanged - When spreads switch on or off as the viewer is resized
+ * @fires ScrollablePdfViewer#rotationChanged - When the document or a page is rotated
+ * @fires ScrollablePdfViewer#themeChanged - When the page colours change
+ * @fires ScrollablePdfViewer#destroy - When the viewer is being destroyed
  * 
  * @example
  * const viewer = new ScrollablePdfViewer({
@@ -194,6 +527,13 @@ export class ScrollablePdfViewer extends EventEmitter {
    * @param {boolean} [config.options.debug=false] - Enable debug mode with performance metrics
    * @param {string} [config.options.backgroundColor] - Background color for pages
    * @param {number} [config.options.margin] - Page margin settings
+   * @param {string} [config.options.layout="horizontal"] - "horizontal" shows pages side by side, fitted to the viewer's height; "vertical" stacks them top to bottom, fitted to its width
+   * @param {string} [config.options.spread="none"] - Show facing pages as two-page spreads: "odd" pairs 1–2, 3–4, …; "even" shows the cover on its own and pairs 2–3, 4–5, …
+   * @param {string} [config.options.theme="auto"] - Page colours: "normal", "dark", "sepia" or "high-contrast"; "auto" follows the reader's `prefers-color-scheme`
+   * @param {string} [config.options.themeForeground] - Ink colour of the high-contrast theme
+   * @param {string} [config.options.themeBackground] - Paper colour of the high-contrast theme
+   * @param {number} [config.options.memoryBudget] - Megabytes of rendered pages to keep; defaults to 256, or 64 on mobile
+   * @param {Function} [config.options.loadBook] - `(source, { signal }) => Promise<book>`, used by load() to open new documents
    * 
    * @constructor
    * @example
@@ -232,37 +572,138 @@ export class ScrollablePdfViewer extends EventEmitter {
     
     /** @type {Object<number, HTMLCanvasElement>} Cache of rendered page canvases */
     this.pageCanvases = {};
-    
-    /** @type {RenderQueue} Queue for managing rendering tasks */
-    this.renderQueue = new RenderQueue();
+
+    /** @type {Object<number, Array<Object>>} Search highlight boxes keyed by page index */
+    this.highlights = {};
+
+    /** @type {Object<number, {width: number, height: number}>} Page sizes in PDF points, read in batches from the first page on */
+    this.pageSizes = {};
+
+    /** @type {Array<Promise>} Batches of page sizes being read or read, see _measurePages() */
+    this._sizeBatches = [];
+
+    /** @type {number} How many pages, from the first, have been sized from their real dimensions */
+    this._sizedPages = 0;
+
+    /** @type {Object<number, Object>} Page viewports at scale 1, used to place search highlights */
+    this.pageViewports = {};
+
+    /** @type {Object<number, {promise: Promise, cancel: Function}>} Renders in progress, keyed by page index */
+    this.renderTasks = {};
+
+    /** @type {Map<string, Function>} Thumbnails asked for and not yet drawn, keyed by task key; each settles its request */
+    this._thumbnailRequests = new Map();
+
+    /** @type {boolean} Whether pages are rendered off screen and swapped in as a finished bitmap */
+    this.offscreenRendering = this.options.offscreenRendering !== false && canRenderOffscreen();
+
+    /** @type {Object<number, HTMLElement>} Search highlight layers, keyed by page index */
+    this.highlightLayers = {};
+
+    /** @type {boolean} Whether pages get a selectable text layer */
+    this.textLayerEnabled = this.options.textLayer !== false;
+
+    /** @type {Object<number, {element: HTMLElement, layer: Object}>} Text layers of rendered pages, keyed by page index */
+    this.textLayers = {};
+
+    /** @type {boolean} Whether the PDF's links are clickable */
+    this.linksEnabled = this.options.links !== false;
+
+    /** @type {Object<number, HTMLElement>} Link layers of rendered pages, keyed by page index */
+    this.annotationLayers = {};
+
+    /** @type {number} Zoom level; 1 fits the page to the viewer (its height, or its width in the vertical layout) */
+    this.zoom = 1;
+
+    /** @type {string|null} Zoom mode ("fit-width", "fit-page" or "actual") kept up to date on resize, or null for a fixed level */
+    this.zoomMode = null;
+
+    /** @type {number|null} Timer for re-rendering pages after zooming */
+    this._zoomRenderTimeout = null;
+
+    /** @type {number} Clockwise rotation of the whole document in degrees */
+    this.rotation = 0;
+
+    /** @type {Object<number, number>} Clockwise rotation of single pages in degrees, on top of the document's, keyed by page index */
+    this.pageRotations = {};
+
+    /** @type {number|null} Timer for upgrading visible pages to high resolution */
+    this._upgradeTimeout = null;
+
+    /** @type {Array<Object>} Listeners added to `window`/`document`, removed by destroy() */
+    this._listeners = [];
+
+    /** @type {boolean} Whether destroy() has been called */
+    this.destroyed = false;
+
+    /** @type {AbortController|null} Cancels the document being opened by load() */
+    this._loadController = null;
 
     // Device detection and optimization settings
     /** @type {boolean} Whether the device is detected as mobile */
     this.isMobile = window.innerWidth <= 768;
+
+    /** @type {RenderQueue} Queue for managing rendering tasks, closest pages first */
+    this.renderQueue = new RenderQueue({
+      concurrency: this.isMobile ? 1 : MAX_CONCURRENT_RENDERS,
+      distance: (ndx) => this._getDistanceFromCenter(ndx)
+    });
     
-    /** @type {number} Maximum number of pages to keep in memory cache */
-    this.maxCachedPages = this.isMobile ? 3 : 5;
+    /** @type {number} Megabytes of rendered pages to keep before the least recently seen off-screen ones are released */
+    this.memoryBudget = this.options.memoryBudget > 0
+      ? this.options.memoryBudget
+      : (this.isMobile ? MOBILE_MEMORY_BUDGET : DEFAULT_MEMORY_BUDGET);
+
+    /** @type {PageCache} Bytes taken by each rendered page, least recently seen first */
+    this.pageCache = new PageCache({ budget: this.memoryBudget * MB });
     
     /** @type {number} Range of pages to render around the current view */
     this.visibleRange = this.isMobile ? 1 : 2; // Pages to render around current view
 
+    /** @type {string} Page layout: "horizontal" (side by side) or "vertical" (top to bottom) */
+    this.layout = this.options.layout === "vertical" ? "vertical" : "horizontal";
+
+    /** @type {string} Spread mode: "none", "odd" or "even" (cover shown on its own) */
+    this.spread = SPREAD_MODES.includes(this.options.spread) ? this.options.spread : "none";
+
+    /** @type {boolean} Whether spreads are shown right now; they fall back to single pages on narrow viewers */
+    this.spreadActive = false;
+
     // Create main scroll container
     /** @type {HTMLElement} Main scrolling container element */
     this.scrollContainer = document.createElement("div");
     this.scrollContainer.className = "pdfagogo-scroll-container";
+    if (this._isVertical()) {
+      this.scrollContainer.classList.add("pdfagogo-layout-vertical");
+    }
     this.app.appendChild(this.scrollContainer);
 
     // Create pages container with flexbox layout
     /** @type {HTMLElement} Container for all PDF pages */
     this.pagesContainer = document.createElement("div");
     this.pagesContainer.className = "pdfagogo-pages-container";
-    this.pagesContainer.style.display = "flex";
-    this.pagesContainer.style.flexDirection = "row";
-    this.pagesContainer.style.alignItems = "center";
-    this.pagesContainer.style.minWidth = "100%";
-    this.pagesContainer.style.height = "100%";
+    this._applyLayoutStyles(this.pagesContainer);
     this.scrollContainer.appendChild(this.pagesContainer);
 
+    /** @type {string} Page colour mode asked for: "auto", "normal", "dark", "sepia" or "high-contrast" */
+    this.themeMode = "auto";
+
+    /** @type {{foreground?: string, background?: string}} Colours of the high-contrast theme, where the reader chose their own */
+    this.highContrastColors = {
+      foreground: this.options.themeForeground,
+      background: this.options.themeBackground
+    };
+
+    /** @type {Object|null} Colours pages are drawn with (see resolveTheme()), or null for their own */
+    this.theme = null;
+    try {
+      this.setTheme(this.options.theme || "auto");
+    } catch (error) {
+      console.warn(`${error.message}; following the system colour scheme instead`);
+      this.highContrastColors = {};
+      this.setTheme("auto");
+    }
+
     // Debug and performance monitoring setup
     /** @type {boolean} Whether debug mode is enabled */
     this.debug = typeof this.options.debug === 'boolean' ? this.options.debug : false;
@@ -272,9 +713,9 @@ export class ScrollablePdfViewer extends EventEmitter {
      * @type {Object}
      * @property {number} initialRenderStart - Timestamp when initial render started
      * @property {number} initialRenderEnd - Timestamp when initial render completed
-     * @property {Object<number, number>} pageRenderTimes - Render times for each page
+     * @property {Object<number, number>} pageRenderTimes - Low-res (first pass) render times for each page
      * @property {Object<number, number>} highResUpgradeTimes - High-res upgrade times
-     * @property {number} totalPagesRendered - Total number of pages rendered
+     * @property {number} totalPagesRendered - Total number of low-res (first pass) renders
      * @property {number} totalHighResUpgrades - Total number of high-res upgrades
      * @property {Object} memoryUsage - Memory usage tracking data
      * @property {number} lastUpdate - Timestamp of last metrics update
@@ -302,13 +743,43 @@ export class ScrollablePdfViewer extends EventEmitter {
     this._initializePages();
   }
 
+  /**
+   * Whether pages are stacked top to bottom rather than side by side.
+   *
+   * @returns {boolean} True for the vertical layout
+   * @private
+   */
+  _isVertical() {
+    return this.layout === "vertical";
+  }
+
+  /**
+   * Lays out a pages container along the layout's scroll axis.
+   *
+   * @param {HTMLElement} element - The pages container
+   * @private
+   */
+  _applyLayoutStyles(element) {
+    element.style.display = "flex";
+    element.style.alignItems = "center";
+    if (this._isVertical()) {
+      element.style.flexDirection = "column";
+      element.style.minHeight = "100%";
+      element.style.width = "100%";
+    } else {
+      element.style.flexDirection = "row";
+      element.style.minWidth = "100%";
+      element.style.height = "100%";
+    }
+  }
+
   /**
    * Set up all event handlers for user interaction and system events.
    * 
    * This method configures handlers for:
    * - Window resize events
    * - Scroll events for page tracking
-   * - Mouse and touch interaction
+   * - Mouse dragging and touch gestures
    * - Wheel scrolling with momentum
    * - Memory management events
    * 
@@ -317,69 +788,241 @@ export class ScrollablePdfViewer extends EventEmitter {
   _setupEventHandlers() {
     this._setupResizeHandler();
     this._setupScrollHandler();
-    this._setupGrabAndScroll();
+    this._setupGestures();
     this._setupWheelScrollHandler();
 
-    // Memory management event handlers
-    document.addEventListener('visibilitychange', () => {
+    // Memory management event handlers: free everything off screen, the
+    // pages in view stay so the reader doesn't come back to blank pages
+    this._listen(document, 'visibilitychange', () => {
       if (document.hidden) {
-        // Clean up memory when page becomes hidden
-        this._cleanupOffscreenPages(true);
+        this._cleanupOffscreenPages();
       }
     });
 
     // Handle memory pressure events (if supported by browser)
     if ('onmemorypressure' in window) {
-      window.addEventListener('memorypressure', () => {
-        this._cleanupOffscreenPages(true);
+      this._listen(window, 'memorypressure', () => {
+        this._cleanupOffscreenPages();
+      });
+    }
+
+    // The "auto" theme follows the system's colour scheme as it changes
+    if (typeof window.matchMedia === 'function') {
+      this._listen(window.matchMedia('(prefers-color-scheme: dark)'), 'change', () => {
+        if (this.themeMode === 'auto') this.setTheme('auto');
       });
     }
   }
 
   /**
-   * Initialize all PDF pages with placeholder canvases and begin rendering.
-   * 
-   * This method performs a two-phase initialization:
-   * 1. Creates placeholder canvases for all pages off-screen
-   * 2. Moves them to the visible container and renders visible pages
-   * 
-   * This approach ensures smooth initial loading without layout shifts.
-   * 
+   * Adds a listener to a shared target such as `window` or `document` and
+   * remembers it so destroy() can remove it again.
+   *
+   * Listeners on the viewer's own elements don't need this; they go away
+   * with the elements.
+   *
+   * @param {EventTarget} target - The target to listen on
+   * @param {string} type - The event type
+   * @param {Function} handler - The event handler
+   * @param {Object} [options] - Options for `addEventListener`
    * @private
-   * @async
-   * @fires ScrollablePdfViewer#initialRenderComplete
    */
-  async _initializePages() {
-    if (this.debug) {
-      this.metrics.initialRenderStart = performance.now();
-      console.log('[PDF-A-go-go Debug] Starting initial render');
+  _listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this._listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Tears the viewer down so it can be garbage collected.
+   *
+   * Removes every listener the viewer added to `window` and `document`,
+   * stops the debug timer, clears the render queue, releases the canvas
+   * memory, removes the viewer's DOM and releases the PDF document through
+   * the book's `destroy()` method, if it has one. Listeners for the
+   * `destroy` event run first, which is how the UI controls remove
+   * themselves. Calling it more than once has no effect.
+   *
+   * @returns {Promise<void>} Resolves once the PDF document has been released
+   * @fires ScrollablePdfViewer#destroy
+   *
+   * @example
+   * // Single-page app: release the viewer when leaving the route
+   * router.onLeave(() => viewer.destroy());
+   */
+  destroy() {
+    if (this.destroyed) return Promise.resolve();
+    this.destroyed = true;
+    this.emit('destroy');
+
+    this._listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this._listeners = [];
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = null;
+    }
+    if (this._zoomRenderTimeout) {
+      clearTimeout(this._zoomRenderTimeout);
+      this._zoomRenderTimeout = null;
+    }
+    if (this._upgradeTimeout) {
+      clearTimeout(this._upgradeTimeout);
+      this._upgradeTimeout = null;
     }
+    if (this._debugInterval) {
+      clearInterval(this._debugInterval);
+      this._debugInterval = null;
+    }
+    if (this.debugElement && this.debugElement.parentNode) {
+      this.debugElement.parentNode.removeChild(this.debugElement);
+    }
+    this.debugElement = null;
 
-    // Create an off-screen container for initial setup to prevent layout shifts
-    const offscreenContainer = document.createElement('div');
-    offscreenContainer.style.position = 'absolute';
-    offscreenContainer.style.visibility = 'hidden';
-    offscreenContainer.style.pointerEvents = 'none';
-    offscreenContainer.style.left = '-9999px';
-    offscreenContainer.style.top = '0';
-    offscreenContainer.style.zIndex = '-1';
-    offscreenContainer.className = 'pdfagogo-pages-container';
-    offscreenContainer.style.display = 'flex';
-    offscreenContainer.style.flexDirection = 'row';
-    offscreenContainer.style.alignItems = 'center';
-    offscreenContainer.style.minWidth = '100%';
-    offscreenContainer.style.height = '100%';
-    this.app.appendChild(offscreenContainer);
+    this._releasePages();
 
-    // First pass: Create placeholder canvases for all pages
-    const pageSetupPromises = [];
-    for (let i = 0; i < this.pageCount; i++) {
-      const wrapper = document.createElement('div');
-      wrapper.className = 'pdfagogo-page-wrapper';
+    if (this.scrollContainer.parentNode) {
+      this.scrollContainer.parentNode.removeChild(this.scrollContainer);
+    }
 
-      const canvas = document.createElement("canvas");
-      canvas.className = "pdfagogo-page-canvas";
-      canvas.setAttribute("tabindex", "0");
+    this.removeAllListeners();
+    return Promise.resolve(this.book.destroy ? this.book.destroy() : undefined);
+  }
+
+  /**
+   * Replaces the document shown by the viewer.
+   *
+   * The loading bar is shown over the current pages while the new source is
+   * opened through the `loadBook` option (set up for you by `createViewer`);
+   * the pages are only swapped once it has opened, so a load that fails or
+   * is cancelled leaves the current document in place. The toolbar, the
+   * viewer's size and any styling stay as they are; search results and
+   * highlights are cleared. A load that is still running when load() is
+   * called again is cancelled.
+   *
+   * @param {string|URL|ArrayBuffer|Uint8Array|Blob|File} source - The PDF to show
+   * @param {Object} [options={}] - Load options
+   * @param {number} [options.page=1] - Page to open (1-based)
+   * @param {AbortSignal} [options.signal] - Cancels the load
+   * @returns {Promise<ScrollablePdfViewer>} Resolves with the viewer once the new document is shown
+   * @fires ScrollablePdfViewer#documentChanged
+   *
+   * @example
+   * picker.addEventListener('change', () => {
+   *   viewer.load(picker.value, { page: 1 });
+   * });
+   */
+  async load(source, options = {}) {
+    const { page = 1, signal } = options;
+    if (this.destroyed) {
+      throw new Error('Cannot load a document into a destroyed viewer');
+    }
+    if (!this.options.loadBook) {
+      throw new Error('This viewer was created without a loadBook option');
+    }
+
+    const book = await openNextBook(this, source, signal);
+    if (!book) return this;
+
+    // The old pages stayed up under the loading bar until now
+    this._releasePages();
+    const previous = this.book;
+    this.scrollContainer.scrollLeft = 0;
+    this.scrollContainer.scrollTop = 0;
+    this.book = book;
+    this.pageCount = book.numPages();
+    this.currentPage = 0;
+    if (previous && previous !== book && previous.destroy) previous.destroy();
+
+    // Let the controls reset before the new pages start reporting
+    this.emit('documentChanged', { pageCount: this.pageCount, book });
+
+    await this._initializePages();
+    const pageIndex = Math.min(Math.max(page - 1, 0), this.pageCount - 1);
+    if (pageIndex > 0) this.go_to_page(pageIndex);
+    return this;
+  }
+
+  /**
+   * Drops every page: clears the render queue, releases the canvas memory,
+   * empties the page container and forgets search highlights.
+   *
+   * @private
+   */
+  _releasePages() {
+    this.renderQueue.clear();
+    this._thumbnailRequests.forEach(settle => settle(false));
+
+    Object.values(this.renderTasks).forEach(task => task.cancel());
+    Object.values(this.pageCanvases).forEach(canvas => {
+      releaseCanvas(canvas, { offscreen: this.offscreenRendering });
+    });
+    Object.keys(this.textLayers).forEach(ndx => this._releaseTextLayer(ndx));
+    Object.keys(this.annotationLayers).forEach(ndx => this._releaseAnnotationLayer(ndx));
+    this.pageCanvases = {};
+    this.renderTasks = {};
+    this.highlights = {};
+    this.highlightLayers = {};
+    this.pageSizes = {};
+    this.pageViewports = {};
+    this._sizeBatches = [];
+    this._sizedPages = 0;
+    this.rotation = 0;
+    this.pageRotations = {};
+    this.pageCache.clear();
+    this._visiblePages.clear();
+    while (this.pagesContainer.firstChild) {
+      this.pagesContainer.removeChild(this.pagesContainer.firstChild);
+    }
+  }
+
+  /**
+   * Initialize all PDF pages with placeholder canvases and begin rendering.
+   * 
+   * This method performs a two-phase initialization:
+   * 1. Creates placeholder canvases for all pages off-screen, sized from
+   *    the pages' real dimensions
+   * 2. Moves them to the visible container and renders visible pages
+   * 
+   * This approach ensures smooth initial loading without layout shifts:
+   * pages don't change size when they render. In long documents only the
+   * first {@link PAGE_SIZE_BATCH} pages are measured up front; the rest are
+   * measured in the background (see {@link _measurePages}).
+   * 
+   * @private
+   * @async
+   * @fires ScrollablePdfViewer#initialRenderComplete
+   */
+  async _initializePages() {
+    if (this.debug) {
+      this.metrics.initialRenderStart = performance.now();
+      console.log('[PDF-A-go-go Debug] Starting initial render');
+    }
+
+    // Create an off-screen container for initial setup to prevent layout shifts
+    const offscreenContainer = document.createElement('div');
+    offscreenContainer.style.position = 'absolute';
+    offscreenContainer.style.visibility = 'hidden';
+    offscreenContainer.style.pointerEvents = 'none';
+    offscreenContainer.style.left = '-9999px';
+    offscreenContainer.style.top = '0';
+    offscreenContainer.style.zIndex = '-1';
+    offscreenContainer.className = 'pdfagogo-pages-container';
+    this._applyLayoutStyles(offscreenContainer);
+    this.app.appendChild(offscreenContainer);
+
+    // First pass: Create placeholder canvases for all pages
+    for (let i = 0; i < this.pageCount; i++) {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'pdfagogo-page-wrapper';
+
+      const canvas = document.createElement("canvas");
+      canvas.className = "pdfagogo-page-canvas";
+      canvas.setAttribute("tabindex", "0");
       canvas.setAttribute("data-page", i + 1);
       canvas.setAttribute("data-resolution", "placeholder");
 
@@ -388,18 +1031,23 @@ export class ScrollablePdfViewer extends EventEmitter {
       offscreenContainer.appendChild(wrapper);
     }
 
-    // Wait for all page dimensions to be calculated
-    await Promise.all(pageSetupPromises);
+    // Size the placeholders: the first pages from their real dimensions,
+    // the others estimated from the first page until their batch is read
+    await this._measurePages(0);
+    if (this.destroyed) return;
+    for (let i = 0; i < this.pageCount; i++) this._setPageDimensions(i);
 
     // Move all prepared pages to the visible container at once
     while (offscreenContainer.firstChild) {
       this.pagesContainer.appendChild(offscreenContainer.firstChild);
     }
     this.app.removeChild(offscreenContainer);
+    if (this.destroyed) return;
+    this._updateSpreads();
+    this._measurePages(this.pageCount - 1);
 
     // Second pass: Render only visible pages
     await this._updateVisiblePages();
-    const visiblePages = Array.from(this._visiblePages);
 
     // Emit initialRenderComplete event
     this.emit('initialRenderComplete');
@@ -410,16 +1058,42 @@ export class ScrollablePdfViewer extends EventEmitter {
     }
   }
 
-  _renderPage(ndx, callback = null) {
+  /**
+   * Renders a page into its canvas.
+   *
+   * Pages are rendered in two passes: a cheap low-resolution pass as soon as
+   * a page scrolls into view, so it is never blank, and a high-resolution
+   * upgrade once scrolling settles (see {@link _scheduleHighResUpgrade}).
+   * The canvas's `data-resolution` attribute tracks which pass it shows:
+   * `placeholder`, `low` or `high`.
+   *
+   * The book draws the page straight into the canvas at the size it is
+   * shown at; search highlights go in a layer above it (see
+   * {@link _renderHighlightLayer}). A newer render of the same page cancels
+   * the one in progress, and so does aborting `signal`, which the render
+   * queue does for pages that have left the view.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {string} [resolution="high"] - "low" for the quick first pass, "high" for a sharp render
+   * @param {AbortSignal} [signal] - Stops the render
+   * @returns {Promise<void>} Resolves once the page is drawn, or the render failed or was cancelled
+   * @private
+   */
+  _renderPage(ndx, resolution = "high", signal = null) {
     const canvas = this.pageCanvases[ndx];
-    if (!canvas) return;
+    if (!canvas || this.destroyed) return Promise.resolve();
+    const lowRes = resolution === "low";
+    // A page that already shows something needs no quick pass
+    if (lowRes && canvas.getAttribute("data-resolution") !== "placeholder") {
+      return Promise.resolve();
+    }
 
     const startTime = this.debug ? performance.now() : 0;
-    const scale = this.options.scale || window.devicePixelRatio || 1.8;
+    const scale = (this.options.scale || window.devicePixelRatio || 1.8) * (lowRes ? LOW_RES_FACTOR : 1);
 
     // Add visual debug indicator for rendering start
     if (this.debug) {
-      console.log(`%c🎨 Rendering page ${ndx + 1}`, 'color: #4CAF50; font-weight: bold;');
+      console.log(`%c🎨 Rendering page ${ndx + 1} (${resolution} res)`, 'color: #4CAF50; font-weight: bold;');
       const debugOverlay = document.createElement('div');
       debugOverlay.style.position = 'absolute';
       debugOverlay.style.top = '0';
@@ -435,62 +1109,334 @@ export class ScrollablePdfViewer extends EventEmitter {
       setTimeout(() => debugOverlay.remove(), 1000);
     }
 
-    // Get highlights for this page from global state
-    const highlights = window.__pdfagogo__highlights?.[ndx] || [];
-
-    this.book.getPage(ndx, (err, pg) => {
+    const rotation = this.getRotation(ndx);
+    const theme = this.theme;
+    return new Promise((resolve) => this.book.getPage(ndx, (err, pg) => {
+      // The viewer may have been destroyed, the render cancelled, the page
+      // rotated or the theme changed while it was loading, or another render
+      // may have overtaken this quick one
+      if (this.destroyed || this.pageCanvases[ndx] !== canvas || (signal && signal.aborted) ||
+          this.getRotation(ndx) !== rotation || this.theme !== theme ||
+          (lowRes && (canvas.getAttribute("data-resolution") === "high" || this.renderTasks[ndx]))) {
+        resolve();
+        return;
+      }
       if (err) {
-        if (callback) callback();
+        this._reportError(new RenderError(ndx, { cause: err }));
+        resolve();
         return;
       }
 
-      const targetHeight = this._getPageHeight();
-      const aspect = pg.width / pg.height;
-      const width = targetHeight * aspect;
+      this._setPageSize(ndx, pg);
+      const { width, height: targetHeight } = this._setPageDimensions(ndx);
 
-      // Set canvas dimensions and styles in one go
-      const wrapper = canvas.parentElement;
-      wrapper.style.width = width + "px";
-      wrapper.style.height = targetHeight + "px";
-      canvas.style.width = width + "px";
-      canvas.style.height = targetHeight + "px";
-      canvas.width = width * scale;
-      canvas.height = targetHeight * scale;
-
-      // Render directly to the canvas
-      const ctx = canvas.getContext("2d", {
-        alpha: false,
-        willReadFrequently: true
+      // Keep the bitmap within bounds when zoomed far in
+      const pixels = width * targetHeight * scale * scale;
+      const outputScale = pixels > MAX_CANVAS_PIXELS ? scale * Math.sqrt(MAX_CANVAS_PIXELS / pixels) : scale;
+
+      // Render straight into the canvas at the size it is shown at
+      if (this.renderTasks[ndx]) this.renderTasks[ndx].cancel();
+      const task = renderPageToCanvas(pg, canvas, {
+        width: width * outputScale,
+        height: targetHeight * outputScale,
+        offscreen: this.offscreenRendering,
+        theme
+      });
+      this.renderTasks[ndx] = task;
+      const cancel = () => task.cancel();
+      if (signal) signal.addEventListener("abort", cancel, { once: true });
+      task.promise.then(() => {
+        if (this.renderTasks[ndx] === task) delete this.renderTasks[ndx];
+        this._finishRender(ndx, pg, resolution, startTime);
+      }, (error) => {
+        if (this.renderTasks[ndx] === task) delete this.renderTasks[ndx];
+        // Cancelled because the page left the view, was released or was rendered again
+        if (!isAbortError(error) && !this.destroyed) {
+          this._reportError(new RenderError(ndx, { cause: error }));
+        }
+      }).then(() => {
+        if (signal) signal.removeEventListener("abort", cancel);
+        resolve();
       });
+    }, { rotation }));
+  }
 
-      if (pg.img) {
-        ctx.drawImage(pg.img, 0, 0, canvas.width, canvas.height);
-      }
+  /**
+   * Shows a finished render: marks its resolution, adds the page's layers
+   * and records its timing.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {Object} pg - The page from the book
+   * @param {string} resolution - "low" or "high"
+   * @param {number} startTime - When the render started, in debug mode
+   * @private
+   */
+  _finishRender(ndx, pg, resolution, startTime) {
+    const canvas = this.pageCanvases[ndx];
+    if (this.destroyed || !canvas) return;
+    const lowRes = resolution === "low";
+
+    canvas.setAttribute("data-resolution", resolution);
+    this._renderTextLayer(ndx, pg);
+    this._renderAnnotationLayer(ndx, pg);
+    this._renderHighlightLayer(ndx);
+
+    this.pageCache.set(ndx, canvas.width * canvas.height * 4);
+    this._enforceMemoryBudget();
 
-      if (this.debug) {
-        const endTime = performance.now();
-        const duration = endTime - startTime;
+    if (this.debug) {
+      const endTime = performance.now();
+      const duration = endTime - startTime;
+      if (lowRes) {
+        this.metrics.pageRenderTimes[ndx] = duration;
+        this.metrics.totalPagesRendered++;
+      } else {
         this.metrics.highResUpgradeTimes[ndx] = duration;
         this.metrics.totalHighResUpgrades++;
-        this._updateDebugInfo();
-        console.log(`%c✨ Rendered page ${ndx + 1} in ${duration.toFixed(1)}ms`, 'color: #4CAF50; font-weight: bold;');
       }
+      this._updateDebugInfo();
+      console.log(`%c✨ Rendered page ${ndx + 1} (${resolution} res) in ${duration.toFixed(1)}ms`, 'color: #4CAF50; font-weight: bold;');
+    }
+  }
+
+  /**
+   * Adds a selectable text layer over a rendered page, or rescales the one
+   * it already has.
+   *
+   * PDF.js lays the text out once, in PDF points; the layer is fitted to the
+   * page through the `--total-scale-factor` CSS variable, so zooming and
+   * resizing only have to update that variable. Pages from books without
+   * `renderTextLayer()` get no text layer.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {Object} pg - The rendered page from the book
+   * @private
+   */
+  _renderTextLayer(ndx, pg) {
+    if (!this.textLayerEnabled || !pg.renderTextLayer || !this.pageSizes[ndx]) return;
+    if (!this.textLayers[ndx]) {
+      const element = document.createElement("div");
+      element.className = "pdfagogo-text-layer";
+      this.pageCanvases[ndx].parentElement.appendChild(element);
+      const layer = pg.renderTextLayer(element);
+      this.textLayers[ndx] = { element, layer };
+      layer.render().catch(error => {
+        // Cancelled when the page was released; the page still reads fine without it
+        if (error && error.name !== "AbortException") {
+          console.warn(`Could not render the text layer of page ${ndx + 1}`, error);
+        }
+      });
+    }
+    this._updateTextLayerScale(ndx);
+  }
+
+  /**
+   * Fits a page's text layer to the page's current size.
+   *
+   * @param {number|string} ndx - Zero-based page index
+   * @private
+   */
+  _updateTextLayerScale(ndx) {
+    const textLayer = this.textLayers[ndx];
+    const size = this.pageSizes[ndx];
+    const wrapper = this.pageCanvases[ndx]?.parentElement;
+    if (!textLayer || !size || !wrapper) return;
+    const scale = parseFloat(wrapper.style.width) / size.width;
+    textLayer.element.style.setProperty("--total-scale-factor", String(scale));
+  }
+
+  /**
+   * Cancels and removes a page's text layer.
+   *
+   * @param {number|string} ndx - Zero-based page index
+   * @private
+   */
+  _releaseTextLayer(ndx) {
+    const textLayer = this.textLayers[ndx];
+    if (!textLayer) return;
+    textLayer.layer.cancel();
+    textLayer.element.remove();
+    delete this.textLayers[ndx];
+  }
+
+  /**
+   * Adds a layer of links over a rendered page, once.
+   *
+   * Links are placed in percentages of the page, so they follow zooming and
+   * resizing without being laid out again. Pages from books without
+   * `getLinks()` get no links.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {Object} pg - The rendered page from the book
+   * @private
+   */
+  _renderAnnotationLayer(ndx, pg) {
+    const size = this.pageSizes[ndx];
+    if (!this.linksEnabled || !pg.getLinks || !size || this.annotationLayers[ndx]) return;
+
+    const element = document.createElement("div");
+    element.className = "pdfagogo-annotation-layer";
+    this.pageCanvases[ndx].parentElement.appendChild(element);
+    this.annotationLayers[ndx] = element;
+
+    pg.getLinks().then(links => {
+      // The page may have been released while its links were read
+      if (this.annotationLayers[ndx] !== element) return;
+      links.forEach(link => {
+        const anchor = this._createLink(link, size);
+        if (anchor) element.appendChild(anchor);
+      });
+    }).catch(error => {
+      console.warn(`Could not read the links of page ${ndx + 1}`, error);
+    });
+  }
+
+  /**
+   * Creates the focusable hit area of a link.
+   *
+   * Links to other sites open in a new tab without access to this page
+   * (`rel="noopener noreferrer"`), subject to the `linkAllowList` and
+   * `confirmLinks` options. Links within the document go to their page and
+   * position.
+   *
+   * @param {Object} link - A link from the book's `getLinks()`
+   * @param {{width: number, height: number}} size - Page size in PDF points
+   * @returns {HTMLAnchorElement|null} The link, or null if it may not be followed
+   * @private
+   */
+  _createLink(link, size) {
+    const anchor = document.createElement("a");
+    anchor.className = "pdfagogo-link";
+    anchor.style.left = `${(100 * link.left) / size.width}%`;
+    anchor.style.top = `${(100 * link.top) / size.height}%`;
+    anchor.style.width = `${(100 * link.width) / size.width}%`;
+    anchor.style.height = `${(100 * link.height) / size.height}%`;
+
+    if (link.url) {
+      const action = getLinkAction(link.url, this.options);
+      if (action === "block") return null;
+      anchor.href = link.url;
+      anchor.target = "_blank";
+      anchor.rel = "noopener noreferrer";
+      anchor.title = link.url;
+      anchor.setAttribute("aria-label", `${link.text || link.url} (opens in a new tab)`);
+      if (action === "confirm") {
+        anchor.addEventListener("click", (e) => {
+          e.preventDefault();
+          confirmLink(link.url, this.options).then(confirmed => {
+            if (confirmed) window.open(link.url, "_blank", "noopener,noreferrer");
+          });
+        });
+      }
+      return anchor;
+    }
+
+    anchor.href = "#";
+    anchor.classList.add("pdfagogo-internal-link");
+    if (link.action) {
+      const names = { NextPage: "Next page", PrevPage: "Previous page", FirstPage: "First page", LastPage: "Last page" };
+      anchor.setAttribute("aria-label", link.text || names[link.action]);
+      anchor.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (link.action === "NextPage") this.flip_forward();
+        else if (link.action === "PrevPage") this.flip_back();
+        else if (link.action === "FirstPage") this.go_to_page(0);
+        else this.go_to_page(this.pageCount - 1);
+      });
+      return anchor;
+    }
+
+    if (!this.book.resolveDestination) return null;
+    const book = this.book;
+    const target = book.resolveDestination(link.dest);
+    anchor.setAttribute("aria-label", link.text || "Go to linked page");
+    target.then(destination => {
+      if (destination && !link.text) {
+        anchor.setAttribute("aria-label", `Go to page ${destination.pageIndex + 1}`);
+      }
+    });
+    anchor.addEventListener("click", (e) => {
+      e.preventDefault();
+      target.then(destination => {
+        if (destination && this.book === book) this.go_to_page(destination.pageIndex, destination);
+      });
+    });
+    return anchor;
+  }
+
+  /**
+   * Removes a page's link layer.
+   *
+   * @param {number|string} ndx - Zero-based page index
+   * @private
+   */
+  _releaseAnnotationLayer(ndx) {
+    const element = this.annotationLayers[ndx];
+    if (!element) return;
+    element.remove();
+    delete this.annotationLayers[ndx];
+  }
+
+  /**
+   * Lays the page's search highlights over it, replacing any shown before.
+   *
+   * The highlights are positioned in percent of the page, so they follow
+   * zooming without being redrawn, and changing them never re-renders the
+   * page.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _renderHighlightLayer(ndx) {
+    const previous = this.highlightLayers[ndx];
+    if (previous) {
+      previous.remove();
+      delete this.highlightLayers[ndx];
+    }
+    const highlights = this.highlights[ndx];
+    const viewport = this.pageViewports[ndx];
+    const canvas = this.pageCanvases[ndx];
+    if (!highlights || !highlights.length || !viewport || !canvas) return;
 
-      if (callback) callback();
-    }, highlights);
+    const layer = createHighlightLayer(highlights, viewport);
+    // Above the page, below its text and links
+    canvas.after(layer);
+    this.highlightLayers[ndx] = layer;
+  }
+
+  /**
+   * Emits an `error` event for a failure that happened after loading.
+   *
+   * An `error` event without listeners would throw from `emit`, so the error
+   * is only logged when nobody is listening.
+   *
+   * @param {PdfAGoGoError} error - The typed error to report
+   * @private
+   */
+  _reportError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      console.error(error);
+    }
   }
 
   _updateVisiblePages() {
-    console.log("Updating visible pages");
+    if (this.debug) console.log('[PDF-A-go-go Debug] Updating visible pages');
     const container = this.scrollContainer;
     const containerRect = container.getBoundingClientRect();
     const visiblePages = new Set();
     let maxVisiblePage = null;
     let maxVisibleRatio = 0;
 
+    // Measure along the scroll axis
+    const [start, end, size] = this._isVertical()
+      ? ['top', 'bottom', 'height']
+      : ['left', 'right', 'width'];
+
     // Extend the visible area to include pages that are nearly visible
-    const extendedLeft = containerRect.left - containerRect.width * 0.5;
-    const extendedRight = containerRect.right + containerRect.width * 0.5;
+    const extendedStart = containerRect[start] - containerRect[size] * 0.5;
+    const extendedEnd = containerRect[end] + containerRect[size] * 0.5;
 
     const wrappers = container.querySelectorAll('.pdfagogo-page-wrapper');
     wrappers.forEach(wrapper => {
@@ -498,11 +1444,12 @@ export class ScrollablePdfViewer extends EventEmitter {
       if (!pageNum) return;
 
       const rect = wrapper.getBoundingClientRect();
-      if (rect.right > extendedLeft && rect.left < extendedRight) {
+      if (rect[end] > extendedStart && rect[start] < extendedEnd) {
 
-        const visibleWidth = Math.min(rect.right, containerRect.right) -
-                           Math.max(rect.left, containerRect.left);
-        const percentVisible = visibleWidth / rect.width;
+        const visibleSize = Math.min(rect[end], containerRect[end]) -
+                           Math.max(rect[start], containerRect[start]);
+        // A page larger than the viewer counts as fully visible when it fills it
+        const percentVisible = Math.max(visibleSize / rect[size], visibleSize / containerRect[size]);
         visiblePages.add(pageNum);
 
         if (percentVisible > maxVisibleRatio) {
@@ -521,22 +1468,106 @@ export class ScrollablePdfViewer extends EventEmitter {
       }
     }
 
-    // Check if visible pages changed
-    const oldVisible = Array.from(this._visiblePages).sort().join(',');
-    const newVisible = Array.from(visiblePages).sort().join(',');
+    // Pages in view are the most recently seen, the last to be evicted
+    visiblePages.forEach(pageNum => this.pageCache.touch(pageNum - 1));
 
-    if (oldVisible !== newVisible) {
+    // Check if visible pages changed
+    const previous = this._visiblePages;
+    const newPages = Array.from(visiblePages).filter(pageNum => !previous.has(pageNum));
+    if (newPages.length || visiblePages.size !== previous.size) {
       this._visiblePages = visiblePages;
       this.emit("visiblePages", Array.from(visiblePages));
 
-      // Render newly visible pages in high resolution
-      const newPages = Array.from(visiblePages).filter(pageNum => !oldVisible.includes(pageNum.toString()));
+      // Stop rendering pages that have scrolled away
+      this.renderQueue.prune(ndx => visiblePages.has(ndx + 1));
+
+      // Give newly visible pages a quick low-res pass, sharpened once scrolling settles
       for (const pageNum of newPages) {
-        this.renderQueue.add(() => this._renderPage(pageNum - 1));
+        this._queueRender(pageNum - 1, "low");
       }
+      if (newPages.length) this._scheduleHighResUpgrade();
     }
   }
 
+  /**
+   * Queues a page render. Pages closest to the centre of the view render
+   * first, and quick low-res passes go before high-res renders.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {string} [resolution="high"] - "low" or "high"
+   * @private
+   */
+  _queueRender(ndx, resolution = "high") {
+    this.renderQueue.add(
+      `${resolution}:${ndx}`,
+      (signal) => this._renderPage(ndx, resolution, signal),
+      { page: ndx, urgent: resolution === "low" }
+    );
+  }
+
+  /**
+   * How far a page is from the centre of the view, in CSS pixels.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {number} Distance between the centres of the page and the view
+   * @private
+   */
+  _getDistanceFromCenter(ndx) {
+    const canvas = this.pageCanvases[ndx];
+    if (!canvas || !canvas.parentElement) return Infinity;
+    const page = canvas.parentElement.getBoundingClientRect();
+    const view = this.scrollContainer.getBoundingClientRect();
+    return Math.hypot(
+      page.left + page.width / 2 - (view.left + view.width / 2),
+      page.top + page.height / 2 - (view.top + view.height / 2)
+    );
+  }
+
+  /**
+   * Upgrades the visible pages to high resolution once the view has been
+   * still for {@link HIGH_RES_DELAY} ms. Calling it again restarts the wait,
+   * so nothing is upgraded while the user keeps scrolling.
+   *
+   * @private
+   */
+  _scheduleHighResUpgrade() {
+    if (this._upgradeTimeout) clearTimeout(this._upgradeTimeout);
+    this._upgradeTimeout = setTimeout(() => {
+      this._upgradeTimeout = null;
+      if (this.destroyed) return;
+      this._visiblePages.forEach(pageNum => {
+        const ndx = pageNum - 1;
+        const canvas = this.pageCanvases[ndx];
+        if (!canvas || canvas.getAttribute("data-resolution") === "high" || this.renderQueue.has(`high:${ndx}`)) return;
+        this._queueRender(ndx);
+      });
+    }, HIGH_RES_DELAY);
+  }
+
+  /**
+   * Releases the least recently seen pages until the rendered pages fit in
+   * the memory budget. Pages in or near the view are never released, so the
+   * budget can be overrun while they alone take more than it.
+   *
+   * Released pages turn back into placeholders and are rendered again, low
+   * resolution first, when they scroll back into view.
+   *
+   * @private
+   */
+  _enforceMemoryBudget() {
+    const evicted = this.pageCache.evict(ndx => this._visiblePages.has(ndx + 1));
+    if (!evicted.length) return;
+    evicted.forEach(ndx => this._releasePage(ndx));
+    this.renderQueue.prune(ndx => !evicted.includes(ndx));
+  }
+
+  /**
+   * Frees the pages away from the view, e.g. when the document is hidden or
+   * the system is short of memory.
+   *
+   * @param {boolean} [force=false] - Also free the visible pages, which are then rendered again
+   * @private
+   */
   _cleanupOffscreenPages(force = false) {
     if (this.debug) console.log('[PDF-A-go-go Debug] Running memory cleanup');
 
@@ -555,111 +1586,139 @@ export class ScrollablePdfViewer extends EventEmitter {
     Object.keys(this.pageCanvases).forEach(pageNum => {
       pageNum = parseInt(pageNum);
       if (!keepRange.has(pageNum + 1) || force) {
-        const canvas = this.pageCanvases[pageNum];
-        if (canvas && canvas.getContext) {
-          const ctx = canvas.getContext('2d');
-          const memoryBefore = canvas.width * canvas.height * 4;
-
-          // Add visual debug indicator for cleanup
-          if (this.debug) {
-            console.log(`%c🗑️ Releasing page ${pageNum + 1}`, 'color: #F44336; font-weight: bold;');
-            const debugOverlay = document.createElement('div');
-            debugOverlay.style.position = 'absolute';
-            debugOverlay.style.top = '0';
-            debugOverlay.style.right = '0';
-            debugOverlay.style.background = '#F44336';
-            debugOverlay.style.color = 'white';
-            debugOverlay.style.padding = '4px 8px';
-            debugOverlay.style.borderRadius = '0 8px 0 8px';
-            debugOverlay.style.fontSize = '12px';
-            debugOverlay.style.zIndex = '100';
-            debugOverlay.textContent = `Releasing ${pageNum + 1}`;
-            canvas.parentElement.appendChild(debugOverlay);
-            setTimeout(() => debugOverlay.remove(), 1000);
-          }
-
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          canvas.width = canvas.height = 32;
-          canvas.setAttribute('data-resolution', 'placeholder');
-
-          if (this.debug) {
-            this.metrics.memoryUsage[pageNum] = {
-              freed: memoryBefore,
-              timestamp: Date.now()
-            };
-            console.log(`%c♻️ Released page ${pageNum + 1} (Freed: ${(memoryBefore / 1024 / 1024).toFixed(1)}MB)`,
-              'color: #F44336; font-weight: bold;');
-          }
-        }
+        this._releasePage(pageNum);
       }
     });
 
-    // Clear render queue for off-screen pages
-    this.renderQueue.clear();
+    // Stop rendering the pages just released
+    if (force) {
+      this.renderQueue.clear("pages");
+    } else {
+      this.renderQueue.prune(ndx => keepRange.has(ndx + 1));
+    }
 
-    // Re-queue visible pages if needed
+    // Re-queue visible pages if needed, including any upgrades just dropped
     this._updateVisiblePages();
+    this._scheduleHighResUpgrade();
+  }
+
+  /**
+   * Frees a page's bitmap and layers, leaving a placeholder of the same size
+   * to be rendered again when it comes back into view. Search highlights are
+   * kept, they take next to no memory.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _releasePage(ndx) {
+    const canvas = this.pageCanvases[ndx];
+    if (!canvas) return;
+
+    if (this.renderTasks[ndx]) {
+      this.renderTasks[ndx].cancel();
+      delete this.renderTasks[ndx];
+    }
+    const wasRendered = canvas.getAttribute('data-resolution') !== 'placeholder';
+    const memoryBefore = this.pageCache.delete(ndx) || canvas.width * canvas.height * 4;
+    releaseCanvas(canvas, { size: 32, offscreen: this.offscreenRendering });
+    canvas.setAttribute('data-resolution', 'placeholder');
+    this._releaseTextLayer(ndx);
+    this._releaseAnnotationLayer(ndx);
+
+    if (this.debug && wasRendered) {
+      // Add visual debug indicator for cleanup
+      const debugOverlay = document.createElement('div');
+      debugOverlay.style.position = 'absolute';
+      debugOverlay.style.top = '0';
+      debugOverlay.style.right = '0';
+      debugOverlay.style.background = '#F44336';
+      debugOverlay.style.color = 'white';
+      debugOverlay.style.padding = '4px 8px';
+      debugOverlay.style.borderRadius = '0 8px 0 8px';
+      debugOverlay.style.fontSize = '12px';
+      debugOverlay.style.zIndex = '100';
+      debugOverlay.textContent = `Releasing ${ndx + 1}`;
+      canvas.parentElement?.appendChild(debugOverlay);
+      setTimeout(() => debugOverlay.remove(), 1000);
+
+      this.metrics.memoryUsage[ndx] = {
+        freed: memoryBefore,
+        timestamp: Date.now()
+      };
+      console.log(`%c♻️ Released page ${ndx + 1} (Freed: ${(memoryBefore / MB).toFixed(1)}MB)`,
+        'color: #F44336; font-weight: bold;');
+    }
   }
 
   _setupResizeHandler() {
-    let resizeTimeout = null;
-    window.addEventListener("resize", () => {
+    this._resizeTimeout = null;
+    this._listen(window, "resize", () => {
       // Clear any existing timeout
-      if (resizeTimeout) {
-        clearTimeout(resizeTimeout);
+      if (this._resizeTimeout) {
+        clearTimeout(this._resizeTimeout);
       }
 
       // Set new timeout to wait for resize to finish
-      resizeTimeout = setTimeout(() => {
+      this._resizeTimeout = setTimeout(() => {
         this._handleResize();
-        resizeTimeout = null;
+        this._resizeTimeout = null;
       }, 300);
     });
   }
 
+  /**
+   * Fit the pages to the viewer's size again, straight away.
+   *
+   * The viewer refits by itself shortly after the window is resized; call
+   * this when only the viewer's own room changed, e.g. after a sidebar
+   * opened next to it. A refit still waiting on a window resize is folded
+   * into this one.
+   *
+   * @returns {Promise<void>} Resolves once the pages are laid out and the pages in view are queued for rendering
+   *
+   * @example
+   * sidebar.hidden = false;
+   * viewer.refit().then(() => viewer.go_to_page(page));
+   */
+  refit() {
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = null;
+    }
+    if (this.destroyed) return Promise.resolve();
+    return this._handleResize();
+  }
+
   async _handleResize() {
     this.isMobile = window.innerWidth <= 768;
+    this._updateSpreads();
+
+    // Fit modes follow the viewer's size
+    if (this.zoomMode) {
+      const zoom = clampZoom(this._resolveZoom(this.zoomMode));
+      if (zoom !== this.zoom) {
+        this.zoom = zoom;
+        this.emit("zoomChanged", { zoom: this.zoom, mode: this.zoomMode });
+      }
+    }
+    this._updateZoomOverflow();
 
     // Update dimensions for all pages
-    const resizePromises = [];
-    // for (let i = 0; i < this.pageCount; i++) {
-    //   resizePromises.push(this._setPageDimensions(i));
-    // }
-
-    await Promise.all(resizePromises);
+    for (let i = 0; i < this.pageCount; i++) this._setPageDimensions(i);
 
     // Clear the render queue
-    this.renderQueue.clear();
+    this.renderQueue.clear("pages");
 
     // Update visible pages and re-render them
     await this._updateVisiblePages();
-    const visiblePages = Array.from(this._visiblePages);
-
-    // Render visible pages in low res
-    // const renderPromises = [];
-    // for (const pageNum of visiblePages) {
-    //   renderPromises.push(
-    //     new Promise(resolve => {
-    //       this.renderQueue.add(
-    //         () => this._renderPage(pageNum - 1, resolve),
-    //         true // Priority render for visible pages
-    //       );
-    //     })
-    //   );
-    // }
-
-    // await Promise.all(renderPromises);
 
     // Queue high-res renders for visible pages
-    visiblePages.forEach(pageNum => {
-      // const canvas = this.pageCanvases[pageNum - 1];
-      this.renderQueue.add(() => this._renderPage(pageNum - 1));
-    });
+    this._visiblePages.forEach(pageNum => this._queueRender(pageNum - 1));
   }
 
   _setupScrollHandler() {
     let scrollTimeout;
-    let lastScrollTime = Date.now();
+    let lastScrollTime = 0;
 
     this.scrollContainer.addEventListener("scroll", () => {
       const now = Date.now();
@@ -669,62 +1728,243 @@ export class ScrollablePdfViewer extends EventEmitter {
         clearTimeout(scrollTimeout);
       }
 
-      // Update visible pages immediately if enough time has passed
-      // if (now - lastScrollTime > 32) { // ~30fps
-      //   this._updateVisiblePages();
-      //   lastScrollTime = now;
-      // }
+      // Update visible pages immediately if enough time has passed; pages
+      // scrolling into view get their quick low-res pass
+      if (now - lastScrollTime > SCROLL_CHECK_INTERVAL) {
+        this._updateVisiblePages();
+        lastScrollTime = now;
+      }
 
-      // // Set a new timeout for final update
-      // scrollTimeout = setTimeout(() => {
-      //   this._updateVisiblePages();
-      //   scrollTimeout = null;
-      // }, 100);
+      // Set a new timeout for the final update, and hold the high-res
+      // upgrades back until scrolling settles
+      scrollTimeout = setTimeout(() => {
+        scrollTimeout = null;
+        if (this.destroyed) return;
+        this._updateVisiblePages();
+      }, 100);
+      this._scheduleHighResUpgrade();
     });
   }
 
-  _getPageWidth() {
-    // Try to get the width of the second page's rendered image (or first if not available)
-    let pageIdx = 1;
-    if (this.pageCount < 2) pageIdx = 0;
-    const canvas = this.pageCanvases[pageIdx];
-    if (canvas && canvas.clientWidth) {
-      return canvas.clientWidth;
-    }
-    // Fallback: estimate based on container height and aspect ratio
-    const containerHeight = this.scrollContainer.clientHeight || 600;
-    return containerHeight * 0.7;
-  }
-
-  _getPageHeight() {
-    return this.scrollContainer.clientHeight || 600;
-  }
-
   /**
-   * Enables grab-and-scroll functionality for the PDF viewer.
+   * Width a page is shown at.
    *
-   * Velocity Calculation:
-   * - During dragging, the last few mouse positions and timestamps are recorded.
-   * - On drag end, velocity is calculated as the difference in X position between the first and last recorded points, divided by the time between them.
+   * @param {number} [ndx] - Zero-based page index, by default the current page
+   * @returns {number} The width in CSS pixels
+   * @private
+   */
+  _getPageWidth(ndx = this.currentPage) {
+    return this._getPageBox(this._getPageAspect(ndx)).width;
+  }
+
+  /**
+   * Height a page is shown at.
+   *
+   * @param {number} [ndx] - Zero-based page index, by default the current page
+   * @returns {number} The height in CSS pixels
+   * @private
+   */
+  _getPageHeight(ndx = this.currentPage) {
+    return this._getPageBox(this._getPageAspect(ndx)).height;
+  }
+
+  /**
+   * Width-to-height ratio of a page, estimated from the first page until
+   * the page's own size has been read.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {number} The aspect ratio
+   * @private
+   */
+  _getPageAspect(ndx) {
+    const size = this.pageSizes[ndx] || this.pageSizes[0];
+    return size ? size.width / size.height : DEFAULT_PAGE_ASPECT;
+  }
+
+  /**
+   * Records a page's size in PDF points.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {Object} pg - The page from the book
+   * @private
+   */
+  _setPageSize(ndx, pg) {
+    if (pg.getViewport) {
+      const viewport = pg.getViewport({ scale: 1 });
+      this.pageSizes[ndx] = { width: viewport.width, height: viewport.height };
+      this.pageViewports[ndx] = viewport;
+    } else {
+      this.pageSizes[ndx] = { width: pg.width, height: pg.height };
+    }
+  }
+
+  /**
+   * Sizes a page's placeholder to the size the page is shown at, so the
+   * strip doesn't move when the page renders.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @returns {{width: number, height: number}} The page size in CSS pixels
+   * @private
+   */
+  _setPageDimensions(ndx) {
+    const box = this._getPageBox(this._getPageAspect(ndx));
+    const canvas = this.pageCanvases[ndx];
+    if (canvas && canvas.parentElement) {
+      const wrapper = canvas.parentElement;
+      wrapper.style.width = canvas.style.width = box.width + "px";
+      wrapper.style.height = canvas.style.height = box.height + "px";
+    }
+    return box;
+  }
+
+  /**
+   * Reads the sizes of the pages up to a page and sizes their placeholders.
+   *
+   * Sizes are read in batches of {@link PAGE_SIZE_BATCH} pages, one batch
+   * after the other, so huge documents don't load every page at once.
+   *
+   * @param {number} upTo - Zero-based index of the last page whose size is needed
+   * @returns {Promise} Resolves once those pages are sized
+   * @private
+   */
+  _measurePages(upTo) {
+    if (!this.pageCount) return Promise.resolve();
+    const last = Math.min(Math.max(upTo, 0), this.pageCount - 1);
+    return this._measureBatch(Math.floor(last / PAGE_SIZE_BATCH));
+  }
+
+  /**
+   * Reads the sizes of one batch of pages, after the batches before it.
+   *
+   * @param {number} batch - Zero-based batch number
+   * @returns {Promise} Resolves once the batch is sized
+   * @private
+   */
+  _measureBatch(batch) {
+    if (this._sizeBatches[batch]) return this._sizeBatches[batch];
+    const book = this.book;
+    const start = batch * PAGE_SIZE_BATCH;
+    const end = Math.min(start + PAGE_SIZE_BATCH, this.pageCount);
+    const previous = batch > 0 ? this._measureBatch(batch - 1) : Promise.resolve();
+
+    const promise = previous.then(() => {
+      const reads = [];
+      for (let ndx = start; ndx < end; ndx++) {
+        if (this.pageSizes[ndx]) continue;
+        // Pages that fail to load keep their estimated size; rendering reports the error
+        const rotation = this.getRotation(ndx);
+        reads.push(new Promise(resolve => book.getPage(ndx, (err, pg) => {
+          if (!err && pg && this.book === book && !this.destroyed && this.getRotation(ndx) === rotation) {
+            this._setPageSize(ndx, pg);
+          }
+          resolve();
+        }, { rotation })));
+      }
+      return Promise.all(reads);
+    }).then(() => {
+      // A new document may have been loaded in the meantime
+      if (this.book !== book || this.destroyed) return;
+      this._applyPageSizes(Array.from({ length: end - start }, (_, i) => start + i));
+      this._sizedPages = end;
+    });
+    this._sizeBatches[batch] = promise;
+    return promise;
+  }
+
+  /**
+   * Resizes the placeholders of some pages, keeping the current page where
+   * it is on screen.
+   *
+   * @param {Array<number>} pages - Zero-based indices of the pages
+   * @private
+   */
+  _applyPageSizes(pages) {
+    const [edge, scroll] = this._isVertical() ? ["top", "scrollTop"] : ["left", "scrollLeft"];
+    // Pages still being set up off screen have nothing to keep in place
+    const wrapper = this.pageCanvases[this.currentPage]?.parentElement;
+    const anchor = wrapper && wrapper.parentElement === this.pagesContainer ? wrapper : null;
+    const before = anchor ? anchor.getBoundingClientRect()[edge] : 0;
+
+    pages.forEach(ndx => this._setPageDimensions(ndx));
+
+    if (anchor) {
+      const shift = anchor.getBoundingClientRect()[edge] - before;
+      if (shift) this.scrollContainer[scroll] += shift;
+    }
+  }
+
+  /**
+   * Works out the size a page is shown at: fitted to the viewer's height in
+   * the horizontal layout, or to its width in the vertical one, times the
+   * zoom level.
+   *
+   * @param {number} aspect - The page's width-to-height ratio
+   * @returns {{width: number, height: number}} The page size in CSS pixels
+   * @private
+   */
+  _getPageBox(aspect) {
+    if (this._isVertical()) {
+      const width = this._getFittedWidth() * this.zoom;
+      return { width, height: width / aspect };
+    }
+    const height = (this.scrollContainer.clientHeight || 600) * this.zoom;
+    return { width: height * aspect, height };
+  }
+
+  /**
+   * Width of a page fitted to the viewer in the vertical layout.
+   *
+   * @returns {number} The width in CSS pixels
+   * @private
+   */
+  _getFittedWidth() {
+    const style = getComputedStyle(this.scrollContainer);
+    const contentWidth = (this.scrollContainer.clientWidth || 800) -
+      (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+    return Math.max(contentWidth - VERTICAL_PAGE_GUTTER * 2, 100);
+  }
+
+  /**
+   * Handles dragging with the mouse and touch gestures, through pointer events.
+   *
+   * - One finger (or the mouse) drags the pages, and a flick keeps them
+   *   moving for a moment. The `momentum` option sets how far they carry on.
+   * - Two fingers pinch to zoom around the point between them, and move the
+   *   pages as the fingers move.
+   * - A double tap zooms in on the tapped point, or back to the fitted size.
+   * - A swipe that starts at the left or right edge of the viewer turns the
+   *   page instead of dragging.
+   *
+   * Touch panning the browser can do itself is left to it: the scroll
+   * container allows `touch-action: pan-y`, so vertical swipes still scroll
+   * the pages in the vertical layout, and the web page around a horizontal
+   * viewer. Once the browser takes a touch over, it cancels the pointer and
+   * the gesture ends.
+   *
+   * Velocity Calculation:
+   * - During dragging, the last few pointer positions and timestamps are recorded.
+   * - On drag end, velocity is the distance between the first and last recorded points, divided by the time between them.
    * - This velocity is then used to apply inertia (momentum) scrolling, simulating a natural flick effect.
-   * - The strength of the inertia can be controlled via the `dragMomentum` property.
    *
-   * To adjust the momentum/inertia, set `this.dragMomentum` (default: 1.5).
+   * @private
    */
-  _setupGrabAndScroll() {
+  _setupGestures() {
     const container = this.scrollContainer;
-    let isDown = false;
-    let startX;
-    let scrollLeft;
+    const momentum = typeof this.options.momentum === 'number' ? this.options.momentum : DEFAULT_MOMENTUM;
+    /** @type {Map<number, {x: number, y: number}>} Pointers down on the viewer, by pointer id */
+    const pointers = new Map();
+    let drag = null;
+    let pinch = null;
+    let lastTap = null;
     let positions = [];
     let animationFrame;
-    const momentum = typeof this.options.momentum === 'number' ? this.options.momentum : 0.3;
 
     container.style.cursor = 'grab';
 
-    const recordPosition = (x) => {
-      const now = Date.now();
-      positions.push({ x, time: now });
+    const scrollTo = (left, top) => container.scrollTo({ left, top, behavior: 'instant' });
+
+    const recordPosition = (x, y) => {
+      positions.push({ x, y, time: Date.now() });
       // Keep only the last 5 positions
       if (positions.length > 5) positions.shift();
     };
@@ -732,82 +1972,214 @@ export class ScrollablePdfViewer extends EventEmitter {
     /**
      * Calculate velocity for inertia scrolling.
      * Uses the first and last recorded positions to determine average velocity over the drag.
-     * @returns {number} Velocity in pixels per millisecond
+     * @returns {{x: number, y: number}} Velocity in pixels per millisecond
      */
     const getVelocity = () => {
-      if (positions.length < 2) return 0;
+      if (positions.length < 2) return { x: 0, y: 0 };
       const first = positions[0];
       const last = positions[positions.length - 1];
-      const dx = last.x - first.x;
       const dt = last.time - first.time;
-      return dt > 0 ? dx / dt : 0;
+      return dt > 0
+        ? { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt }
+        : { x: 0, y: 0 };
     };
 
-    const onStart = (e) => {
-      isDown = true;
-      container.style.cursor = 'grabbing';
-      container.classList.add('grabbing');
-      startX = e.type.startsWith('touch') ? e.touches[0].pageX : e.pageX;
-      scrollLeft = container.scrollLeft;
-      positions = [{ x: startX, time: Date.now() }];
-      // Cancel any ongoing animation
+    const stopMomentum = () => {
       if (animationFrame) {
         cancelAnimationFrame(animationFrame);
         animationFrame = null;
       }
     };
 
-    const onMove = (e) => {
-      if (!isDown) return;
-      e.preventDefault();
-      const x = e.type.startsWith('touch') ? e.touches[0].pageX : e.pageX;
-      recordPosition(x);
-      const walk = x - startX;
-      container.scrollLeft = scrollLeft - walk;
+    const applyMomentum = () => {
+      const velocity = getVelocity();
+      // Apply inertia if velocity is significant
+      if (Math.hypot(velocity.x, velocity.y) <= 0.2) return;
+      // Pixels per millisecond, like the drag's own velocity
+      const startVelocity = { x: velocity.x * momentum, y: velocity.y * momentum };
+      const startTime = Date.now();
+      const startLeft = container.scrollLeft;
+      const startTop = container.scrollTop;
+      const deceleration = 0.002; // pixels per ms^2
+      const animate = () => {
+        const elapsed = Date.now() - startTime;
+        const remaining = Math.hypot(startVelocity.x, startVelocity.y) * Math.exp(-deceleration * elapsed);
+        if (Math.abs(remaining) > 0.01 && elapsed < 500) {
+          const travelled = (1 - Math.exp(-deceleration * elapsed)) / deceleration;
+          scrollTo(startLeft - startVelocity.x * travelled, startTop - startVelocity.y * travelled);
+          animationFrame = requestAnimationFrame(animate);
+        }
+      };
+      animationFrame = requestAnimationFrame(animate);
     };
 
-    const onEnd = () => {
-      if (!isDown) return;
-      isDown = false;
+    const midpoint = () => {
+      const [a, b] = pointers.values();
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    };
+
+    const endDrag = () => {
+      if (!drag) return;
+      drag = null;
       container.style.cursor = 'grab';
       container.classList.remove('grabbing');
-      const velocity = getVelocity();
-      // Apply inertia if velocity is significant
-      if (Math.abs(velocity) > 0.2) {
-        const startVelocity = velocity * momentum * 16; // 16ms per frame
-        const startTime = Date.now();
-        const startScroll = container.scrollLeft;
-        const animate = () => {
-          const elapsed = Date.now() - startTime;
-          const deceleration = 0.002; // pixels per ms^2
-          const remaining = startVelocity * Math.exp(-deceleration * elapsed);
-          if (Math.abs(remaining) > 0.01 && elapsed < 500) {
-            container.scrollLeft = startScroll - (startVelocity / deceleration) * (1 - Math.exp(-deceleration * elapsed));
-            animationFrame = requestAnimationFrame(animate);
-          }
-        };
-        animationFrame = requestAnimationFrame(animate);
+    };
+
+    /**
+     * Turns the page if a drag that started at the viewer's edge was a
+     * sideways swipe away from it.
+     * @param {Object} swipe - The drag, with its start point and edge
+     * @param {number} x - Where the finger lifted, in client coordinates
+     * @param {number} y - Where the finger lifted, in client coordinates
+     * @returns {boolean} Whether the page was turned
+     */
+    const handleEdgeSwipe = (swipe, x, y) => {
+      const dx = x - swipe.startX;
+      const dy = y - swipe.startY;
+      if (Math.abs(dx) < EDGE_SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy) * 2) return false;
+      if (swipe.edge === 'right' && dx < 0) {
+        this.flip_forward();
+        return true;
+      }
+      if (swipe.edge === 'left' && dx > 0) {
+        this.flip_back();
+        return true;
+      }
+      return false;
+    };
+
+    /**
+     * Zooms in on a double-tapped point, or back out to the fitted size.
+     * @param {number} x - Where the tap landed, in client coordinates
+     * @param {number} y - Where the tap landed, in client coordinates
+     * @returns {boolean} Whether the tap was the second of a double tap
+     */
+    const handleTap = (x, y) => {
+      const now = Date.now();
+      if (lastTap && now - lastTap.time < DOUBLE_TAP_DELAY &&
+          Math.hypot(x - lastTap.x, y - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+        lastTap = null;
+        const fitted = !this.zoomMode && Math.abs(this.zoom - 1) < 0.01;
+        this.setZoom(fitted ? DOUBLE_TAP_ZOOM : 1, { focalPoint: { x, y } });
+        return true;
       }
+      lastTap = { x, y, time: now };
+      return false;
     };
 
-    // Mouse events
-    container.addEventListener('mousedown', onStart);
-    container.addEventListener('mousemove', onMove);
-    container.addEventListener('mouseup', onEnd);
-    container.addEventListener('mouseleave', onEnd);
+    container.addEventListener('pointerdown', (e) => {
+      const mouse = e.pointerType === 'mouse';
+      if (mouse && e.button !== 0) return;
+      // Pressing on text selects it rather than dragging the pages, and links
+      // are followed rather than dragged; fingers select text with a long press
+      if (mouse && e.target.closest && e.target.closest(".pdfagogo-text-layer span, .pdfagogo-link")) return;
 
-    // Touch events
-    // container.addEventListener('touchstart', onStart, { passive: false });
-    // container.addEventListener('touchmove', onMove, { passive: false });
-    // container.addEventListener('touchend', onEnd);
-    // container.addEventListener('touchcancel', onEnd);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      // Cancel any ongoing animation
+      stopMomentum();
+
+      if (pointers.size === 2) {
+        // A second finger turns the drag into a pinch
+        endDrag();
+        const mid = midpoint();
+        pinch = { distance: mid.distance, zoom: this.zoom, x: mid.x, y: mid.y };
+        lastTap = null;
+        return;
+      }
+      if (pointers.size > 2 || pinch) return;
+
+      // Keep dragging when the mouse leaves the viewer
+      if (mouse) container.setPointerCapture(e.pointerId);
+      const rect = container.getBoundingClientRect();
+      let edge = null;
+      if (!mouse) {
+        if (e.clientX - rect.left < EDGE_SWIPE_ZONE) edge = 'left';
+        else if (rect.right - e.clientX < EDGE_SWIPE_ZONE) edge = 'right';
+      }
+      drag = {
+        id: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        scrollLeft: container.scrollLeft,
+        scrollTop: container.scrollTop,
+        startTime: Date.now(),
+        moved: false,
+        edge
+      };
+      positions = [{ x: e.clientX, y: e.clientY, time: drag.startTime }];
+      container.style.cursor = 'grabbing';
+      container.classList.add('grabbing');
+    });
+
+    container.addEventListener('pointermove', (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pinch && pointers.size === 2) {
+        const mid = midpoint();
+        if (pinch.distance > 0) {
+          this.setZoom(pinch.zoom * (mid.distance / pinch.distance), { focalPoint: { x: mid.x, y: mid.y } });
+        }
+        // Move the pages along with the fingers
+        scrollTo(container.scrollLeft - (mid.x - pinch.x), container.scrollTop - (mid.y - pinch.y));
+        pinch.x = mid.x;
+        pinch.y = mid.y;
+        return;
+      }
+
+      if (!drag || drag.id !== e.pointerId) return;
+      e.preventDefault();
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+      if (Math.hypot(dx, dy) > TAP_SLOP) drag.moved = true;
+      // Edge swipes are judged when the finger lifts
+      if (drag.edge) return;
+      recordPosition(e.clientX, e.clientY);
+      // Both axes, so zoomed-in pages can be dragged across as well
+      scrollTo(drag.scrollLeft - dx, drag.scrollTop - dy);
+    });
+
+    const onEnd = (e) => {
+      if (!pointers.delete(e.pointerId)) return;
+      if (pinch) {
+        // Wait for every finger to lift before dragging again
+        if (pointers.size === 0) pinch = null;
+        return;
+      }
+      if (!drag || drag.id !== e.pointerId) return;
+      const current = drag;
+      endDrag();
+      if (e.type === 'pointercancel') return;
+
+      if (!current.moved) {
+        if (e.pointerType !== 'mouse' && Date.now() - current.startTime < DOUBLE_TAP_DELAY &&
+            handleTap(e.clientX, e.clientY)) {
+          e.preventDefault();
+        }
+        return;
+      }
+      if (current.edge) {
+        handleEdgeSwipe(current, e.clientX, e.clientY);
+      } else {
+        applyMomentum();
+      }
+    };
+
+    container.addEventListener('pointerup', onEnd);
+    container.addEventListener('pointercancel', onEnd);
+    // Dragging the pages doesn't select text
+    container.addEventListener('selectstart', (e) => {
+      if (drag) e.preventDefault();
+    });
   }
 
   _setupWheelScrollHandler() {
     let lastWheelTime = Date.now();
     let wheelVelocity = 0;
     let wheelAnimationFrame;
-    const momentum = typeof this.options.momentum === 'number' ? this.options.momentum : 1.5;
+    const momentum = typeof this.options.momentum === 'number' ? this.options.momentum : DEFAULT_MOMENTUM;
+    const vertical = this._isVertical();
+    const scrollAxis = vertical ? 'scrollTop' : 'scrollLeft';
 
     this.scrollContainer.addEventListener('wheel', (e) => {
       const now = Date.now();
@@ -819,12 +2191,22 @@ export class ScrollablePdfViewer extends EventEmitter {
         wheelAnimationFrame = null;
       }
 
+      // Ctrl + wheel (and trackpad pinch) zooms around the cursor
+      if (e.ctrlKey) {
+        e.preventDefault();
+        this.setZoom(this.zoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), {
+          focalPoint: { x: e.clientX, y: e.clientY }
+        });
+        lastWheelTime = now;
+        return;
+      }
+
       // Handle both vertical and horizontal scrolling
       let deltaX = e.deltaX;
       let deltaY = e.deltaY;
 
       // If shift is held, treat vertical scroll as horizontal
-      if (e.shiftKey) {
+      if (e.shiftKey && !vertical) {
         deltaX = deltaY;
         deltaY = 0;
       }
@@ -832,23 +2214,26 @@ export class ScrollablePdfViewer extends EventEmitter {
       // If it's primarily horizontal scrolling or touchpad gesture
       // if (Math.abs(deltaX) > Math.abs(deltaY) || e.deltaMode === 0) {
 
-      // Only handle horizontal scrolling here - let vertical scroll pass through
-      if (Math.abs(deltaX) > Math.abs(deltaY)) {
+      // Only handle scrolling along the layout's axis here - let the other
+      // direction pass through
+      const along = vertical ? deltaY : deltaX;
+      const across = vertical ? deltaX : deltaY;
+      if (Math.abs(along) > Math.abs(across)) {
 
         e.preventDefault();
 
         // Calculate new velocity
-        const delta = deltaX * momentum;
+        const delta = along * momentum;
         wheelVelocity = dt > 0 ? delta / dt : 0;
 
         // Apply immediate scroll
-        this.scrollContainer.scrollLeft += delta;
+        this.scrollContainer[scrollAxis] += delta;
 
         // Apply momentum if the scroll was fast enough
         if (Math.abs(wheelVelocity) > 0.1) {
           const startVelocity = wheelVelocity;
           const startTime = now;
-          const startScroll = this.scrollContainer.scrollLeft;
+          const startScroll = this.scrollContainer[scrollAxis];
 
           const animate = () => {
             const elapsed = Date.now() - startTime;
@@ -856,7 +2241,7 @@ export class ScrollablePdfViewer extends EventEmitter {
             const remaining = startVelocity * Math.exp(-deceleration * elapsed);
 
             if (Math.abs(remaining) > 0.01 && elapsed < 300) {
-              this.scrollContainer.scrollLeft = startScroll +
+              this.scrollContainer[scrollAxis] = startScroll +
                 (startVelocity / deceleration) * (1 - Math.exp(-deceleration * elapsed));
               wheelAnimationFrame = requestAnimationFrame(animate);
             }
@@ -869,27 +2254,138 @@ export class ScrollablePdfViewer extends EventEmitter {
     }, { passive: false });
   }
 
+  /**
+   * Redraw a page's search highlights after they changed.
+   *
+   * Highlights sit in a layer above the page, so the page itself is not
+   * rendered again; pages that haven't rendered yet get their highlights
+   * when they do.
+   *
+   * @param {number} ndx - Zero-based page index
+   */
   rerenderPage(ndx) {
-    console.log("rerenderPage",ndx);
-    const canvas = this.pageCanvases[ndx];
-    if (!canvas) return;
+    if (!this.pageCanvases[ndx]) return;
+    this._renderHighlightLayer(ndx);
+  }
+
+  /**
+   * Draws a small picture of a page, e.g. for a page navigator.
+   *
+   * Thumbnails are rendered in the render queue's background lane, so they
+   * wait until the pages in view are drawn. The page is drawn with its
+   * rotation and the reading theme in use. Asking again for the same page
+   * replaces the earlier request, which then resolves false.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {HTMLCanvasElement} canvas - The canvas to draw into; its bitmap is sized for the screen's pixel density
+   * @param {Object} [options={}] - Thumbnail options
+   * @param {number} [options.width=120] - Width in CSS pixels; the height follows the page's shape
+   * @param {AbortSignal} [options.signal] - Cancels the thumbnail, e.g. once it has scrolled away
+   * @returns {Promise<boolean>} Resolves true once the thumbnail is drawn, false if it was cancelled or failed
+   *
+   * @example
+   * const canvas = document.createElement('canvas');
+   * viewer.renderThumbnail(4, canvas, { width: 100 }).then((drawn) => {
+   *   if (drawn) list.appendChild(canvas);
+   * });
+   */
+  renderThumbnail(ndx, canvas, { width = THUMBNAIL_WIDTH, signal = null } = {}) {
+    const key = `thumbnail:${ndx}`;
+    if (this._thumbnailRequests.has(key)) this._thumbnailRequests.get(key)(false);
+    if (this.destroyed || !(ndx >= 0 && ndx < this.pageCount) || (signal && signal.aborted)) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const abort = () => {
+        this.renderQueue.prune(page => page !== ndx, "background");
+        settle(false);
+      };
+      const settle = (drawn) => {
+        if (this._thumbnailRequests.get(key) !== settle) return;
+        this._thumbnailRequests.delete(key);
+        if (signal) signal.removeEventListener("abort", abort);
+        resolve(drawn);
+      };
+      this._thumbnailRequests.set(key, settle);
+      if (signal) signal.addEventListener("abort", abort, { once: true });
+      this.renderQueue.add(
+        key,
+        (queueSignal) => this._renderThumbnail(ndx, canvas, width, queueSignal).then(settle),
+        { page: ndx, lane: "background" }
+      );
+    });
+  }
+
+  /**
+   * Renders a thumbnail once the render queue gets to it.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {HTMLCanvasElement} canvas - The canvas to draw into
+   * @param {number} width - Width in CSS pixels
+   * @param {AbortSignal} signal - Aborted when the queue cancels the task
+   * @returns {Promise<boolean>} Whether the thumbnail was drawn
+   * @private
+   */
+  _renderThumbnail(ndx, canvas, width, signal) {
+    const rotation = this.getRotation(ndx);
+    const theme = this.theme;
+    return new Promise((resolve) => this.book.getPage(ndx, (err, pg) => {
+      if (this.destroyed || signal.aborted) {
+        resolve(false);
+        return;
+      }
+      if (err) {
+        this._reportError(new RenderError(ndx, { cause: err }));
+        resolve(false);
+        return;
+      }
 
-    this._renderPage(ndx);
+      const scale = window.devicePixelRatio || 1;
+      const task = renderPageToCanvas(pg, canvas, {
+        width: width * scale,
+        height: (width * scale * pg.height) / pg.width,
+        theme
+      });
+      const cancel = () => task.cancel();
+      signal.addEventListener("abort", cancel, { once: true });
+      task.promise.then(() => true, (error) => {
+        if (!isAbortError(error) && !this.destroyed) {
+          this._reportError(new RenderError(ndx, { cause: error }));
+        }
+        return false;
+      }).then((drawn) => {
+        signal.removeEventListener("abort", cancel);
+        resolve(drawn);
+      });
+    }, { rotation }));
   }
 
   // Add a method to get performance metrics
   getPerformanceMetrics() {
     if (!this.debug) return null;
 
-    const avgHighResTime = Object.values(this.metrics.highResUpgradeTimes).reduce((a, b) => a + b, 0) / this.metrics.totalHighResUpgrades;
+    const average = (times) => {
+      const values = Object.values(times);
+      return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    };
 
     return {
       initialRenderTime: this.metrics.initialRenderEnd - this.metrics.initialRenderStart,
-      averageHighResRenderTime: avgHighResTime,
+      averageLowResRenderTime: average(this.metrics.pageRenderTimes),
+      averageHighResRenderTime: average(this.metrics.highResUpgradeTimes),
       totalPagesRendered: this.metrics.totalPagesRendered,
       totalHighResUpgrades: this.metrics.totalHighResUpgrades,
       pageRenderTimes: this.metrics.pageRenderTimes,
-      highResUpgradeTimes: this.metrics.highResUpgradeTimes
+      highResUpgradeTimes: this.metrics.highResUpgradeTimes,
+      renderQueueLength: this.renderQueue.length,
+      activeRenders: this.renderQueue.running.size,
+      cancelledRenders: this.renderQueue.stats.cancelled,
+      deduplicatedRenders: this.renderQueue.stats.deduplicated,
+      memoryUsed: this.pageCache.used,
+      memoryBudget: this.pageCache.budget,
+      cachedPages: this.pageCache.size,
+      evictedPages: this.pageCache.stats.evicted
     };
   }
 
@@ -902,7 +2398,7 @@ export class ScrollablePdfViewer extends EventEmitter {
     this._debugInterval = setInterval(() => this._updateDebugInfo(), 500);
 
     // Clean up on page unload
-    window.addEventListener('unload', () => {
+    this._listen(window, 'unload', () => {
       if (this._debugInterval) {
         clearInterval(this._debugInterval);
       }
@@ -937,10 +2433,15 @@ export class ScrollablePdfViewer extends EventEmitter {
 
     this.debugElement.innerHTML = `
       <div class="timing">Initial Render: ${timeSinceStart}ms</div>
+      <div class="timing">Avg Low-Res: ${avgLowResTime}ms</div>
       <div class="timing">Avg High-Res: ${avgHighResTime}ms</div>
-      <div>Pages Rendered: ${this.metrics.totalPagesRendered}</div>
+      <div>Low-Res Renders: ${this.metrics.totalPagesRendered}</div>
       <div>High-Res Updates: ${this.metrics.totalHighResUpgrades}</div>
-      <div class="memory">Memory Freed: ${(totalMemoryFreed / 1024 / 1024).toFixed(2)}MB</div>
+      <div>Render Queue: ${this.renderQueue.length} waiting, ${this.renderQueue.running.size} running</div>
+      <div>Cancelled Renders: ${this.renderQueue.stats.cancelled}</div>
+      <div class="memory">Page Memory: ${(this.pageCache.used / MB).toFixed(2)} / ${this.memoryBudget}MB (${this.pageCache.size} pages)</div>
+      <div class="memory">Evicted Pages: ${this.pageCache.stats.evicted}</div>
+      <div class="memory">Memory Freed: ${(totalMemoryFreed / MB).toFixed(2)}MB</div>
       <div>Visible Pages: ${visiblePages}</div>
       <div>Resolution Changes: ${Object.keys(this.metrics.highResUpgradeTimes).length}</div>
     `;
@@ -949,44 +2450,153 @@ export class ScrollablePdfViewer extends EventEmitter {
   }
 
   flip_forward() {
-    const nextPage = this.currentPage + 1;
+    // With spreads, move past both pages of the current spread
+    const spread = this.getSpreadPages(this.currentPage);
+    const nextPage = spread[spread.length - 1] + 1;
     if (nextPage < this.pageCount) {
       this.go_to_page(nextPage);
     }
   }
 
   flip_back() {
-    const prevPage = this.currentPage - 1;
+    const prevPage = this.getSpreadPages(this.currentPage)[0] - 1;
     if (prevPage >= 0) {
-      this.go_to_page(prevPage);
+      this.go_to_page(this.getSpreadPages(prevPage)[0]);
     }
   }
 
-  scrollBy(pages) {
-    const pageWidth = this._getPageWidth() + 24;
-    this.scrollContainer.scrollBy({
-      left: pageWidth * pages,
-      behavior: "smooth"
+  /**
+   * Lists the pages shown together with a page: both pages of its spread,
+   * or just the page itself when spreads are off or have fallen back to
+   * single pages.
+   *
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Array<number>} Zero-based indices of the pages in the spread, in order
+   *
+   * @example
+   * // spread: "even" (cover on its own)
+   * viewer.getSpreadPages(0); // [0]
+   * viewer.getSpreadPages(4); // [3, 4] – pages 4–5
+   */
+  getSpreadPages(pageIndex) {
+    if (!this.spreadActive) return [pageIndex];
+    // "even" keeps the cover on its own, so pairs start one page later
+    const offset = this.spread === "even" ? 1 : 0;
+    if (pageIndex < offset) return [pageIndex];
+    const first = pageIndex - ((pageIndex - offset) % 2);
+    return first + 1 < this.pageCount ? [first, first + 1] : [first];
+  }
+
+  /**
+   * Switches spreads on or off for the viewer's current size, and marks the
+   * left and right pages of each spread so they are drawn without a gutter.
+   *
+   * Spreads need room for two pages side by side, so narrow viewers (and
+   * the vertical layout) fall back to single pages.
+   *
+   * @fires ScrollablePdfViewer#spreadChanged
+   * @private
+   */
+  _updateSpreads() {
+    const wasActive = this.spreadActive;
+    this.spreadActive = this.spread !== "none" && !this._isVertical() && !this.isMobile &&
+      this.scrollContainer.clientWidth >= (this._getPageWidth() / this.zoom) * 2;
+
+    Object.keys(this.pageCanvases).forEach(key => {
+      const ndx = parseInt(key, 10);
+      const wrapper = this.pageCanvases[ndx].parentElement;
+      const spread = this.getSpreadPages(ndx);
+      const paired = spread.length === 2;
+      wrapper.classList.toggle("pdfagogo-spread-left", paired && spread[0] === ndx);
+      wrapper.classList.toggle("pdfagogo-spread-right", paired && spread[1] === ndx);
     });
+
+    if (this.spreadActive !== wasActive) {
+      this.emit("spreadChanged", { spread: this.spread, active: this.spreadActive });
+    }
+  }
+
+  /**
+   * Scrolls by a number of pages, by the distance between the current page
+   * and the target page as they are laid out.
+   *
+   * @param {number} pages - Pages to scroll by; negative scrolls back
+   */
+  scrollBy(pages) {
+    const from = this.pageCanvases[this.currentPage]?.parentElement;
+    const target = Math.min(Math.max(this.currentPage + pages, 0), this.pageCount - 1);
+    const to = this.pageCanvases[target]?.parentElement;
+    if (!from || !to) return;
+
+    const edge = this._isVertical() ? "top" : "left";
+    const distance = to.getBoundingClientRect()[edge] - from.getBoundingClientRect()[edge];
+    this.scrollContainer.scrollBy({ [edge]: distance, behavior: "smooth" });
   }
 
-  // Change the view to show a specific page
-  go_to_page(pageNum) {
-    // Center the given page
+  /**
+   * Shows a page: centers it (or its spread), or scrolls to a position on
+   * it, e.g. the target of a link.
+   *
+   * @param {number} pageNum - Zero-based page index
+   * @param {Object} [position] - Point to bring into view, in PDF points from the top-left corner of the page as the document lays it out, before any rotation in the viewer
+   * @param {number|null} [position.left] - Distance from the page's left edge
+   * @param {number|null} [position.top] - Distance from the page's top edge
+   * @fires ScrollablePdfViewer#seen
+   */
+  go_to_page(pageNum, position) {
+    // Center the given page, or its spread
     const wrapper = this.pageCanvases[pageNum]?.parentElement;
     if (!wrapper) return;
 
+    // The pages before it have to be sized for it to be where it will stay
+    const spreadEnd = this.getSpreadPages(pageNum).slice(-1)[0];
+    if (spreadEnd >= this._sizedPages) {
+      this._measurePages(spreadEnd).then(() => {
+        if (!this.destroyed && this.pageCanvases[pageNum]?.parentElement === wrapper) {
+          this.go_to_page(pageNum, position);
+        }
+      });
+      return;
+    }
+
+    const spread = this.getSpreadPages(pageNum);
+    const first = this.pageCanvases[spread[0]].parentElement;
+    const last = this.pageCanvases[spread[spread.length - 1]].parentElement;
     const containerWidth = this.scrollContainer.clientWidth;
     const wrapperRect = wrapper.getBoundingClientRect();
     const containerRect = this.scrollContainer.getBoundingClientRect();
 
-    // Calculate scroll position to center the page
-    const scrollLeft = wrapper.offsetLeft - (containerWidth - wrapperRect.width) / 2;
+    if (this._isVertical()) {
+      // Center the page vertically, or show its top if it is taller than the viewer
+      const containerHeight = this.scrollContainer.clientHeight;
+      const pageTop = this.scrollContainer.scrollTop + wrapperRect.top - containerRect.top;
+      const offset = this._getPositionOffset(pageNum, position, "top", wrapperRect.height);
+      const scrollTop = offset !== null
+        ? pageTop + offset - VERTICAL_PAGE_GUTTER
+        : pageTop - Math.max(VERTICAL_PAGE_GUTTER, (containerHeight - wrapperRect.height) / 2);
+      this.scrollContainer.scrollTo({
+        top: Math.max(0, scrollTop),
+        behavior: "smooth"
+      });
+    } else {
+      // Calculate scroll position to center the page (or both pages of a spread)
+      const spreadWidth = last.getBoundingClientRect().right - first.getBoundingClientRect().left;
+      let scrollLeft = first.offsetLeft - (containerWidth - spreadWidth) / 2;
+      const scroll = { behavior: "smooth" };
+
+      // Zoomed-in pages don't fit, so move to the position on them instead
+      const offsetLeft = this._getPositionOffset(pageNum, position, "left", wrapperRect.width);
+      if (offsetLeft !== null && wrapperRect.width > containerWidth) {
+        scrollLeft = wrapper.offsetLeft + offsetLeft;
+      }
+      const offsetTop = this._getPositionOffset(pageNum, position, "top", wrapperRect.height);
+      if (offsetTop !== null && wrapperRect.height > this.scrollContainer.clientHeight) {
+        scroll.top = Math.max(0, this.scrollContainer.scrollTop + wrapperRect.top - containerRect.top + offsetTop);
+      }
 
-    this.scrollContainer.scrollTo({
-      left: Math.max(0, scrollLeft),
-      behavior: "smooth"
-    });
+      scroll.left = Math.max(0, scrollLeft);
+      this.scrollContainer.scrollTo(scroll);
+    }
 
     // Update current page immediately
     this.currentPage = pageNum;
@@ -996,4 +2606,493 @@ export class ScrollablePdfViewer extends EventEmitter {
       console.log(`[PDF-A-go-go Debug] Navigated to page ${pageNum + 1}`);
     }
   }
+
+  /**
+   * Converts a position on a page from PDF points to CSS pixels from the
+   * page's edge at its current size.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @param {Object} [position] - Position in PDF points, on the page before it is rotated in the viewer
+   * @param {string} edge - "left" or "top"
+   * @param {number} length - Width or height of the page in CSS pixels
+   * @returns {number|null} Offset in CSS pixels, or null if the position doesn't set it or the page size isn't known yet
+   * @private
+   */
+  _getPositionOffset(ndx, position, edge, length) {
+    const size = this.pageSizes[ndx];
+    if (!position || !size) return null;
+    const value = rotatePosition(position, this.getRotation(ndx), size)[edge];
+    if (typeof value !== "number") return null;
+    return (value / (edge === "left" ? size.width : size.height)) * length;
+  }
+
+  /**
+   * Zooms the pages.
+   *
+   * A number sets a fixed zoom level, where 1 fits the page to the viewer
+   * (the default: its height in the horizontal layout, its width in the
+   * vertical one) and 2 shows pages twice as large. A mode keeps the
+   * zoom worked out from the viewer's size, also after it is resized:
+   * - `"fit-width"`: the page fills the width of the viewer
+   * - `"fit-page"`: the whole page is visible
+   * - `"actual"`: the page is shown at its printed size
+   *
+   * The point under the focal point (by default the centre of the viewer)
+   * stays in place. Pages are resized right away and re-rendered sharp
+   * shortly after zooming stops.
+   *
+   * @param {number|string} level - Zoom level, or "fit-width", "fit-page" or "actual"
+   * @param {Object} [options={}] - Zoom options
+   * @param {{x: number, y: number}} [options.focalPoint] - Point to zoom around, in client coordinates
+   * @returns {number} The new zoom level, clamped to 0.25–4
+   * @fires ScrollablePdfViewer#zoomChanged
+   *
+   * @example
+   * viewer.setZoom(2);            // twice the fitted size
+   * viewer.setZoom('fit-width');  // fill the width, also after resizing
+   * viewer.on('zoomChanged', ({ zoom, mode }) => console.log(zoom, mode));
+   */
+  setZoom(level, options = {}) {
+    if (this.destroyed) return this.zoom;
+    const mode = typeof level === "string" ? level : null;
+    if (mode && !ZOOM_MODES.includes(mode)) {
+      throw new Error(`Unknown zoom mode "${level}"; use ${ZOOM_MODES.join(", ")} or a number`);
+    }
+    const zoom = clampZoom(mode ? this._resolveZoom(mode) : Number(level));
+    if (isNaN(zoom)) {
+      throw new Error(`Invalid zoom level "${level}"`);
+    }
+
+    const previous = { zoom: this.zoom, mode: this.zoomMode };
+    this.zoomMode = mode;
+    this._applyZoom(zoom, options.focalPoint);
+
+    // Scrollbars that appeared or went away change the space to fit into
+    if (mode) this._applyZoom(clampZoom(this._resolveZoom(mode)), options.focalPoint);
+
+    if (this.zoom !== previous.zoom || this.zoomMode !== previous.mode) {
+      this.emit("zoomChanged", { zoom: this.zoom, mode: this.zoomMode });
+    }
+    return this.zoom;
+  }
+
+  /**
+   * Zooms in to the next zoom step.
+   *
+   * @param {Object} [options] - Options for {@link ScrollablePdfViewer#setZoom}
+   * @returns {number} The new zoom level
+   */
+  zoomIn(options) {
+    const next = ZOOM_STEPS.find(step => step > this.zoom + 0.001);
+    return this.setZoom(next || MAX_ZOOM, options);
+  }
+
+  /**
+   * Zooms out to the previous zoom step.
+   *
+   * @param {Object} [options] - Options for {@link ScrollablePdfViewer#setZoom}
+   * @returns {number} The new zoom level
+   */
+  zoomOut(options) {
+    const previous = ZOOM_STEPS.slice().reverse().find(step => step < this.zoom - 0.001);
+    return this.setZoom(previous || MIN_ZOOM, options);
+  }
+
+  /**
+   * Works out the zoom level for a zoom mode from the viewer's size and the
+   * size of the current page.
+   *
+   * @param {string} mode - "fit-width", "fit-page" or "actual"
+   * @returns {number} The zoom level (not clamped)
+   * @private
+   */
+  _resolveZoom(mode) {
+    const fittedHeight = this.scrollContainer.clientHeight || 600;
+    const size = this.pageSizes[this.currentPage] || Object.values(this.pageSizes)[0];
+
+    if (this._isVertical()) {
+      // Zoom level 1 fits the page width in the vertical layout
+      const fittedWidth = this._getFittedWidth();
+      const aspect = size ? size.width / size.height : DEFAULT_PAGE_ASPECT;
+      if (mode === "actual") {
+        return size ? (size.width * CSS_PIXELS_PER_POINT) / fittedWidth : 1;
+      }
+      const fitPage = (fittedHeight - VERTICAL_PAGE_GUTTER * 2) / (fittedWidth / aspect);
+      return mode === "fit-width" ? 1 : Math.min(1, fitPage);
+    }
+
+    if (mode === "actual") {
+      return size ? (size.height * CSS_PIXELS_PER_POINT) / fittedHeight : 1;
+    }
+
+    // A spread is two pages wide
+    const aspect = (size ? size.width / size.height : DEFAULT_PAGE_ASPECT) * (this.spreadActive ? 2 : 1);
+    const wrapper = this.pagesContainer.firstElementChild;
+    // The first page's right margin is the fixed gap between pages
+    const gap = wrapper && wrapper !== this.pagesContainer.lastElementChild
+      ? parseFloat(getComputedStyle(wrapper).marginRight) || 0
+      : 0;
+    const fitWidth = (this.scrollContainer.clientWidth - gap * 2) / (fittedHeight * aspect);
+    return mode === "fit-width" ? fitWidth : Math.min(1, fitWidth);
+  }
+
+  /**
+   * Resizes the pages for a new zoom level, keeping the focal point in place,
+   * and schedules sharp re-renders.
+   *
+   * @param {number} zoom - The new zoom level
+   * @param {{x: number, y: number}} [focalPoint] - Point to zoom around, in client coordinates
+   * @private
+   */
+  _applyZoom(zoom, focalPoint) {
+    if (zoom === this.zoom) return;
+    const container = this.scrollContainer;
+    const containerRect = container.getBoundingClientRect();
+    const focus = focalPoint || {
+      x: containerRect.left + containerRect.width / 2,
+      y: containerRect.top + containerRect.height / 2
+    };
+
+    // Remember where on its page the focal point is
+    const [start, end, axis] = this._isVertical() ? ["top", "bottom", "y"] : ["left", "right", "x"];
+    let anchor = null;
+    for (const wrapper of this.pagesContainer.children) {
+      const rect = wrapper.getBoundingClientRect();
+      if (rect.width && focus[axis] >= rect[start] && focus[axis] <= rect[end]) {
+        anchor = {
+          wrapper,
+          x: (focus.x - rect.left) / rect.width,
+          y: rect.height ? (focus.y - rect.top) / rect.height : 0
+        };
+        break;
+      }
+    }
+    const offsetX = focus.x - containerRect.left;
+    const offsetY = focus.y - containerRect.top;
+    const ratio = zoom / this.zoom;
+    const contentX = container.scrollLeft + offsetX;
+    const contentY = container.scrollTop + offsetY;
+
+    // Scale the rendered pages right away; the bitmaps catch up afterwards
+    this.zoom = zoom;
+    Object.values(this.pageCanvases).forEach(canvas => {
+      const wrapper = canvas.parentElement;
+      if (!wrapper || !wrapper.style.width) return;
+      const width = parseFloat(wrapper.style.width) * ratio;
+      const height = parseFloat(wrapper.style.height) * ratio;
+      wrapper.style.width = canvas.style.width = width + "px";
+      wrapper.style.height = canvas.style.height = height + "px";
+    });
+    Object.keys(this.textLayers).forEach(ndx => this._updateTextLayerScale(ndx));
+    this._updateZoomOverflow();
+
+    let left = contentX * ratio - offsetX;
+    let top = contentY * ratio - offsetY;
+    if (anchor) {
+      const rect = anchor.wrapper.getBoundingClientRect();
+      left = container.scrollLeft + rect.left + anchor.x * rect.width - focus.x;
+      top = container.scrollTop + rect.top + anchor.y * rect.height - focus.y;
+    }
+    container.scrollTo({ left: Math.max(0, left), top: Math.max(0, top), behavior: "instant" });
+
+    this._scheduleZoomRender();
+  }
+
+  /**
+   * Lets the viewer scroll vertically while pages are taller than it.
+   *
+   * @private
+   */
+  _updateZoomOverflow() {
+    if (this._isVertical()) {
+      const overflows = this.zoom > 1;
+      this.scrollContainer.style.overflowX = overflows ? "auto" : "";
+      this.pagesContainer.style.alignItems = overflows ? "flex-start" : "center";
+      return;
+    }
+    const overflows = this._getPageHeight() > (this.scrollContainer.clientHeight || 600);
+    this.scrollContainer.style.overflowY = overflows ? "auto" : "";
+    this.pagesContainer.style.alignItems = overflows ? "flex-start" : "center";
+  }
+
+  /**
+   * Re-renders the visible pages at the new zoom level once zooming stops.
+   *
+   * @private
+   */
+  _scheduleZoomRender() {
+    if (this._zoomRenderTimeout) clearTimeout(this._zoomRenderTimeout);
+    this._zoomRenderTimeout = setTimeout(() => {
+      this._zoomRenderTimeout = null;
+      if (this.destroyed) return;
+      const previous = this._visiblePages;
+      this.renderQueue.clear("pages");
+      // Queues the pages that zooming out brought into view...
+      this._updateVisiblePages();
+      // ...and the ones that were already showing
+      previous.forEach(pageNum => {
+        if (this._visiblePages.has(pageNum)) {
+          this._queueRender(pageNum - 1);
+        }
+      });
+    }, ZOOM_RENDER_DELAY);
+  }
+
+  /**
+   * Rotation of a page, or of the whole document.
+   *
+   * @param {number} [page] - Zero-based page index; leave out for the document's rotation
+   * @returns {number} Clockwise rotation in degrees: 0, 90, 180 or 270
+   */
+  getRotation(page) {
+    if (page === undefined || page === null) return this.rotation;
+    return (this.rotation + (this.pageRotations[page] || 0)) % 360;
+  }
+
+  /**
+   * Turns the whole document, or a single page, by a number of degrees.
+   *
+   * @param {number} degrees - Clockwise rotation to add, a multiple of 90; negative turns counter-clockwise
+   * @param {Object} [options={}] - Rotation options
+   * @param {number} [options.page] - Zero-based index of the page to turn; by default every page turns
+   * @returns {number} The new rotation of the document, or of the page on top of the document's
+   * @fires ScrollablePdfViewer#rotationChanged
+   *
+   * @example
+   * viewer.rotate(90);                          // turn every page clockwise
+   * viewer.rotate(-90, { page: 3 });            // turn the fourth page back
+   * viewer.on('rotationChanged', ({ rotation, page }) => console.log(rotation, page));
+   */
+  rotate(degrees, options = {}) {
+    const page = options.page;
+    const current = page === undefined || page === null ? this.rotation : (this.pageRotations[page] || 0);
+    return this.setRotation(current + degrees, options);
+  }
+
+  /**
+   * Sets the rotation of the whole document, or of a single page on top of
+   * the document's.
+   *
+   * Rotated pages are resized right away and rendered again, with their
+   * text, links and search highlights turned with them.
+   *
+   * @param {number} degrees - Clockwise rotation, a multiple of 90
+   * @param {Object} [options={}] - Rotation options
+   * @param {number} [options.page] - Zero-based index of the page to rotate; by default the whole document is
+   * @returns {number} The new rotation: 0, 90, 180 or 270
+   * @fires ScrollablePdfViewer#rotationChanged
+   */
+  setRotation(degrees, options = {}) {
+    const page = options.page === undefined ? null : options.page;
+    if (typeof degrees !== "number" || degrees % 90 !== 0) {
+      throw new Error(`Invalid rotation "${degrees}"; use a multiple of 90 degrees`);
+    }
+    if (page !== null && !(Number.isInteger(page) && page >= 0 && page < this.pageCount)) {
+      throw new Error(`Invalid page index "${page}"`);
+    }
+    const rotation = ((degrees % 360) + 360) % 360;
+    if (this.destroyed) return rotation;
+
+    const pages = page !== null ? [page] : Object.keys(this.pageCanvases).map(Number);
+    const before = pages.map(ndx => this.getRotation(ndx));
+    const previous = page !== null ? (this.pageRotations[page] || 0) : this.rotation;
+    if (rotation === previous) return rotation;
+
+    if (page === null) {
+      this.rotation = rotation;
+    } else if (rotation) {
+      this.pageRotations[page] = rotation;
+    } else {
+      delete this.pageRotations[page];
+    }
+    this._applyRotation(pages.filter((ndx, i) => this.getRotation(ndx) !== before[i]), before);
+
+    /**
+     * The document or a page was rotated.
+     *
+     * @event ScrollablePdfViewer#rotationChanged
+     * @type {Object}
+     * @property {number} rotation - The new rotation in degrees
+     * @property {number|null} page - Zero-based index of the rotated page, or null for the whole document
+     */
+    this.emit("rotationChanged", { rotation, page });
+    return rotation;
+  }
+
+  /**
+   * Lays rotated pages out again and renders them at their new rotation.
+   *
+   * @param {Array<number>} pages - Zero-based indices of the pages whose rotation changed
+   * @param {Array<number>} before - The pages' rotations beforehand, in the same order
+   * @private
+   */
+  _applyRotation(pages, before) {
+    pages.forEach((ndx, i) => {
+      // A quarter turn swaps the page's sides
+      const size = this.pageSizes[ndx];
+      if (size && (this.getRotation(ndx) - before[i]) % 180 !== 0) {
+        this.pageSizes[ndx] = { width: size.height, height: size.width };
+      }
+      delete this.pageViewports[ndx];
+
+      // The old bitmap and layers are the wrong way round
+      this._releasePage(ndx);
+      if (this.highlightLayers[ndx]) {
+        this.highlightLayers[ndx].remove();
+        delete this.highlightLayers[ndx];
+      }
+    });
+
+    const rotated = new Set(pages);
+    this.renderQueue.prune(ndx => !rotated.has(ndx));
+    this._applyPageSizes(pages);
+    this._updateSpreads();
+    if (!this._isVertical() && rotated.has(this.currentPage)) this.go_to_page(this.currentPage);
+
+    // Draw the rotated pages in view again, quickly first
+    this._visiblePages.forEach(pageNum => {
+      if (rotated.has(pageNum - 1)) this._queueRender(pageNum - 1, "low");
+    });
+    this._updateVisiblePages();
+    this._scheduleHighResUpgrade();
+  }
+
+  /**
+   * Page colours in use.
+   *
+   * @returns {{mode: string, theme: string}} The mode asked for, and the theme it resolved to: "normal", "dark", "sepia" or "high-contrast"
+   */
+  getTheme() {
+    return { mode: this.themeMode, theme: this.theme ? this.theme.name : "normal" };
+  }
+
+  /**
+   * Recolours the pages for reading at night, on tinted paper or with low
+   * vision.
+   *
+   * - `"auto"` (the default) is `"dark"` while the reader's system prefers
+   *   dark colours and `"normal"` otherwise, and follows it as it changes
+   * - `"normal"` shows pages in their own colours
+   * - `"dark"` swaps light and dark, keeping the hue of coloured text
+   * - `"sepia"` prints the page on warm paper
+   * - `"high-contrast"` turns the page into two colours, yellow ink on
+   *   black unless other colours are given
+   *
+   * Pictures keep their colours, except for scans filling the page.
+   * Visible pages are drawn again in the new colours, the others when they
+   * come back into view.
+   *
+   * @param {string} mode - "auto", "normal", "dark", "sepia" or "high-contrast"
+   * @param {Object} [colors={}] - Colours of the high-contrast theme, kept for later
+   * @param {string} [colors.foreground] - CSS colour replacing black ink
+   * @param {string} [colors.background] - CSS colour replacing white paper
+   * @returns {string} The theme the pages are drawn with
+   * @throws {Error} If the mode is unknown or a colour can't be read
+   * @fires ScrollablePdfViewer#themeChanged
+   *
+   * @example
+   * viewer.setTheme('sepia');
+   * viewer.setTheme('high-contrast', { foreground: 'white', background: 'navy' });
+   * viewer.on('themeChanged', ({ mode, theme }) => console.log(mode, theme));
+   */
+  setTheme(mode, colors = {}) {
+    const highContrastColors = colors.foreground || colors.background
+      ? { foreground: colors.foreground, background: colors.background }
+      : this.highContrastColors;
+    const theme = resolveTheme(mode, mode === "high-contrast" ? highContrastColors : {});
+    if (this.destroyed) return theme ? theme.name : "normal";
+    this.highContrastColors = highContrastColors;
+
+    const previous = this.getTheme();
+    const changed = JSON.stringify(theme) !== JSON.stringify(this.theme);
+    this.themeMode = mode;
+    if (changed) {
+      this.theme = theme;
+      this._applyTheme();
+    }
+
+    const current = this.getTheme();
+    if (current.mode !== previous.mode || changed) {
+      /**
+       * The page colours changed.
+       *
+       * @event ScrollablePdfViewer#themeChanged
+       * @type {Object}
+       * @property {string} mode - The mode asked for, e.g. "auto"
+       * @property {string} theme - The theme the pages are drawn with: "normal", "dark", "sepia" or "high-contrast"
+       */
+      this.emit("themeChanged", current);
+    }
+    return current.theme;
+  }
+
+  /**
+   * Draws the pages again in the current theme's colours: the visible ones
+   * right away, the others once they come back into view.
+   *
+   * @private
+   */
+  _applyTheme() {
+    const container = this.scrollContainer;
+    if (this.theme) {
+      container.setAttribute("data-theme", this.theme.name);
+      container.style.setProperty("--pdfagogo-page-background", this.theme.background);
+    } else {
+      container.removeAttribute("data-theme");
+      container.style.removeProperty("--pdfagogo-page-background");
+    }
+    if (!Object.keys(this.pageCanvases).length) return;
+
+    // Renders under way are in the old colours
+    this.renderQueue.clear("pages");
+    Object.keys(this.renderTasks).forEach(ndx => {
+      this.renderTasks[ndx].cancel();
+      delete this.renderTasks[ndx];
+    });
+
+    Object.keys(this.pageCanvases).map(Number).forEach(ndx => {
+      if (this._visiblePages.has(ndx + 1)) {
+        // The old colours stay up until the new render is ready
+        const placeholder = this.pageCanvases[ndx].getAttribute("data-resolution") === "placeholder";
+        this._queueRender(ndx, placeholder ? "low" : "high");
+      } else {
+        this._releasePage(ndx);
+      }
+    });
+    this._scheduleHighResUpgrade();
+  }
+}
+
+/**
+ * Turns a position on a page by the page's rotation in the viewer.
+ *
+ * @param {{left: number|null, top: number|null}} position - Position in PDF points from the top-left corner of the unrotated page
+ * @param {number} rotation - Clockwise rotation in degrees: 0, 90, 180 or 270
+ * @param {{width: number, height: number}} size - Size of the rotated page in PDF points
+ * @returns {{left: number|null, top: number|null}} The position from the top-left corner of the rotated page
+ * @private
+ */
+function rotatePosition({ left = null, top = null }, rotation, size) {
+  const flip = (value, length) => (typeof value === "number" ? length - value : null);
+  switch (rotation) {
+    case 90:
+      return { left: flip(top, size.width), top: left };
+    case 180:
+      return { left: flip(left, size.width), top: flip(top, size.height) };
+    case 270:
+      return { left: top, top: flip(left, size.height) };
+    default:
+      return { left, top };
+  }
+}
+
+/**
+ * Keeps a zoom level within the supported range.
+ *
+ * @param {number} zoom - The requested zoom level
+ * @returns {number} The zoom level, between 0.25 and 4
+ * @private
+ */
+function clampZoom(zoom) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
 }
@@ -0,0 +1,125 @@
+import { test, expect, Page } from '@playwright/test';
+
+/**
+ * Serves example.pdf at /served/slow.pdf, refusing HEAD and answering Range
+ * requests with 206. The request picked by `hold` is kept waiting until the
+ * load has been cancelled, so it is cancelled while that request is in flight.
+ */
+async function serveSlowly(page: Page, hold: (method: string, range: string | null) => boolean) {
+  const body = await (await page.request.get('http://localhost:9000/example.pdf')).body();
+  const state = { aborted: false, afterAbort: [] as string[] };
+  let reach: () => void;
+  const reached = new Promise<void>((resolve) => { reach = resolve; });
+  let release: () => void;
+  const released = new Promise<void>((resolve) => { release = resolve; });
+  let settle: () => void;
+  const settled = new Promise<void>((resolve) => { settle = resolve; });
+
+  await page.route('**/served/slow.pdf', async (route) => {
+    const request = route.request();
+    const range = request.headers()['range'] || null;
+    if (state.aborted) state.afterAbort.push(`${request.method()} ${range || ''}`.trim());
+    const held = !state.aborted && hold(request.method(), range);
+    if (held) {
+      reach();
+      await released;
+    }
+    const match = range ? /^bytes=(\d+)-(\d+)?$/.exec(range) : null;
+    const start = match ? Number(match[1]) : 0;
+    const end = match && match[2] ? Math.min(Number(match[2]), body.length - 1) : body.length - 1;
+    const headers: { [name: string]: string } = { 'Content-Type': 'application/pdf', 'Accept-Ranges': 'bytes' };
+    if (match) headers['Content-Range'] = `bytes ${start}-${end}/${body.length}`;
+    // The browser has usually given up on the held request by now
+    await route.fulfill(request.method() === 'HEAD' ? { status: 405 } : {
+      status: match ? 206 : 200,
+      headers,
+      body: body.subarray(start, end + 1)
+    }).catch(() => {});
+    if (held) settle();
+  });
+  await page.route('**/served/sentinel', (route) => route.fulfill({ status: 204 }));
+
+  return {
+    reached,
+    /** Cancels the load in the page, then lets the held request finish. */
+    async abort() {
+      state.aborted = true;
+      await page.evaluate(() => (window as any).loadController.abort());
+      release();
+      await settled;
+    },
+    /**
+     * Requests for the PDF made since the abort. A request sent by the page
+     * after everything the cancelled load sent has been answered first, so
+     * whatever the load sent is recorded by the time it returns.
+     */
+    async requestsAfterAbort() {
+      await page.evaluate(() => fetch('/served/sentinel').then(() => true));
+      return state.afterAbort;
+    }
+  };
+}
+
+const stages = [
+  // The HEAD request that sniffs the content type
+  { name: 'while sniffing the file', hold: (method: string) => method === 'HEAD' },
+  // PDF.js's own request, once the file is known to be a PDF
+  { name: 'while PDF.js opens the file', hold: (method: string, range: string | null) => method === 'GET' && !range }
+];
+
+test.describe('PDF-A-go-go cancelled loads', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+  });
+
+  for (const stage of stages) {
+    test(`createViewer() rejects with an AbortError ${stage.name}`, async ({ page }) => {
+      const server = await serveSlowly(page, stage.hold);
+      await page.evaluate(() => {
+        const container = document.createElement('div');
+        container.id = 'aborted-viewer';
+        container.className = 'pdfagogo-test-viewer';
+        document.body.appendChild(container);
+        const errors: string[] = (window as any).errorEvents = [];
+        container.addEventListener('pdfagogo:error', (event: any) => errors.push(event.detail.error.code));
+        const controller = (window as any).loadController = new AbortController();
+        (window as any).loaded = (window as any).flipbook
+          .createViewer(container, { source: '/served/slow.pdf', signal: controller.signal })
+          .then(() => 'loaded', (err: any) => err.name);
+      });
+
+      await server.reached;
+      await server.abort();
+      expect(await page.evaluate(() => (window as any).loaded)).toBe('AbortError');
+
+      // No more requests go out, nothing is reported and the loading bar is gone
+      expect(await server.requestsAfterAbort()).toEqual([]);
+      expect(await page.evaluate(() => (window as any).errorEvents)).toEqual([]);
+      await expect(page.locator('#aborted-viewer .pdfagogo-loading-error')).toHaveCount(0);
+      await expect(page.locator('#aborted-viewer .pdfagogo-loading')).toHaveCount(0);
+    });
+
+    test(`load() rejects with an AbortError ${stage.name}`, async ({ page }) => {
+      const server = await serveSlowly(page, stage.hold);
+      await page.evaluate(() => {
+        const container = document.getElementById('bytes-viewer') as any;
+        const errors: string[] = (window as any).errorEvents = [];
+        container.addEventListener('pdfagogo:error', (event: any) => errors.push(event.detail.error.code));
+        container.pdfViewer.on('error', (error: any) => errors.push(error.code));
+        const controller = (window as any).loadController = new AbortController();
+        (window as any).loaded = container.pdfViewer
+          .load('/served/slow.pdf', { signal: controller.signal })
+          .then(() => 'loaded', (err: any) => err.name);
+      });
+
+      await server.reached;
+      await server.abort();
+      expect(await page.evaluate(() => (window as any).loaded)).toBe('AbortError');
+
+      expect(await server.requestsAfterAbort()).toEqual([]);
+      expect(await page.evaluate(() => (window as any).errorEvents)).toEqual([]);
+      await expect(page.locator('#bytes-viewer .pdfagogo-loading-error')).toHaveCount(0);
+    });
+  }
+});
@@ -0,0 +1,43 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go offline cache', () => {
+  test('caches downloaded PDFs and exposes list, evict and clear', async ({ page }) => {
+    await openTestPage(page);
+    await page.evaluate(() => new (window as any).flipbook.PdfCache().clear());
+
+    await mountViewer(page, 'cached-viewer', { source: '../example.pdf', cache: true }, { style: { height: '400px' } });
+
+    // The file is stored in the background once it has loaded
+    await expect.poll(() => page.evaluate(async () => {
+      const entries = await new (window as any).flipbook.PdfCache().list();
+      return entries.map((entry: any) => entry.url);
+    })).toEqual(['http://localhost:9000/example.pdf']);
+
+    const remaining = await page.evaluate(async () => {
+      const cache = new (window as any).flipbook.PdfCache();
+      const evicted = await cache.evict('../example.pdf');
+      return { evicted, count: (await cache.list()).length };
+    });
+    expect(remaining).toEqual({ evicted: true, count: 0 });
+  });
+
+  test('falls back to the cached copy when the network fails', async ({ page }) => {
+    await openTestPage(page);
+
+    await page.evaluate(async () => {
+      const cache = new (window as any).flipbook.PdfCache();
+      await cache.clear();
+      const data = await fetch('../example.pdf').then((response) => response.arrayBuffer());
+      await cache.put('/offline.pdf', data);
+    });
+    await page.route('**/offline.pdf', (route) => route.abort('internetdisconnected'));
+
+    const { pageCount } = await mountViewer(page, 'offline-viewer', { source: '/offline.pdf', cache: true, retries: 0 }, {
+      style: { height: '400px' }
+    });
+    expect(pageCount).toBeGreaterThan(0);
+
+    await page.evaluate(() => new (window as any).flipbook.PdfCache().clear());
+  });
+});
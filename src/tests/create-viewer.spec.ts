@@ -0,0 +1,148 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go createViewer', () => {
+  test('loads PDFs from an ArrayBuffer and a Blob', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+
+    const pageCounts = await page.evaluate(() => (window as any).viewersReady);
+    expect(pageCounts[0]).toBeGreaterThan(0);
+    expect(pageCounts[1]).toBe(pageCounts[0]);
+
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toBeAttached();
+    await expect(page.locator('#blob-viewer .pdfagogo-page-canvas').first()).toBeAttached();
+  });
+
+  test('rejects unsupported sources and shows an error', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+
+    const message = await page.evaluate(() => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      return (window as any).flipbook
+        .createViewer(container, { source: 42 })
+        .then(() => null, (err: Error) => err.message);
+    });
+    expect(message).toContain('Unsupported PDF source');
+  });
+
+  test('load() swaps the document but keeps the controls', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+
+    const result = await page.evaluate(async () => {
+      const container = document.getElementById('bytes-viewer') as any;
+      const viewer = container.pdfViewer;
+      const controls = container.nextElementSibling;
+      let changedTo = null;
+      viewer.on('documentChanged', (e: any) => {
+        changedTo = e.pageCount;
+      });
+      const loaded = await viewer.load('../example.pdf', { page: 3 });
+      return {
+        sameViewer: loaded === viewer && container.pdfViewer === viewer,
+        sameControls: container.nextElementSibling === controls,
+        changedTo,
+        pageCount: viewer.pageCount,
+        currentPage: viewer.currentPage,
+        loadingBars: container.querySelectorAll('.pdfagogo-loading').length
+      };
+    });
+    expect(result.sameViewer).toBe(true);
+    expect(result.sameControls).toBe(true);
+    expect(result.changedTo).toBe(result.pageCount);
+    expect(result.currentPage).toBe(2);
+    expect(result.loadingBars).toBe(0);
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas')).toHaveCount(result.pageCount);
+  });
+
+  test('load() keeps the current document when the new one fails or is cancelled', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+
+    const result = await page.evaluate(async () => {
+      const container = document.getElementById('bytes-viewer') as any;
+      const viewer = container.pdfViewer;
+      const pageCount = viewer.pageCount;
+      viewer.on('error', () => {});
+
+      const controller = new AbortController();
+      const cancelled = viewer.load('../example.pdf', { signal: controller.signal });
+      controller.abort();
+      const cancelledWith = await cancelled.then(() => null, (err: Error) => err.name);
+      const afterCancel = container.querySelectorAll('.pdfagogo-page-canvas').length;
+
+      const failedWith = await viewer.load('../missing.pdf').then(() => null, (err: any) => err.code);
+      return {
+        pageCount,
+        cancelledWith,
+        afterCancel,
+        failedWith,
+        afterFailure: container.querySelectorAll('.pdfagogo-page-canvas').length,
+        shown: viewer.scrollContainer.style.display !== 'none'
+      };
+    });
+    expect(result.cancelledWith).toBe('AbortError');
+    expect(result.afterCancel).toBe(result.pageCount);
+    expect(result.failedWith).toBe('HTTP_ERROR');
+    expect(result.afterFailure).toBe(result.pageCount);
+    expect(result.shown).toBe(true);
+    await expect(page.locator('#bytes-viewer .pdfagogo-loading-error')).toBeVisible();
+  });
+
+  test('load() leaves the download button on the current document when it is cancelled', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+
+    const downloaded = await page.evaluate(async () => {
+      const container = document.createElement('div');
+      container.id = 'download-viewer';
+      container.className = 'pdfagogo-test-viewer';
+      document.body.appendChild(container);
+      const viewer = await (window as any).flipbook.createViewer(container, { source: '../example.pdf' });
+
+      const controller = new AbortController();
+      const cancelled = viewer.load('../missing.pdf', { signal: controller.signal });
+      controller.abort();
+      await cancelled.catch(() => {});
+
+      // Catch the link the download button follows instead of following it
+      const click = HTMLAnchorElement.prototype.click;
+      let href: string | null = null;
+      HTMLAnchorElement.prototype.click = function (this: HTMLAnchorElement) {
+        href = this.href;
+      };
+      try {
+        (container.nextElementSibling!.querySelector('.pdfagogo-download') as HTMLElement).click();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      } finally {
+        HTMLAnchorElement.prototype.click = click;
+      }
+      return href;
+    });
+    expect(downloaded).toBe('http://localhost:9000/example.pdf');
+  });
+
+  test('destroy() removes the viewer, its controls and its listeners', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect(page.locator('#blob-viewer .pdfagogo-resize-grip')).toBeAttached();
+
+    const result = await page.evaluate(async () => {
+      const container = document.getElementById('blob-viewer') as any;
+      const viewer = container.pdfViewer;
+      await viewer.destroy();
+      return {
+        pdfViewer: container.pdfViewer,
+        children: container.children.length,
+        controls: container.pdfagogoControls.length,
+        canvases: Object.keys(viewer.pageCanvases).length
+      };
+    });
+    expect(result).toEqual({ pdfViewer: undefined, children: 0, controls: 0, canvases: 0 });
+
+    // The other viewer keeps working
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toBeAttached();
+    await expect(page.locator('.pdfagogo-controls')).toHaveCount(1);
+  });
+});
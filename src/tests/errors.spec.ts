@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go errors', () => {
+  test('reports files that are not PDFs with a code and a retry button', async ({ page }) => {
+    await openTestPage(page);
+
+    const bytes = new TextEncoder().encode('<html><body>Not a PDF</body></html>');
+    expect(await mountViewer(page, 'not-a-pdf', { source: bytes })).toEqual({ code: 'NOT_PDF', reported: ['NOT_PDF'] });
+
+    const error = page.locator('#not-a-pdf .pdfagogo-loading-error');
+    await expect(error).toHaveAttribute('role', 'alert');
+    await expect(error).toContainText('This file is not a PDF.');
+    await expect(error.locator('.pdfagogo-retry-btn')).toHaveText('Retry');
+  });
+
+  test('reports HTTP errors with their status and localized messages', async ({ page }) => {
+    await openTestPage(page);
+
+    const result = await mountViewer(page, 'missing-pdf', {
+      source: '/does-not-exist.pdf',
+      messages: { HTTP_ERROR: 'Erreur {status}', retry: 'Réessayer' }
+    });
+    expect(result).toEqual({ code: 'HTTP_ERROR', status: 404, reported: ['HTTP_ERROR'] });
+    expect(await page.evaluate(() => (window as any).openError instanceof (window as any).flipbook.HttpError)).toBe(true);
+
+    const error = page.locator('#missing-pdf .pdfagogo-loading-error');
+    await expect(error).toContainText('Erreur 404');
+    await expect(error.locator('.pdfagogo-retry-btn')).toHaveText('Réessayer');
+  });
+});
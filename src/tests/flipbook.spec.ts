@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go flipbook viewer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setViewportSize({ width: 1400, height: 900 });
+    await openTestPage(page);
+    await mountViewer(page, 'flipbook-viewer', { source: '../example.pdf', viewer: 'flipbook', animate: false }, {
+      style: { position: 'relative', height: '400px' }
+    });
+  });
+
+  test('opens on the cover and turns a spread at a time', async ({ page }) => {
+    const viewer = page.locator('#flipbook-viewer');
+    await expect(viewer.locator('.pdfagogo-flipbook-book')).toBeVisible();
+    await expect(viewer.locator('.pdfagogo-flipbook-page-right')).toHaveAttribute('data-page', '1');
+
+    const indicator = page.locator('#flipbook-viewer + .pdfagogo-controls .pdfagogo-page-indicator');
+    await page.locator('#flipbook-viewer + .pdfagogo-controls .pdfagogo-next').click();
+    await expect(indicator).toHaveText(/^Pages 2–3 \/ \d+$/);
+    await expect(viewer.locator('.pdfagogo-flipbook-page-left')).toHaveAttribute('data-page', '2');
+    await expect(viewer.locator('.pdfagogo-flipbook-page-right')).toHaveAttribute('data-page', '3');
+
+    await page.evaluate(() => (document.getElementById('flipbook-viewer') as any).pdfViewer.flip_back());
+    await expect(indicator).toHaveText(/^Page: 1 \/ \d+$/);
+
+    // The flipbook always fits the container, so there is nothing to zoom
+    await expect(page.locator('#flipbook-viewer + .pdfagogo-controls .pdfagogo-zoom-controls')).toHaveCount(0);
+  });
+
+  test('turns the page when it is dragged', async ({ page }) => {
+    const book = page.locator('#flipbook-viewer .pdfagogo-flipbook-book');
+    const box = await book.boundingBox();
+    if (!box) throw new Error('The book is not visible');
+
+    const y = box.y + box.height / 2;
+    await page.mouse.move(box.x + box.width - 10, y);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2, y, { steps: 10 });
+    await page.mouse.up();
+
+    await expect(page.locator('#flipbook-viewer .pdfagogo-flipbook-page-left')).toHaveAttribute('data-page', '2');
+    expect(await page.evaluate(() => (document.getElementById('flipbook-viewer') as any).pdfViewer.currentPage)).toBe(1);
+  });
+
+  test('keeps the shape of a page that is shaped differently from the first', async ({ page }) => {
+    await mountViewer(page, 'mixed-viewer', { source: 'mixed-sizes.pdf', viewer: 'flipbook', animate: false }, {
+      style: { position: 'relative', height: '400px' }
+    });
+    await page.evaluate(() => (document.getElementById('mixed-viewer') as any).pdfViewer.go_to_page(1));
+    // Page 2 is landscape, page 3 is portrait like the cover
+    const left = page.locator('#mixed-viewer .pdfagogo-flipbook-page-left');
+    await expect(left).toHaveAttribute('data-page', '2');
+    const boxes = () => page.evaluate(() => ['left', 'right'].map((side) => {
+      const slot = document.querySelector(`#mixed-viewer .pdfagogo-flipbook-page-${side}`)!;
+      const canvas = slot.querySelector('canvas')!;
+      const slotRect = slot.getBoundingClientRect();
+      const rect = canvas.getBoundingClientRect();
+      return {
+        aspect: rect.width / rect.height,
+        bitmapAspect: canvas.width / canvas.height,
+        centred: Math.abs((rect.top - slotRect.top) - (slotRect.bottom - rect.bottom)) <= 1,
+        fillsHeight: Math.abs(rect.height - slotRect.height) <= 1
+      };
+    }));
+    await expect.poll(async () => (await boxes())[0].bitmapAspect).toBeGreaterThan(1);
+
+    const [landscape, portrait] = await boxes();
+    expect(Math.abs(landscape.aspect - 792 / 612)).toBeLessThan(0.02);
+    expect(Math.abs(landscape.bitmapAspect - 792 / 612)).toBeLessThan(0.02);
+    expect(landscape.fillsHeight).toBe(false);
+    expect(landscape.centred).toBe(true);
+    expect(Math.abs(portrait.aspect - 612 / 792)).toBeLessThan(0.02);
+    expect(portrait.fillsHeight).toBe(true);
+  });
+
+  test('keeps the book open when load() fails', async ({ page }) => {
+    const failedWith = await page.evaluate(() => {
+      const viewer = (document.getElementById('flipbook-viewer') as any).pdfViewer;
+      viewer.on('error', () => {});
+      return viewer.load('../missing.pdf').then(() => null, (err: any) => err.code);
+    });
+    expect(failedWith).toBe('HTTP_ERROR');
+    await expect(page.locator('#flipbook-viewer .pdfagogo-flipbook-book')).toBeVisible();
+    await expect(page.locator('#flipbook-viewer .pdfagogo-flipbook-page-right')).toHaveAttribute('data-page', '1');
+  });
+});
@@ -0,0 +1,85 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('PDF-A-go-go touch gestures', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  // Sends touch pointer events to the viewer; each step is a list of [pointerId, x, y] relative to the viewer
+  const touch = (page: Page, type: string, points: Array<[number, number, number]>) => page.evaluate(({ type, points }) => {
+    const container = (document.getElementById('bytes-viewer') as any).pdfViewer.scrollContainer;
+    const rect = container.getBoundingClientRect();
+    for (const [pointerId, x, y] of points) {
+      const target = document.elementFromPoint(rect.left + x, rect.top + y) || container;
+      target.dispatchEvent(new PointerEvent(type, {
+        pointerId, pointerType: 'touch', isPrimary: pointerId === 1,
+        clientX: rect.left + x, clientY: rect.top + y, bubbles: true, cancelable: true
+      }));
+    }
+  }, { type, points });
+
+  const viewer = (page: Page) => page.evaluate(() => {
+    const v = (document.getElementById('bytes-viewer') as any).pdfViewer;
+    return { zoom: v.zoom, scrollLeft: v.scrollContainer.scrollLeft };
+  });
+
+  test('drags the pages with one finger', async ({ page }) => {
+    const before = (await viewer(page)).scrollLeft;
+    await touch(page, 'pointerdown', [[1, 300, 200]]);
+    await touch(page, 'pointermove', [[1, 250, 200]]);
+    await touch(page, 'pointermove', [[1, 200, 200]]);
+    expect((await viewer(page)).scrollLeft).toBeCloseTo(before + 100, 0);
+    await touch(page, 'pointerup', [[1, 200, 200]]);
+  });
+
+  test('pinches to zoom around the fingers', async ({ page }) => {
+    await touch(page, 'pointerdown', [[1, 250, 200], [2, 350, 200]]);
+    await touch(page, 'pointermove', [[1, 200, 200], [2, 400, 200]]);
+    expect((await viewer(page)).zoom).toBeCloseTo(2, 1);
+    await touch(page, 'pointerup', [[1, 200, 200], [2, 400, 200]]);
+
+    // Lifting the fingers doesn't fling the pages
+    expect((await viewer(page)).zoom).toBeCloseTo(2, 1);
+  });
+
+  test('double-tap zooms in and back to fit', async ({ page }) => {
+    const tap = async () => {
+      await touch(page, 'pointerdown', [[1, 300, 200]]);
+      await touch(page, 'pointerup', [[1, 300, 200]]);
+    };
+    await tap();
+    await tap();
+    expect((await viewer(page)).zoom).toBe(2);
+
+    await page.waitForTimeout(400);
+    await tap();
+    await tap();
+    expect((await viewer(page)).zoom).toBe(1);
+  });
+
+  test('swiping in from the right edge turns the page', async ({ page }) => {
+    const width = await page.evaluate(() => {
+      const v = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      (window as any).turns = [];
+      v.flip_forward = () => (window as any).turns.push('forward');
+      v.flip_back = () => (window as any).turns.push('back');
+      return v.scrollContainer.clientWidth;
+    });
+    const before = (await viewer(page)).scrollLeft;
+
+    await touch(page, 'pointerdown', [[1, width - 10, 200]]);
+    await touch(page, 'pointermove', [[1, width - 60, 205]]);
+    await touch(page, 'pointermove', [[1, width - 120, 205]]);
+    await touch(page, 'pointerup', [[1, width - 120, 205]]);
+
+    await touch(page, 'pointerdown', [[1, 10, 200]]);
+    await touch(page, 'pointermove', [[1, 120, 200]]);
+    await touch(page, 'pointerup', [[1, 120, 200]]);
+
+    expect(await page.evaluate(() => (window as any).turns)).toEqual(['forward', 'back']);
+    // The swipes turn the page instead of dragging it
+    expect((await viewer(page)).scrollLeft).toBe(before);
+  });
+});
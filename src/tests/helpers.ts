@@ -0,0 +1,61 @@
+import { Page } from '@playwright/test';
+
+/** How a viewer opened: its page count, or what the load failed with. */
+export interface Opened {
+  pageCount?: number;
+  code?: string;
+  status?: number;
+  incorrect?: boolean;
+  /** Codes of the `pdfagogo:error` events the container dispatched before the load failed */
+  reported?: string[];
+}
+
+/** The container a viewer is mounted in. */
+export interface Container {
+  className?: string;
+  style?: Record<string, string>;
+}
+
+// Helper function to open the createViewer() test page once its own viewers have loaded
+export async function openTestPage(page: Page) {
+  await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+  await page.evaluate(() => (window as any).viewersReady);
+}
+
+/**
+ * Helper function to add a container to the test page and start opening a
+ * PDF in it with createViewer(). How it opened is kept as `window.opened`,
+ * and a failure itself as `window.openError`.
+ *
+ * Callbacks can't be passed from the test, so any options set as
+ * `window.extraOptions` beforehand are added to `options` (and then cleared).
+ */
+export async function startViewer(page: Page, id: string, options: Record<string, unknown>, container: Container = {}) {
+  await page.evaluate(({ id, options, container }) => {
+    const element = document.createElement('div');
+    element.id = id;
+    if (container.className) element.className = container.className;
+    Object.assign(element.style, container.style || {});
+    document.body.appendChild(element);
+    const reported: string[] = [];
+    element.addEventListener('pdfagogo:error', (event: any) => reported.push(event.detail.error.code));
+
+    const extra = (window as any).extraOptions;
+    delete (window as any).extraOptions;
+    (window as any).opened = (window as any).flipbook
+      .createViewer(element, Object.assign({}, options, extra))
+      .then(
+        (viewer: any) => ({ pageCount: viewer.pageCount }),
+        (err: any) => {
+          (window as any).openError = err;
+          return { code: err.code, status: err.status, incorrect: err.incorrect, reported };
+        }
+      );
+  }, { id, options, container });
+}
+
+// Helper function to mount a viewer as startViewer() does and wait for it to open
+export async function mountViewer(page: Page, id: string, options: Record<string, unknown>, container: Container = {}): Promise<Opened> {
+  await startViewer(page, id, options, container);
+  return page.evaluate(() => (window as any).opened);
+}
@@ -0,0 +1,30 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go vertical layout', () => {
+  test('stacks pages top to bottom, fitted to the width', async ({ page }) => {
+    await openTestPage(page);
+    // Tall enough for the first two pages to render
+    await mountViewer(page, 'vertical-viewer', { source: '../example.pdf', layout: 'vertical' }, {
+      style: { height: '800px', width: '300px' }
+    });
+
+    const scroll = page.locator('#vertical-viewer .pdfagogo-scroll-container');
+    await expect(scroll).toHaveClass(/pdfagogo-layout-vertical/);
+
+    const wrappers = page.locator('#vertical-viewer .pdfagogo-page-wrapper');
+    await expect.poll(async () => (await wrappers.nth(1).boundingBox())?.height || 0).toBeGreaterThan(0);
+
+    const [first, second] = await Promise.all([wrappers.nth(0).boundingBox(), wrappers.nth(1).boundingBox()]);
+    const box = await scroll.boundingBox();
+    // The second page is below the first, and pages are as wide as the viewer allows
+    expect(second!.y).toBeGreaterThan(first!.y + first!.height - 1);
+    expect(first!.width).toBeGreaterThan(box!.width * 0.8);
+    expect(first!.width).toBeLessThanOrEqual(box!.width);
+
+    // Navigation scrolls vertically
+    await page.evaluate(() => (document.getElementById('vertical-viewer') as any).pdfViewer.go_to_page(1));
+    await expect.poll(() => scroll.evaluate((el) => el.scrollTop)).toBeGreaterThan(0);
+    expect(await scroll.evaluate((el) => el.scrollLeft)).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, expect, Page } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+// links.pdf: page 1 links to https://example.com/ and to the named destination
+// "page-two" on page 2
+async function createLinkViewer(page: Page, { confirm = false, ...options }: Record<string, unknown> = {}) {
+  await openTestPage(page);
+  if (confirm) {
+    await page.evaluate(() => {
+      (window as any).confirmedUrls = [];
+      (window as any).extraOptions = {
+        confirmLinks: (url: string) => {
+          (window as any).confirmedUrls.push(url);
+          return false;
+        }
+      };
+    });
+  }
+  await mountViewer(page, 'links-viewer', Object.assign({ source: 'links.pdf' }, options), { style: { height: '400px' } });
+}
+
+test.describe('PDF-A-go-go links', () => {
+  test('external links open in a new tab without access to the viewer', async ({ page }) => {
+    await createLinkViewer(page);
+    const link = page.locator('#links-viewer .pdfagogo-link[href="https://example.com/"]');
+    await expect(link).toHaveAttribute('target', '_blank');
+    await expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+    await expect(link).toHaveAttribute('aria-label', /example\.com/);
+
+    // Hit areas can be reached with the keyboard
+    await link.focus();
+    await expect(link).toBeFocused();
+  });
+
+  test('internal links go to their destination page', async ({ page }) => {
+    await createLinkViewer(page);
+    const link = page.locator('#links-viewer .pdfagogo-internal-link');
+    await expect(link).toHaveAttribute('aria-label', 'Go to page 2');
+    await link.focus();
+    await page.keyboard.press('Enter');
+    await expect.poll(() => page.evaluate(() =>
+      (document.getElementById('links-viewer') as any).pdfViewer.currentPage
+    )).toBe(1);
+  });
+
+  test('links off the allow-list ask before opening', async ({ page }) => {
+    await createLinkViewer(page, { linkAllowList: ['docs.example.org'], confirm: true });
+    const link = page.locator('#links-viewer .pdfagogo-link[href="https://example.com/"]');
+    let popups = 0;
+    page.on('popup', () => popups++);
+    await link.click();
+    await expect.poll(() => page.evaluate(() => (window as any).confirmedUrls)).toEqual(['https://example.com/']);
+    expect(popups).toBe(0);
+  });
+});
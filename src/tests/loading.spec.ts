@@ -0,0 +1,115 @@
+import { test, expect, Page } from '@playwright/test';
+
+interface Served {
+  method: string;
+  range: string | null;
+  status: number;
+}
+
+/**
+ * Serves `body` at /served/<name>, refusing HEAD so the loader sniffs with a
+ * ranged GET. With `ranges` the server answers Range requests with 206;
+ * without it, it ignores them and always sends the whole file with a 200.
+ */
+async function serve(page: Page, name: string, body: Buffer, { ranges }: { ranges: boolean }) {
+  const served: Served[] = [];
+  await page.route(`**/served/${name}`, (route) => {
+    const request = route.request();
+    const range = request.headers()['range'] || null;
+    if (request.method() === 'HEAD') {
+      served.push({ method: 'HEAD', range, status: 405 });
+      return route.fulfill({ status: 405 });
+    }
+    const headers: { [name: string]: string } = { 'Content-Type': 'application/pdf' };
+    if (ranges) headers['Accept-Ranges'] = 'bytes';
+    const match = ranges && range ? /^bytes=(\d+)-(\d+)?$/.exec(range) : null;
+    if (!match) {
+      served.push({ method: 'GET', range, status: 200 });
+      return route.fulfill({ status: 200, headers, body });
+    }
+    const start = Number(match[1]);
+    const end = Math.min(match[2] ? Number(match[2]) : body.length - 1, body.length - 1);
+    headers['Content-Range'] = `bytes ${start}-${end}/${body.length}`;
+    served.push({ method: 'GET', range, status: 206 });
+    return route.fulfill({ status: 206, headers, body: body.subarray(start, end + 1) });
+  });
+  return served;
+}
+
+/** Opens `/served/<name>` in a new viewer; resolves with its page count or the error code. */
+function open(page: Page, name: string, options: { beforeRequest?: boolean } = {}) {
+  return page.evaluate(({ name, beforeRequest }) => {
+    const container = document.createElement('div');
+    container.className = 'pdfagogo-test-viewer';
+    document.body.appendChild(container);
+    const ranges: string[] = (window as any).hookedRanges = [];
+    return (window as any).flipbook
+      .createViewer(container, {
+        source: `/served/${name}`,
+        retries: 0,
+        rangeChunkSize: 16384,
+        // Requests made through a hook can't be left to PDF.js, so its
+        // ranges go through our own PDFDataRangeTransport instead
+        beforeRequest: beforeRequest ? (url: string, init: any) => {
+          const range = new Headers(init.headers).get('Range');
+          if (range) ranges.push(range);
+        } : undefined
+      })
+      .then((viewer: any) => ({ pageCount: viewer.pageCount }), (err: any) => ({ code: err.code }));
+  }, { name, beforeRequest: Boolean(options.beforeRequest) });
+}
+
+/** Page count of example.pdf, as loaded by the test page's own viewers. */
+function expectedPageCount(page: Page) {
+  return page.evaluate(() => (window as any).viewersReady.then((counts: number[]) => counts[0]));
+}
+
+test.describe('PDF-A-go-go loading over the network', () => {
+  let pdf: Buffer;
+
+  test.beforeEach(async ({ page }) => {
+    pdf = await (await page.request.get('http://localhost:9000/example.pdf')).body();
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+  });
+
+  test('fails with NOT_PDF when the response is not a PDF', async ({ page }) => {
+    // The content type claims a PDF, but the bytes have no PDF header
+    await serve(page, 'not-a-pdf.pdf', Buffer.from('<p>Sorry, this file has moved.</p>'), { ranges: true });
+    expect(await open(page, 'not-a-pdf.pdf')).toEqual({ code: 'NOT_PDF' });
+  });
+
+  for (const beforeRequest of [false, true]) {
+    test(`loads from a server that ignores Range${beforeRequest ? ' through a request hook' : ''}`, async ({ page }) => {
+      const served = await serve(page, 'whole.pdf', pdf, { ranges: false });
+      const expected = await expectedPageCount(page);
+      expect(await open(page, 'whole.pdf', { beforeRequest })).toEqual({ pageCount: expected });
+      expect(served.some((request) => request.status === 206)).toBe(false);
+    });
+  }
+
+  test('loads in ranges from a server that supports them', async ({ page }) => {
+    const served = await serve(page, 'ranged.pdf', pdf, { ranges: true });
+    const expected = await expectedPageCount(page);
+    expect(await open(page, 'ranged.pdf')).toEqual({ pageCount: expected });
+
+    // PDF.js read the end of the file with a range instead of downloading it all
+    expect(served.some((request) => request.status === 206 && !request.range!.startsWith('bytes=0-'))).toBe(true);
+  });
+
+  test('loads in ranges through PDFDataRangeTransport from a server that supports them', async ({ page }) => {
+    const served = await serve(page, 'ranged.pdf', pdf, { ranges: true });
+    const expected = await expectedPageCount(page);
+    expect(await open(page, 'ranged.pdf', { beforeRequest: true })).toEqual({ pageCount: expected });
+
+    // Every GET asked for a range, and more than the sniffing one was needed
+    const gets = served.filter((request) => request.method === 'GET');
+    expect(gets.every((request) => request.status === 206)).toBe(true);
+    expect(gets.length).toBeGreaterThan(1);
+
+    // The ranges after the first were requested by our transport, through the hook
+    const hooked = await page.evaluate(() => (window as any).hookedRanges);
+    expect(hooked.length).toBe(gets.length);
+    expect(hooked.some((range: string) => !range.startsWith('bytes=0-'))).toBe(true);
+  });
+});
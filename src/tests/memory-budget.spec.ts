@@ -0,0 +1,52 @@
+import { test, expect, type Page } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go memory budget', () => {
+  test.beforeEach(async ({ page }) => {
+    await openTestPage(page);
+    // Room for a page or two
+    await mountViewer(page, 'budget-viewer', { source: '../example.pdf', debug: true, memoryBudget: 1 }, {
+      style: { height: '400px' }
+    });
+    await expect(page.locator('#budget-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  const getMetrics = (page: Page) => page.evaluate(() =>
+    (document.getElementById('budget-viewer') as any).pdfViewer.getPerformanceMetrics()
+  );
+
+  test('releases the least recently seen pages and renders them again on the way back', async ({ page }) => {
+    const firstPage = page.locator('#budget-viewer .pdfagogo-page-canvas').first();
+    expect((await getMetrics(page)).memoryBudget).toBe(1024 * 1024);
+
+    await page.evaluate(() => {
+      const viewer = (document.getElementById('budget-viewer') as any).pdfViewer;
+      viewer.go_to_page(viewer.pageCount - 1);
+    });
+    const lastPage = page.locator('#budget-viewer .pdfagogo-page-canvas').last();
+    await expect(lastPage).toHaveAttribute('data-resolution', 'high');
+
+    // The first page was seen longest ago, so it went first
+    await expect(firstPage).toHaveAttribute('data-resolution', 'placeholder');
+    const metrics = await getMetrics(page);
+    expect(metrics.evictedPages).toBeGreaterThan(0);
+    expect(metrics.cachedPages).toBeGreaterThan(0);
+    expect(metrics.memoryUsed).toBeGreaterThan(0);
+
+    // Only pages in view may take the cache past its budget
+    const overBudget = await page.evaluate(() => {
+      const viewer = (document.getElementById('budget-viewer') as any).pdfViewer;
+      const cached = Array.from(viewer.pageCache.entries.keys()) as number[];
+      return viewer.pageCache.used > viewer.pageCache.budget &&
+        cached.some(ndx => !viewer._visiblePages.has(ndx + 1));
+    });
+    expect(overBudget).toBe(false);
+
+    await page.evaluate(() => (document.getElementById('budget-viewer') as any).pdfViewer.go_to_page(0));
+    await expect(firstPage).toHaveAttribute('data-resolution', 'high');
+  });
+
+  test('shows the memory in use in the debug panel', async ({ page }) => {
+    await expect(page.locator('.pdfagogo-debug-info').last()).toContainText(/Page Memory: [\d.]+ \/ 1MB/);
+  });
+});
@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go Multiple Viewers', () => {
+  test('each container gets its own viewer and controls', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-multiple.html');
+
+    // Both viewers render their own pages and toolbars
+    await expect(page.locator('#viewer-one .pdfagogo-page-canvas').first()).toBeAttached();
+    await expect(page.locator('#viewer-two .pdfagogo-page-canvas').first()).toBeAttached();
+    await expect(page.locator('.pdfagogo-controls')).toHaveCount(2);
+    await expect(page.locator('.pdfagogo-search-controls')).toHaveCount(2);
+
+    const hasViewers = await page.evaluate(() => {
+      const containers = Array.from(document.querySelectorAll('.pdfagogo-container'));
+      return containers.map(c => Boolean((c as any).pdfViewer));
+    });
+    expect(hasViewers).toEqual([true, true]);
+  });
+
+  test('navigating one viewer leaves the other untouched', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-multiple.html');
+    await expect(page.locator('.pdfagogo-controls')).toHaveCount(2);
+
+    // The second viewer's controls are inserted right after its container
+    const secondControls = page.locator('#viewer-two + .pdfagogo-controls');
+    await secondControls.locator('.pdfagogo-goto-page').fill('2');
+    await secondControls.locator('.pdfagogo-goto-btn').click();
+
+    await expect(secondControls.locator('.pdfagogo-page-indicator')).toContainText('Page: 2');
+    await expect(page.locator('#viewer-one + .pdfagogo-controls .pdfagogo-page-indicator'))
+      .toContainText('Page: 0');
+
+    // Each viewer keeps its own page in the URL hash
+    expect(await page.evaluate(() => window.location.hash)).toContain('pdf-page-viewer-two=2');
+    expect(await page.evaluate(() => window.location.hash)).not.toMatch(/pdf-page=/);
+  });
+
+  test('viewers made with createViewer() keep their pages under their own hash keys', async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await page.evaluate(() => {
+      const container = document.createElement('div');
+      container.id = 'third-viewer';
+      container.className = 'pdfagogo-test-viewer';
+      document.body.appendChild(container);
+      return (window as any).flipbook.createViewer(container, { source: '../example.pdf' }).then(() => true);
+    });
+
+    const thirdControls = page.locator('#third-viewer + .pdfagogo-controls');
+    await thirdControls.locator('.pdfagogo-goto-page').fill('2');
+    await thirdControls.locator('.pdfagogo-goto-btn').click();
+    await expect(thirdControls.locator('.pdfagogo-page-indicator')).toContainText('Page: 2');
+
+    // The first viewer keeps the plain key and isn't moved along
+    expect(await page.evaluate(() => window.location.hash)).toContain('pdf-page-third-viewer=2');
+    expect(await page.evaluate(() => window.location.hash)).not.toMatch(/pdf-page=/);
+    await expect(page.locator('#bytes-viewer + .pdfagogo-controls .pdfagogo-page-indicator')).toContainText('Page: 0');
+  });
+});
@@ -0,0 +1,50 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go page rendering', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  test('renders pages at the size they are shown at', async ({ page }) => {
+    const size = await page.evaluate(() => {
+      const canvas = document.querySelector('#bytes-viewer .pdfagogo-page-canvas') as HTMLCanvasElement;
+      const rect = canvas.getBoundingClientRect();
+      return {
+        width: canvas.width,
+        height: canvas.height,
+        expectedWidth: rect.width * window.devicePixelRatio,
+        expectedHeight: rect.height * window.devicePixelRatio
+      };
+    });
+    expect(Math.abs(size.width - size.expectedWidth)).toBeLessThanOrEqual(1);
+    expect(Math.abs(size.height - size.expectedHeight)).toBeLessThanOrEqual(1);
+  });
+
+  test('shows search highlights above the page without re-rendering it', async ({ page }) => {
+    await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      (window as any).renders = 0;
+      const getPage = viewer.book.getPage;
+      viewer.book.getPage = (...args: unknown[]) => {
+        (window as any).renders++;
+        return getPage(...args);
+      };
+      viewer.highlights = { 0: [{ x: 72, y: 600, width: 200, height: 14 }] };
+      viewer.rerenderPage(0);
+    });
+
+    const highlight = page.locator('#bytes-viewer .pdfagogo-page-wrapper').first().locator('.pdfagogo-highlight-layer .pdfagogo-highlight');
+    await expect(highlight).toHaveCount(1);
+    expect(await page.evaluate(() => (window as any).renders)).toBe(0);
+
+    // Clearing the highlights removes the layer
+    await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      viewer.highlights = {};
+      viewer.rerenderPage(0);
+    });
+    await expect(highlight).toHaveCount(0);
+  });
+});
@@ -0,0 +1,69 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go page sizes', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+  });
+
+  test('sizes every page before it is rendered', async ({ page }) => {
+    const pages = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      return Object.keys(viewer.pageCanvases).map(ndx => {
+        const canvas = viewer.pageCanvases[ndx];
+        const rect = canvas.parentElement.getBoundingClientRect();
+        const size = viewer.pageSizes[ndx];
+        return {
+          resolution: canvas.getAttribute('data-resolution'),
+          aspect: rect.width / rect.height,
+          expectedAspect: size.width / size.height
+        };
+      });
+    });
+
+    // Pages far from the view are still placeholders, but already full size
+    expect(pages.some(p => p.resolution === 'placeholder')).toBe(true);
+    for (const p of pages) {
+      expect(Math.abs(p.aspect - p.expectedAspect)).toBeLessThan(0.01);
+    }
+  });
+
+  test('go_to_page and scrollBy land on the right page', async ({ page }) => {
+    const middle = await page.evaluate(() =>
+      Math.floor((document.getElementById('bytes-viewer') as any).pdfViewer.pageCount / 2)
+    );
+
+    // A page far along the strip is brought fully into view
+    await page.evaluate(ndx => (document.getElementById('bytes-viewer') as any).pdfViewer.go_to_page(ndx), middle);
+    await expect.poll(() => page.evaluate(ndx => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      const container = viewer.scrollContainer.getBoundingClientRect();
+      const rect = viewer.pageCanvases[ndx].parentElement.getBoundingClientRect();
+      return rect.left >= container.left && rect.right <= container.right;
+    }, middle)).toBe(true);
+
+    // Let the smooth scroll settle
+    const scrollLeft = () => page.evaluate(() =>
+      (document.getElementById('bytes-viewer') as any).pdfViewer.scrollContainer.scrollLeft
+    );
+    let previous = -1;
+    await expect.poll(async () => {
+      const current = await scrollLeft();
+      const settled = current === previous;
+      previous = current;
+      return settled;
+    }).toBe(true);
+
+    // Scrolling by a page moves exactly to the next page
+    const expected = await page.evaluate(ndx => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      const container = viewer.scrollContainer;
+      const from = viewer.pageCanvases[ndx].parentElement.getBoundingClientRect();
+      const to = viewer.pageCanvases[ndx + 1].parentElement.getBoundingClientRect();
+      const target = Math.min(container.scrollLeft + to.left - from.left, container.scrollWidth - container.clientWidth);
+      viewer.scrollBy(1);
+      return target;
+    }, middle);
+    await expect.poll(async () => Math.abs((await scrollLeft()) - expected)).toBeLessThanOrEqual(1);
+  });
+});
@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { openTestPage, startViewer } from './helpers';
+
+// encrypted.pdf is a one-page PDF with the user password "secret"
+test.describe('PDF-A-go-go password protected PDFs', () => {
+  test.beforeEach(async ({ page }) => {
+    await openTestPage(page);
+    // Left opening, since it waits for a password
+    await startViewer(page, 'encrypted-viewer', { source: 'encrypted.pdf' }, { className: 'pdfagogo-test-viewer' });
+  });
+
+  test('asks again after a wrong password and opens with the right one', async ({ page }) => {
+    const form = page.locator('#encrypted-viewer .pdfagogo-password-form');
+    const input = form.locator('.pdfagogo-password-input');
+    await expect(form).toBeVisible();
+    await expect(input).toBeFocused();
+    await expect(form.locator('.pdfagogo-password-error')).toBeEmpty();
+
+    await input.fill('wrong');
+    await form.locator('.pdfagogo-password-submit').click();
+
+    // A fresh prompt, this time saying the password was wrong
+    await expect(form.locator('.pdfagogo-password-error')).toHaveText('Incorrect password. Please try again.');
+    await expect(input).toHaveAttribute('aria-invalid', 'true');
+    await expect(input).toHaveValue('');
+
+    await input.fill('secret');
+    await form.locator('.pdfagogo-password-submit').click();
+    expect(await page.evaluate(() => (window as any).opened)).toEqual({ pageCount: 1 });
+    await expect(form).toHaveCount(0);
+    await expect(page.locator('#encrypted-viewer .pdfagogo-loading-error')).toHaveCount(0);
+  });
+
+  test('fails with a PASSWORD error when the prompt is cancelled', async ({ page }) => {
+    await page.locator('#encrypted-viewer .pdfagogo-password-cancel').click();
+    expect(await page.evaluate(() => (window as any).opened))
+      .toEqual({ code: 'PASSWORD', incorrect: false, reported: ['PASSWORD'] });
+    await expect(page.locator('#encrypted-viewer .pdfagogo-loading-error'))
+      .toContainText('This PDF is password protected and could not be opened.');
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go progressive rendering', () => {
+  test.beforeEach(async ({ page }) => {
+    await openTestPage(page);
+    await mountViewer(page, 'progressive-viewer', { source: '../example.pdf', debug: true }, { style: { height: '400px' } });
+  });
+
+  test('draws visible pages at low resolution first, then sharpens them', async ({ page }) => {
+    const firstPage = page.locator('#progressive-viewer .pdfagogo-page-canvas').first();
+    await expect(firstPage).toHaveAttribute('data-resolution', 'high');
+
+    const metrics = await page.evaluate(() =>
+      (document.getElementById('progressive-viewer') as any).pdfViewer.getPerformanceMetrics()
+    );
+    expect(metrics.totalPagesRendered).toBeGreaterThan(0);
+    expect(metrics.totalHighResUpgrades).toBeGreaterThan(0);
+    expect(metrics.averageLowResRenderTime).toBeGreaterThan(0);
+    expect(metrics.averageHighResRenderTime).toBeGreaterThan(0);
+  });
+
+  test('pages scrolled into view pass through low resolution', async ({ page }) => {
+    await expect(page.locator('#progressive-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+
+    // Record every resolution the last page shows on its way into view
+    await page.evaluate(() => {
+      const viewer = (document.getElementById('progressive-viewer') as any).pdfViewer;
+      const canvas = viewer.pageCanvases[viewer.pageCount - 1];
+      const seen: string[] = [];
+      (window as any).seenResolutions = seen;
+      new MutationObserver(() => seen.push(canvas.getAttribute('data-resolution')))
+        .observe(canvas, { attributes: true, attributeFilter: ['data-resolution'] });
+      viewer.go_to_page(viewer.pageCount - 1);
+    });
+
+    await expect.poll(() => page.evaluate(() => (window as any).seenResolutions)).toEqual(['low', 'high']);
+  });
+
+  test('reports the render queue and cancels renders for pages that scrolled away', async ({ page }) => {
+    await expect(page.locator('#progressive-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+
+    // Fling from the first page to the last and back
+    await page.evaluate(async () => {
+      const viewer = (document.getElementById('progressive-viewer') as any).pdfViewer;
+      const container = viewer.scrollContainer;
+      // Just long enough for each scroll position to be picked up
+      const pause = () => new Promise(resolve => setTimeout(resolve, 40));
+      for (const fraction of [0.25, 0.5, 0.75, 1, 0]) {
+        container.scrollLeft = (container.scrollWidth - container.clientWidth) * fraction;
+        await pause();
+      }
+    });
+
+    const getMetrics = () => page.evaluate(() =>
+      (document.getElementById('progressive-viewer') as any).pdfViewer.getPerformanceMetrics()
+    );
+    await expect.poll(async () => (await getMetrics()).renderQueueLength).toBe(0);
+    await expect.poll(async () => (await getMetrics()).activeRenders).toBe(0);
+    expect((await getMetrics()).cancelledRenders).toBeGreaterThan(0);
+    await expect(page.locator('#progressive-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  test('gives pages a low-res pass whatever page numbers were in view before', async ({ page }) => {
+    await expect(page.locator('#progressive-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+
+    // Coming back from pages 12 and 13, whose numbers contain "1" and "2"
+    const queued = await page.evaluate(() => {
+      const viewer = (document.getElementById('progressive-viewer') as any).pdfViewer;
+      const keys: string[] = [];
+      const add = viewer.renderQueue.add.bind(viewer.renderQueue);
+      viewer.renderQueue.add = (key: string, ...rest: any[]) => {
+        keys.push(key);
+        return add(key, ...rest);
+      };
+      viewer._visiblePages = new Set([12, 13]);
+      viewer._updateVisiblePages();
+      return keys;
+    });
+    expect(queued).toContain('low:0');
+  });
+});
@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go request options', () => {
+  test.beforeEach(async ({ page }) => {
+    // A PDF that is only served with a bearer token
+    await page.route('**/secure.pdf', async (route) => {
+      const headers = route.request().headers();
+      if (headers['authorization'] !== 'Bearer secret') {
+        return route.fulfill({ status: 401, body: 'Unauthorized' });
+      }
+      const response = await route.fetch({ url: 'http://localhost:9000/example.pdf' });
+      return route.fulfill({ response });
+    });
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+  });
+
+  test('sends the headers set by beforeRequest with every request', async ({ page }) => {
+    const pageCount = await page.evaluate(() => {
+      const container = document.createElement('div');
+      container.style.height = '400px';
+      document.body.appendChild(container);
+      return (window as any).flipbook
+        .createViewer(container, {
+          source: '/secure.pdf',
+          beforeRequest: async (url: string, init: any) => {
+            init.headers.set('Authorization', 'Bearer secret');
+          }
+        })
+        .then((viewer: any) => viewer.pageCount);
+    });
+    expect(pageCount).toBeGreaterThan(0);
+  });
+
+  test('fails with an HTTP error without the token', async ({ page }) => {
+    const error = await page.evaluate(() => {
+      const container = document.createElement('div');
+      container.style.height = '400px';
+      document.body.appendChild(container);
+      return (window as any).flipbook
+        .createViewer(container, { source: '/secure.pdf', retries: 0 })
+        .catch((err: any) => ({ code: err.code, status: err.status }));
+    });
+    expect(error).toEqual({ code: 'HTTP_ERROR', status: 401 });
+  });
+
+  test('fails the load when a range request fails', async ({ page }) => {
+    // Only the first chunk is served; PDF.js needs more to open the document
+    await page.route('**/secure.pdf', (route) => {
+      const range = route.request().headers()['range'];
+      if (range && !range.startsWith('bytes=0-')) {
+        return route.fulfill({ status: 401, body: 'Unauthorized' });
+      }
+      return route.fallback();
+    });
+    const error = await page.evaluate(() => {
+      const container = document.createElement('div');
+      container.id = 'range-viewer';
+      container.style.height = '400px';
+      document.body.appendChild(container);
+      return (window as any).flipbook
+        .createViewer(container, {
+          source: '/secure.pdf',
+          retries: 0,
+          rangeChunkSize: 16384,
+          beforeRequest: async (url: string, init: any) => {
+            init.headers.set('Authorization', 'Bearer secret');
+          }
+        })
+        .catch((err: any) => ({ code: err.code, status: err.status }));
+    });
+    expect(error).toEqual({ code: 'HTTP_ERROR', status: 401 });
+    await expect(page.locator('#range-viewer .pdfagogo-retry-btn')).toBeVisible();
+  });
+
+  test('reports range requests that fail after the document has opened', async ({ page }) => {
+    await page.evaluate(() => {
+      const container = document.createElement('div');
+      container.id = 'range-viewer';
+      container.style.height = '400px';
+      document.body.appendChild(container);
+      return (window as any).flipbook
+        .createViewer(container, {
+          source: '/secure.pdf',
+          rangeChunkSize: 16384,
+          beforeRequest: async (url: string, init: any) => {
+            if (!(window as any).tokenExpired) init.headers.set('Authorization', 'Bearer secret');
+          }
+        })
+        .then(() => true);
+    });
+
+    // The pages further on need ranges that haven't been fetched yet
+    const events = await page.evaluate(() => {
+      const container = document.getElementById('range-viewer') as any;
+      const codes: string[] = (window as any).errorCodes = [];
+      container.addEventListener('pdfagogo:error', (event: any) => codes.push(event.detail.error.code));
+      (window as any).tokenExpired = true;
+      container.pdfViewer.go_to_page(container.pdfViewer.pageCount - 1);
+      return codes;
+    });
+    expect(events).toEqual([]);
+    await expect(page.locator('#range-viewer .pdfagogo-loading-error')).toBeVisible();
+    await expect(page.locator('#range-viewer .pdfagogo-retry-btn')).toBeVisible();
+    expect(await page.evaluate(() => (window as any).errorCodes)).toEqual(['HTTP_ERROR']);
+  });
+});
@@ -0,0 +1,95 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('PDF-A-go-go rotation', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  // Width-to-height ratio of a page as it is shown
+  const aspect = (page: Page, ndx: number) => page.evaluate((ndx: number) => {
+    const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+    const rect = viewer.pageCanvases[ndx].parentElement.getBoundingClientRect();
+    return rect.width / rect.height;
+  }, ndx);
+
+  test('turns every page, and renders them again the new way round', async ({ page }) => {
+    const before = await aspect(page, 0);
+    const event = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      let changed = null;
+      viewer.on('rotationChanged', (e: unknown) => { changed = e; });
+      viewer.rotate(90);
+      return changed;
+    });
+    expect(event).toEqual({ rotation: 90, page: null });
+
+    expect(Math.abs(await aspect(page, 0) - 1 / before)).toBeLessThan(0.01);
+    expect(Math.abs(await aspect(page, 1) - 1 / before)).toBeLessThan(0.01);
+    const firstPage = page.locator('#bytes-viewer .pdfagogo-page-canvas').first();
+    await expect(firstPage).toHaveAttribute('data-resolution', 'high');
+
+    // The text is turned with the page
+    const textLayer = page.locator('#bytes-viewer .pdfagogo-page-wrapper').first().locator('.pdfagogo-text-layer');
+    await expect(textLayer).toHaveAttribute('data-main-rotation', '90');
+  });
+
+  test('turns a single page and keeps search highlights on it', async ({ page }) => {
+    const before = await aspect(page, 1);
+    const boxes = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      viewer.highlights = { 0: [{ x: 72, y: 600, width: 200, height: 14 }] };
+      viewer.rerenderPage(0);
+      const box = () => {
+        const el = document.querySelector('#bytes-viewer .pdfagogo-highlight') as HTMLElement;
+        return { left: el.style.left, top: el.style.top, width: el.style.width, height: el.style.height };
+      };
+      const upright = box();
+      viewer.rotate(180, { page: 0 });
+      return { upright, rotation: viewer.getRotation(0), others: viewer.getRotation(1) };
+    });
+    expect(boxes.rotation).toBe(180);
+    expect(boxes.others).toBe(0);
+    expect(Math.abs(await aspect(page, 1) - before)).toBeLessThan(0.01);
+
+    // Turned upside down, the highlight moves to the opposite corner
+    const highlight = page.locator('#bytes-viewer .pdfagogo-page-wrapper').first().locator('.pdfagogo-highlight');
+    await expect(highlight).toHaveCount(1);
+    const turned = await highlight.evaluate((el: HTMLElement) => ({
+      left: parseFloat(el.style.left), top: parseFloat(el.style.top),
+      width: parseFloat(el.style.width), height: parseFloat(el.style.height)
+    }));
+    const upright = Object.fromEntries(Object.entries(boxes.upright).map(([k, v]) => [k, parseFloat(v as string)]));
+    expect(turned.left).toBeCloseTo(100 - upright.left - upright.width, 1);
+    expect(turned.top).toBeCloseTo(100 - upright.top - upright.height, 1);
+  });
+
+  test('keeps the rotation in the share link', async ({ page }) => {
+    await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      viewer.rotate(90);
+      viewer.rotate(90, { page: 1 });
+    });
+    expect(await page.evaluate(() => window.location.hash)).toContain('pdf-page-rotation=90,2:90');
+
+    // Opening the link turns the pages the same way
+    await page.reload();
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect.poll(() => page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      return [viewer.getRotation(), viewer.getRotation(0), viewer.getRotation(1)];
+    })).toEqual([90, 90, 180]);
+  });
+
+  test('turns pages from the toolbar', async ({ page }) => {
+    await page.locator('.pdfagogo-rotate-right').first().click();
+    await page.locator('.pdfagogo-rotate-page').first().click();
+    expect(await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      return [viewer.getRotation(), viewer.getRotation(viewer.currentPage)];
+    })).toEqual([90, 180]);
+    await page.locator('.pdfagogo-rotate-left').first().click();
+    expect(await page.evaluate(() => (document.getElementById('bytes-viewer') as any).pdfViewer.getRotation())).toBe(0);
+  });
+});
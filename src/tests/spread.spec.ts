@@ -0,0 +1,34 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go spreads', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setViewportSize({ width: 1400, height: 900 });
+    await openTestPage(page);
+    await mountViewer(page, 'spread-viewer', { source: '../example.pdf', spread: 'even' }, { style: { height: '300px' } });
+  });
+
+  test('pairs facing pages after the cover and flips a spread at a time', async ({ page }) => {
+    const wrappers = page.locator('#spread-viewer .pdfagogo-page-wrapper');
+    await expect(wrappers.nth(0)).not.toHaveClass(/pdfagogo-spread-/);
+    await expect(wrappers.nth(1)).toHaveClass(/pdfagogo-spread-left/);
+    await expect(wrappers.nth(2)).toHaveClass(/pdfagogo-spread-right/);
+
+    const indicator = page.locator('#spread-viewer + .pdfagogo-controls .pdfagogo-page-indicator');
+    await page.evaluate(() => (document.getElementById('spread-viewer') as any).pdfViewer.flip_forward());
+    await expect(indicator).toHaveText(/^Pages 2–3 \/ \d+$/);
+
+    await page.evaluate(() => (document.getElementById('spread-viewer') as any).pdfViewer.flip_forward());
+    await expect(indicator).toHaveText(/^Pages 4–5 \/ \d+$/);
+
+    await page.evaluate(() => (document.getElementById('spread-viewer') as any).pdfViewer.flip_back());
+    await expect(indicator).toHaveText(/^Pages 2–3 \/ \d+$/);
+  });
+
+  test('falls back to single pages on narrow screens', async ({ page }) => {
+    await page.setViewportSize({ width: 500, height: 900 });
+    const viewer = page.locator('#spread-viewer');
+    await expect.poll(() => viewer.evaluate((el: any) => el.pdfViewer.spreadActive)).toBe(false);
+    await expect(page.locator('#spread-viewer .pdfagogo-spread-left')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,44 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('PDF-A-go-go text layer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+  });
+
+  test('puts selectable text over the rendered page', async ({ page }) => {
+    const spans = page.locator('#bytes-viewer .pdfagogo-page-wrapper').first().locator('.pdfagogo-text-layer span');
+    await expect.poll(() => spans.count()).toBeGreaterThan(0);
+
+    const selected = await page.evaluate(() => {
+      const layer = document.querySelector('#bytes-viewer .pdfagogo-text-layer')!;
+      const range = document.createRange();
+      range.selectNodeContents(layer);
+      const selection = window.getSelection()!;
+      selection.removeAllRanges();
+      selection.addRange(range);
+      return selection.toString();
+    });
+    expect(selected.trim().length).toBeGreaterThan(0);
+  });
+
+  test('keeps the text layer the size of the page when zooming', async ({ page }) => {
+    const wrapper = page.locator('#bytes-viewer .pdfagogo-page-wrapper').first();
+    await expect.poll(() => wrapper.locator('.pdfagogo-text-layer span').count()).toBeGreaterThan(0);
+
+    const sizes = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      const wrapper = document.querySelector('#bytes-viewer .pdfagogo-page-wrapper')!;
+      const layer = wrapper.querySelector('.pdfagogo-text-layer')!;
+      const measure = () => ({
+        page: wrapper.getBoundingClientRect().width,
+        layer: layer.getBoundingClientRect().width
+      });
+      const before = measure();
+      viewer.setZoom(2);
+      return { before, after: measure() };
+    });
+    expect(sizes.before.layer).toBeCloseTo(sizes.before.page, -1);
+    expect(sizes.after.layer).toBeCloseTo(sizes.after.page, -1);
+  });
+});
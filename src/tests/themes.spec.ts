@@ -0,0 +1,76 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('PDF-A-go-go reading themes', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:9000/tests/test-create-viewer.html');
+    await page.evaluate(() => (window as any).viewersReady);
+    await expect(page.locator('#bytes-viewer .pdfagogo-page-canvas').first()).toHaveAttribute('data-resolution', 'high');
+  });
+
+  // Average colour of the first page's top-left corner, which is blank paper
+  const paper = (page: Page) => page.evaluate(() => {
+    const canvas = document.querySelector('#bytes-viewer .pdfagogo-page-canvas') as HTMLCanvasElement;
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const ctx = copy.getContext('2d')!;
+    ctx.drawImage(canvas, 0, 0);
+    const [r, g, b] = ctx.getImageData(2, 2, 1, 1).data;
+    return [r, g, b];
+  });
+
+  test('draws the pages again in dark colours', async ({ page }) => {
+    expect((await paper(page))[0]).toBeGreaterThan(200);
+
+    const event = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      let changed = null;
+      viewer.on('themeChanged', (e: unknown) => { changed = e; });
+      viewer.setTheme('dark');
+      return changed;
+    });
+    expect(event).toEqual({ mode: 'dark', theme: 'dark' });
+    await expect.poll(async () => (await paper(page))[0]).toBeLessThan(60);
+    await expect(page.locator('#bytes-viewer .pdfagogo-scroll-container')).toHaveAttribute('data-theme', 'dark');
+
+    await page.evaluate(() => (document.getElementById('bytes-viewer') as any).pdfViewer.setTheme('normal'));
+    await expect.poll(async () => (await paper(page))[0]).toBeGreaterThan(200);
+  });
+
+  test('uses the reader\'s own high-contrast colours', async ({ page }) => {
+    await page.evaluate(() => (document.getElementById('bytes-viewer') as any).pdfViewer
+      .setTheme('high-contrast', { foreground: '#ffffff', background: '#000080' }));
+    await expect.poll(() => paper(page)).toEqual([0, 0, 128]);
+
+    // Unknown themes and colours are refused
+    const errors = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      return ['purple', 'high-contrast'].map(mode => {
+        try {
+          viewer.setTheme(mode, { foreground: 'not-a-colour' });
+          return null;
+        } catch (error) {
+          return (error as Error).message;
+        }
+      });
+    });
+    expect(errors[0]).toContain('Unknown theme');
+    expect(errors[1]).toContain('Invalid colour');
+  });
+
+  test('follows the system colour scheme by default', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await expect.poll(() => page.evaluate(() =>
+      (document.getElementById('bytes-viewer') as any).pdfViewer.getTheme()
+    )).toEqual({ mode: 'auto', theme: 'dark' });
+    await expect(page.locator('.pdfagogo-theme-select').first()).toHaveValue('auto');
+  });
+
+  test('switches colours from the toolbar', async ({ page }) => {
+    await page.locator('.pdfagogo-theme-select').first().selectOption('sepia');
+    expect(await page.evaluate(() =>
+      (document.getElementById('bytes-viewer') as any).pdfViewer.getTheme()
+    )).toEqual({ mode: 'sepia', theme: 'sepia' });
+    await expect.poll(() => paper(page)).toEqual([244, 236, 216]);
+  });
+});
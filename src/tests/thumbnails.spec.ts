@@ -0,0 +1,119 @@
+import { test, expect } from '@playwright/test';
+import { mountViewer, openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go thumbnails', () => {
+  test.beforeEach(async ({ page }) => {
+    await openTestPage(page);
+    await mountViewer(page, 'thumbnails-viewer', { source: '../example.pdf', showThumbnails: true }, {
+      className: 'pdfagogo-test-viewer'
+    });
+    await expect(page.locator('#thumbnails-viewer .pdfagogo-thumbnail').first()).toHaveClass(/pdfagogo-thumbnail-drawn/);
+  });
+
+  test('is only shown when asked for', async ({ page }) => {
+    await expect(page.locator('#bytes-viewer .pdfagogo-thumbnails')).toHaveCount(0);
+    const count = await page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.pageCount);
+    await expect(page.locator('#thumbnails-viewer .pdfagogo-thumbnail')).toHaveCount(count);
+  });
+
+  test('draws thumbnails as they scroll into the panel', async ({ page }) => {
+    const list = page.locator('#thumbnails-viewer .pdfagogo-thumbnail-list');
+
+    // Only thumbnails in or just below the panel's view are drawn
+    const drawnOutOfView = await list.evaluate((el: HTMLElement) =>
+      Array.from(el.querySelectorAll('.pdfagogo-thumbnail-drawn'))
+        .some(option => (option as HTMLElement).offsetTop > el.scrollTop + el.clientHeight * 2)
+    );
+    expect(drawnOutOfView).toBe(false);
+
+    await list.evaluate((el: HTMLElement) => { el.scrollTop = el.scrollHeight; });
+    await expect(page.locator('#thumbnails-viewer .pdfagogo-thumbnail').last()).toHaveClass(/pdfagogo-thumbnail-drawn/);
+  });
+
+  test('waits for the pages in view in the render queue', async ({ page }) => {
+    await page.evaluate(() => {
+      const queue = (document.getElementById('thumbnails-viewer') as any).pdfViewer.renderQueue;
+      const order: string[] = (window as any).startedTasks = [];
+      queue.add('test:thumbnail', () => { order.push('thumbnail'); }, { page: 0, lane: 'background' });
+      queue.add('test:page', () => { order.push('page'); }, { page: 0 });
+    });
+    await expect.poll(() => page.evaluate(() => (window as any).startedTasks)).toEqual(['page', 'thumbnail']);
+  });
+
+  test('highlights the current page and goes to pages from the keyboard', async ({ page }) => {
+    const options = page.locator('#thumbnails-viewer .pdfagogo-thumbnail');
+    await expect(options.first()).toHaveAttribute('aria-selected', 'true');
+
+    await page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.go_to_page(1));
+    await expect(options.nth(1)).toHaveAttribute('aria-selected', 'true');
+    await expect(options.first()).toHaveAttribute('aria-selected', 'false');
+
+    // The arrow keys move through the list without leaving the page...
+    const list = page.locator('#thumbnails-viewer .pdfagogo-thumbnail-list');
+    await list.focus();
+    await page.keyboard.press('End');
+    await expect(list).toHaveAttribute('aria-activedescendant', (await options.last().getAttribute('id')) as string);
+    await page.keyboard.press('ArrowUp');
+    const target = await page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.pageCount - 2);
+    expect(await page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.currentPage)).toBe(1);
+
+    // ...and Enter goes there
+    await page.keyboard.press('Enter');
+    await expect(options.nth(target)).toHaveAttribute('aria-selected', 'true');
+    await expect.poll(() => page.evaluate(() =>
+      (document.getElementById('thumbnails-viewer') as any).pdfViewer.currentPage
+    )).toBe(target);
+  });
+
+  test('goes to a page when its thumbnail is clicked', async ({ page }) => {
+    await page.locator('#thumbnails-viewer .pdfagogo-thumbnail').nth(1).click();
+    await expect.poll(() => page.evaluate(() =>
+      (document.getElementById('thumbnails-viewer') as any).pdfViewer.currentPage
+    )).toBe(1);
+  });
+
+  test('collapses to make room for the pages', async ({ page }) => {
+    const container = page.locator('#thumbnails-viewer');
+    const toggle = container.locator('.pdfagogo-thumbnails-toggle');
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    const width = () => container.locator('.pdfagogo-scroll-container').evaluate((el: HTMLElement) => el.clientWidth);
+    const open = await width();
+
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    await expect(container.locator('.pdfagogo-thumbnail-list')).toBeHidden();
+    expect(await width()).toBeGreaterThan(open);
+
+    await toggle.click();
+    await expect(container.locator('.pdfagogo-thumbnail-list')).toBeVisible();
+  });
+
+  test('keeps the current page when the pages are refitted', async ({ page }) => {
+    await page.evaluate((target) => (document.getElementById('thumbnails-viewer') as any).pdfViewer.go_to_page(target), 2);
+    await expect.poll(() => page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.currentPage)).toBe(2);
+
+    // Other viewers on the page are left alone
+    const refits = await page.evaluate(() => {
+      const counts = { own: 0, others: 0 };
+      document.querySelectorAll('*').forEach((el: any) => {
+        const other = el.pdfViewer;
+        if (!other || el.id === 'thumbnails-viewer') return;
+        const refit = other._handleResize.bind(other);
+        other._handleResize = () => { counts.others++; return refit(); };
+      });
+      const own = (document.getElementById('thumbnails-viewer') as any).pdfViewer;
+      const refit = own._handleResize.bind(own);
+      own._handleResize = () => { counts.own++; return refit(); };
+      (window as any).refits = counts;
+      return counts;
+    });
+    expect(refits).toEqual({ own: 0, others: 0 });
+
+    await page.locator('#thumbnails-viewer .pdfagogo-thumbnails-toggle').click();
+    await expect.poll(() => page.evaluate(() => (window as any).refits.own)).toBe(1);
+    // Nothing waits on the window resize debounce either
+    await page.waitForTimeout(500);
+    expect(await page.evaluate(() => (window as any).refits)).toEqual({ own: 1, others: 0 });
+    expect(await page.evaluate(() => (document.getElementById('thumbnails-viewer') as any).pdfViewer.currentPage)).toBe(2);
+  });
+});
@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { openTestPage } from './helpers';
+
+test.describe('PDF-A-go-go zoom', () => {
+  test.beforeEach(async ({ page }) => {
+    await openTestPage(page);
+    // Wait for the first page to render at its fitted size
+    await expect.poll(() => page.evaluate(() =>
+      document.querySelector('#bytes-viewer .pdfagogo-page-wrapper')!.getBoundingClientRect().height
+    )).toBeGreaterThan(0);
+  });
+
+  test('setZoom resizes the pages and fires zoomChanged', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const container = document.getElementById('bytes-viewer') as any;
+      const viewer = container.pdfViewer;
+      const wrapper = container.querySelector('.pdfagogo-page-wrapper');
+      const before = wrapper.getBoundingClientRect().height;
+      const events: any[] = [];
+      viewer.on('zoomChanged', (e: any) => events.push(e));
+      viewer.setZoom(2);
+      return { before, after: wrapper.getBoundingClientRect().height, events };
+    });
+    expect(result.after).toBeCloseTo(result.before * 2, 0);
+    expect(result.events).toEqual([{ zoom: 2, mode: null }]);
+
+    // Zoomed-in pages scroll vertically too
+    const overflowY = await page.evaluate(() =>
+      getComputedStyle(document.querySelector('#bytes-viewer .pdfagogo-scroll-container')!).overflowY
+    );
+    expect(overflowY).toBe('auto');
+  });
+
+  test('toolbar and keyboard zoom through the zoom steps', async ({ page }) => {
+    const select = page.locator('#bytes-viewer + .pdfagogo-controls .pdfagogo-zoom-select');
+    await expect(select).toHaveValue('1');
+
+    await page.locator('#bytes-viewer + .pdfagogo-controls .pdfagogo-zoom-in').click();
+    await expect.poll(() => page.evaluate(() => (document.getElementById('bytes-viewer') as any).pdfViewer.zoom)).toBe(1.1);
+    await expect(select).toHaveValue('custom');
+
+    await page.locator('#bytes-viewer .pdfagogo-page-canvas').first().focus();
+    await page.keyboard.press('-');
+    await expect.poll(() => page.evaluate(() => (document.getElementById('bytes-viewer') as any).pdfViewer.zoom)).toBe(1);
+
+    await select.selectOption('fit-width');
+    const state = await page.evaluate(() => {
+      const viewer = (document.getElementById('bytes-viewer') as any).pdfViewer;
+      return { mode: viewer.zoomMode, zoom: viewer.zoom };
+    });
+    expect(state.mode).toBe('fit-width');
+    expect(state.zoom).toBeGreaterThan(0.25);
+  });
+});
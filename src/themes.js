@@ -0,0 +1,302 @@
+/**
+ * @file Reading themes for PDF-A-go-go: page colour modes for reading at
+ * night, on tinted paper or with low vision.
+ *
+ * A theme recolours each page bitmap once it is rendered: every pixel is
+ * mapped between the theme's foreground (ink) and background (paper)
+ * colours. Themes with a dark background keep the hue of coloured text and
+ * drawings while swapping light and dark. Pictures are put back as they
+ * were, so photos and figures aren't turned into negatives, except for
+ * images that cover most of the page, which are taken to be scanned text
+ * and recoloured with it.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import { OPS } from "pdfjs-dist/build/pdf.mjs";
+
+/** @type {Array<string>} Theme modes; "auto" follows the reader's `prefers-color-scheme` */
+export const THEME_MODES = ["auto", "normal", "dark", "sepia", "high-contrast"];
+
+/**
+ * Colours of each theme: `foreground` replaces black ink, `background`
+ * replaces white paper. "normal" leaves pages as they are.
+ *
+ * @type {Object<string, {foreground: string, background: string, grayscale?: boolean, contrast?: number}|null>}
+ */
+export const THEMES = {
+  normal: null,
+  dark: { foreground: "#e8e6e3", background: "#1b1b1d" },
+  sepia: { foreground: "#3b2e1e", background: "#f4ecd8" },
+  // Colours are dropped and mid-tones pushed apart, so only ink and paper remain
+  "high-contrast": { foreground: "#ffff00", background: "#000000", grayscale: true, contrast: 1.6 }
+};
+
+/** @type {number} Share of the page an image has to cover to count as a scan, whose text is recoloured */
+const SCAN_COVERAGE = 0.85;
+
+/** @type {Array<number>} Operators that paint a picture over the unit square of the current transform */
+const IMAGE_OPS = [OPS.paintImageXObject, OPS.paintInlineImageXObject];
+
+/**
+ * Whether the reader has asked their system for dark colours.
+ *
+ * @returns {boolean} True if `prefers-color-scheme: dark` matches
+ */
+export function prefersDarkScheme() {
+  return typeof window !== "undefined" && typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-color-scheme: dark)").matches;
+}
+
+/**
+ * Works out the colours to draw pages with.
+ *
+ * @param {string} [mode="auto"] - One of {@link THEME_MODES}
+ * @param {Object} [colors={}] - Colours overriding the theme's own, e.g. for a high-contrast theme of the reader's choosing
+ * @param {string} [colors.foreground] - Any CSS colour, replacing black ink
+ * @param {string} [colors.background] - Any CSS colour, replacing white paper
+ * @returns {{name: string, foreground: string, background: string, grayscale: boolean, contrast: number}|null} The theme, or null to leave pages as they are
+ * @throws {Error} If the mode is unknown or a colour can't be read
+ *
+ * @example
+ * resolveTheme('auto');                                          // "dark" at night, null otherwise
+ * resolveTheme('high-contrast', { foreground: '#fff', background: '#003' });
+ */
+export function resolveTheme(mode = "auto", colors = {}) {
+  if (!THEME_MODES.includes(mode)) {
+    throw new Error(`Unknown theme "${mode}"; use ${THEME_MODES.join(", ")}`);
+  }
+  const name = mode === "auto" ? (prefersDarkScheme() ? "dark" : "normal") : mode;
+  const theme = THEMES[name];
+  if (!theme) return null;
+
+  const foreground = colors.foreground || theme.foreground;
+  const background = colors.background || theme.background;
+  // Catch typos up front rather than when the first page is drawn
+  parseColor(foreground);
+  parseColor(background);
+  return {
+    name,
+    foreground,
+    background,
+    grayscale: !!theme.grayscale,
+    contrast: theme.contrast || 1
+  };
+}
+
+/**
+ * Finds the pictures on a page, so a theme can leave them as they are.
+ *
+ * Follows the page's drawing operators to where each image is painted.
+ * Image masks aren't included: they are drawn in the current fill colour,
+ * like text.
+ *
+ * @param {Object} page - A PDF.js page proxy
+ * @param {Object} viewport - The viewport the page is shown with
+ * @returns {Promise<Array<{left: number, top: number, width: number, height: number}>>} Boxes in fractions of the page, from its top-left corner
+ */
+export async function getPageImageRegions(page, viewport) {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const regions = [];
+  const stack = [];
+  let transform = [1, 0, 0, 1, 0, 0];
+
+  const addRegion = (matrix) => {
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) =>
+      viewport.convertToViewportPoint(
+        matrix[0] * x + matrix[2] * y + matrix[4],
+        matrix[1] * x + matrix[3] * y + matrix[5]
+      )
+    );
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const left = Math.max(0, Math.min(...xs));
+    const top = Math.max(0, Math.min(...ys));
+    const right = Math.min(viewport.width, Math.max(...xs));
+    const bottom = Math.min(viewport.height, Math.max(...ys));
+    if (right > left && bottom > top) {
+      regions.push({
+        left: left / viewport.width,
+        top: top / viewport.height,
+        width: (right - left) / viewport.width,
+        height: (bottom - top) / viewport.height
+      });
+    }
+  };
+
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(transform);
+    } else if (fn === OPS.restore) {
+      transform = stack.pop() || transform;
+    } else if (fn === OPS.transform) {
+      transform = multiply(transform, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(transform);
+      if (args[0]) transform = multiply(transform, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      transform = stack.pop() || transform;
+    } else if (IMAGE_OPS.includes(fn)) {
+      addRegion(transform);
+    } else if (fn === OPS.paintImageXObjectRepeat) {
+      // One tile of scaleX × scaleY at each position
+      const [, scaleX, scaleY, positions] = args;
+      for (let p = 0; p < positions.length; p += 2) {
+        addRegion(multiply(transform, [scaleX, 0, 0, scaleY, positions[p], positions[p + 1]]));
+      }
+    }
+  }
+  return regions;
+}
+
+/**
+ * Recolours a rendered page with a theme.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas the page was drawn into
+ * @param {Object} theme - A theme from {@link resolveTheme}
+ * @param {Array<{left: number, top: number, width: number, height: number}>} [regions=[]] - Pictures to leave as they are, in fractions of the page
+ */
+export function applyTheme(canvas, theme, regions = []) {
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  if (!ctx || !width || !height) return;
+
+  // A picture filling the page is most likely a scan, to be read like text
+  const kept = regions
+    .filter((region) => region.width * region.height < SCAN_COVERAGE)
+    .map((region) => {
+      const x = Math.floor(region.left * width);
+      const y = Math.floor(region.top * height);
+      const w = Math.min(width - x, Math.ceil(region.width * width));
+      const h = Math.min(height - y, Math.ceil(region.height * height));
+      return { x, y, w, h };
+    })
+    .filter(({ w, h }) => w > 0 && h > 0)
+    .map((box) => ({ ...box, image: ctx.getImageData(box.x, box.y, box.w, box.h) }));
+
+  const image = ctx.getImageData(0, 0, width, height);
+  recolor(image.data, theme);
+  ctx.putImageData(image, 0, 0);
+  kept.forEach(({ x, y, image }) => ctx.putImageData(image, x, y));
+}
+
+/**
+ * Maps every pixel between the theme's foreground and background colours.
+ *
+ * Each channel is looked up in a table running from the foreground colour
+ * (for 0) to the background colour (for 255). When the background is the
+ * darker of the two, the mapping swaps light and dark, which would also
+ * turn hues to their opposites; flipping each pixel around its lightest
+ * and darkest channels beforehand keeps them.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels, changed in place
+ * @param {Object} theme - A theme from {@link resolveTheme}
+ * @private
+ */
+function recolor(data, theme) {
+  const foreground = parseColor(theme.foreground);
+  const background = parseColor(theme.background);
+  const tables = [0, 1, 2].map((channel) => {
+    const table = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+      const t = Math.min(255, Math.max(0, 128 + (value - 128) * theme.contrast)) / 255;
+      table[value] = foreground[channel] + t * (background[channel] - foreground[channel]);
+    }
+    return table;
+  });
+  const [red, green, blue] = tables;
+  const keepHue = !theme.grayscale && luminance(background) < luminance(foreground);
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+    if (theme.grayscale) {
+      r = g = b = (r * 54 + g * 183 + b * 19) >> 8;
+    } else if (keepHue) {
+      const sum = Math.max(r, g, b) + Math.min(r, g, b);
+      r = sum - r;
+      g = sum - g;
+      b = sum - b;
+    }
+    data[i] = red[r];
+    data[i + 1] = green[g];
+    data[i + 2] = blue[b];
+  }
+}
+
+/**
+ * Reads a CSS colour.
+ *
+ * @param {string} color - Any CSS colour, e.g. `"#ffd"`, `"navy"` or `"rgb(0 0 40)"`
+ * @returns {Array<number>} Its red, green and blue components, 0–255
+ * @throws {Error} If the colour can't be read
+ * @private
+ */
+function parseColor(color) {
+  if (typeof CSS !== "undefined" && CSS.supports && !CSS.supports("color", color)) {
+    throw new Error(`Invalid colour "${color}"`);
+  }
+  const ctx = getColorContext();
+  ctx.fillStyle = "#000000";
+  ctx.fillStyle = color;
+  // The canvas hands colours back as "#rrggbb", or "rgba(r, g, b, a)" when translucent
+  const value = String(ctx.fillStyle);
+  if (value.startsWith("#")) {
+    return [1, 3, 5].map((start) => parseInt(value.slice(start, start + 2), 16));
+  }
+  return value.match(/[\d.]+/g).slice(0, 3).map(Number);
+}
+
+/** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} Context used to read colours */
+let colorContext = null;
+
+/**
+ * A tiny canvas context for reading colours, made on first use.
+ *
+ * @returns {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} The context
+ * @private
+ */
+function getColorContext() {
+  if (!colorContext) {
+    const canvas = typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(1, 1)
+      : document.createElement("canvas");
+    colorContext = canvas.getContext("2d");
+  }
+  return colorContext;
+}
+
+/**
+ * Relative luminance of a colour, enough to tell light from dark.
+ *
+ * @param {Array<number>} rgb - Red, green and blue components, 0–255
+ * @returns {number} 0 for black up to 255 for white
+ * @private
+ */
+function luminance([r, g, b]) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Multiplies two PDF transformation matrices, applying `b` within `a`.
+ *
+ * @param {Array<number>} a - The outer transform, `[a, b, c, d, e, f]`
+ * @param {Array<number>} b - The transform applied inside it
+ * @returns {Array<number>} The combined transform
+ * @private
+ */
+function multiply(a, b) {
+  return [
+    a[0] * b[0] + a[2] * b[1],
+    a[1] * b[0] + a[3] * b[1],
+    a[0] * b[2] + a[2] * b[3],
+    a[1] * b[2] + a[3] * b[3],
+    a[0] * b[4] + a[2] * b[5] + a[4],
+    a[1] * b[4] + a[3] * b[5] + a[5]
+  ];
+}
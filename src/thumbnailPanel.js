@@ -0,0 +1,390 @@
+/**
+ * @file Page thumbnail sidebar for PDF-A-go-go.
+ *
+ * A collapsible panel along the left edge of the viewer with a small
+ * picture of every page. Thumbnails are drawn lazily, as they scroll into
+ * the panel, through the viewer's `renderThumbnail()`, which queues them
+ * behind the pages in view. The list is a listbox: the current page is its
+ * selected option, the arrow keys, Home and End move through it, and Enter,
+ * Space or a click go to the page.
+ *
+ * @author PDF-A-go-go Contributors
+ * @version 1.0.0
+ * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
+ */
+
+import { releaseCanvas } from "./pageRender.js";
+
+/** @type {number} Default width of a page thumbnail, in CSS pixels */
+export const THUMBNAIL_WIDTH = 120;
+
+/** @type {number} Viewers narrower than this start with the panel collapsed, in CSS pixels */
+const COLLAPSED_BELOW = 600;
+
+/** @type {number} Panels created so far, to give each list unique element ids */
+let panelCount = 0;
+
+/**
+ * Thumbnail sidebar for a viewer that can render thumbnails.
+ *
+ * @class ThumbnailPanel
+ * @example
+ * const panel = new ThumbnailPanel(container, viewer);
+ * panel.toggle(false); // collapse it
+ * panel.destroy();
+ */
+export class ThumbnailPanel {
+  /**
+   * Create the panel and add it to the viewer's container.
+   *
+   * @constructor
+   * @param {HTMLElement} container - The viewer container
+   * @param {Object} viewer - The viewer; it must have `renderThumbnail()`, `refit()`, `go_to_page()` and `pageCount`
+   * @param {Object} [options={}] - Panel options
+   * @param {number} [options.width=120] - Width of a thumbnail in CSS pixels
+   * @param {boolean} [options.open] - Start expanded; by default the panel starts collapsed on narrow viewers
+   */
+  constructor(container, viewer, { width = THUMBNAIL_WIDTH, open } = {}) {
+    /** @type {HTMLElement} The viewer container */
+    this.container = container;
+
+    /** @type {Object} The viewer the thumbnails are drawn by */
+    this.viewer = viewer;
+
+    /** @type {number} Width of a thumbnail in CSS pixels */
+    this.width = width;
+
+    /** @type {string} Prefix of the panel's element ids */
+    this.id = `pdfagogo-thumbnails-${++panelCount}`;
+
+    /** @type {Array<{option: HTMLElement, canvas: HTMLCanvasElement, drawn: boolean, controller: AbortController|null}>} One entry per page */
+    this.items = [];
+
+    /** @type {Set<number>} Pages whose thumbnails are in or near the panel's view */
+    this.visible = new Set();
+
+    /** @type {number} Zero-based index of the current page, the selected option */
+    this.selected = viewer.currentPage || 0;
+
+    /** @type {number} Zero-based index of the option the keyboard is on */
+    this.active = this.selected;
+
+    this.element = document.createElement("div");
+    this.element.className = "pdfagogo-thumbnails";
+    this.element.innerHTML = `
+      <button class="pdfagogo-thumbnails-toggle" type="button" aria-controls="${this.id}-list"></button>
+      <div class="pdfagogo-thumbnail-list" id="${this.id}-list" role="listbox" tabindex="0" aria-label="Pages"></div>
+    `;
+    this.toggleButton = this.element.querySelector(".pdfagogo-thumbnails-toggle");
+    this.list = this.element.querySelector(".pdfagogo-thumbnail-list");
+    container.appendChild(this.element);
+
+    this.observer = new IntersectionObserver((entries) => this._onIntersect(entries), {
+      root: this.list,
+      // Draw the next screenful ahead of time
+      rootMargin: "100% 0px"
+    });
+
+    this._onSeen = (pageNum) => this.select(pageNum - 1);
+    this._onRotationChanged = ({ page }) => {
+      if (page === null) {
+        this.items.forEach((item, ndx) => this._redraw(ndx));
+      } else {
+        this._redraw(page);
+      }
+    };
+    this._onThemeChanged = () => this.items.forEach((item, ndx) => this._redraw(ndx));
+    this._onDocumentChanged = () => {
+      this.selected = 0;
+      this.active = 0;
+      this._build();
+    };
+    viewer.on("seen", this._onSeen);
+    viewer.on("rotationChanged", this._onRotationChanged);
+    viewer.on("themeChanged", this._onThemeChanged);
+    viewer.on("documentChanged", this._onDocumentChanged);
+
+    this.toggleButton.addEventListener("click", () => this.toggle());
+    this.list.addEventListener("keydown", (event) => this._onKeyDown(event));
+    this.list.addEventListener("click", (event) => {
+      const option = event.target.closest(".pdfagogo-thumbnail");
+      if (!option) return;
+      const ndx = Number(option.getAttribute("data-page"));
+      this._setActive(ndx);
+      this._activate(ndx);
+    });
+
+    this._build();
+    this.toggle(open !== undefined ? open : container.clientWidth >= COLLAPSED_BELOW, { resize: false });
+  }
+
+  /**
+   * Whether the panel is expanded.
+   * @type {boolean}
+   */
+  get isOpen() {
+    return this.container.classList.contains("pdfagogo-thumbnails-open");
+  }
+
+  /**
+   * Expands or collapses the panel. The pages are fitted again to the room
+   * left for them.
+   *
+   * @param {boolean} [open] - Expand or collapse; switches if left out
+   * @param {Object} [options={}] - Toggle options
+   * @param {boolean} [options.resize=true] - Fit the pages to their new room
+   */
+  toggle(open = !this.isOpen, { resize = true } = {}) {
+    this.container.classList.toggle("pdfagogo-thumbnails-open", open);
+    this.list.hidden = !open;
+    this.toggleButton.setAttribute("aria-expanded", String(open));
+    this.toggleButton.setAttribute("aria-label", open ? "Hide page thumbnails" : "Show page thumbnails");
+    this.toggleButton.title = open ? "Hide page thumbnails" : "Show page thumbnails";
+    this.toggleButton.textContent = open ? "‹" : "›";
+    if (open) this._scrollIntoView(this.selected);
+    if (!resize) return;
+
+    // Only this viewer's room changed, so refit it alone, then go back to
+    // the page that was showing once the pages have their new sizes
+    const page = this.viewer.currentPage || 0;
+    this.viewer.refit().then(() => {
+      if (!this.viewer.destroyed) this.viewer.go_to_page(page);
+    });
+  }
+
+  /**
+   * Marks a page as the current one.
+   *
+   * @param {number} ndx - Zero-based page index
+   */
+  select(ndx) {
+    const previous = this.items[this.selected];
+    if (previous) previous.option.setAttribute("aria-selected", "false");
+    this.selected = ndx;
+    const item = this.items[ndx];
+    if (!item) return;
+    item.option.setAttribute("aria-selected", "true");
+    // Keyboard users keep their place while they look around the list
+    if (document.activeElement !== this.list) {
+      this._setActive(ndx);
+      this._scrollIntoView(ndx);
+    }
+  }
+
+  /**
+   * Removes the panel, cancelling the thumbnails still to be drawn.
+   */
+  destroy() {
+    this.observer.disconnect();
+    this.viewer.removeListener("seen", this._onSeen);
+    this.viewer.removeListener("rotationChanged", this._onRotationChanged);
+    this.viewer.removeListener("themeChanged", this._onThemeChanged);
+    this.viewer.removeListener("documentChanged", this._onDocumentChanged);
+    this._clear();
+    this.container.classList.remove("pdfagogo-thumbnails-open");
+    if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+  }
+
+  /**
+   * Adds an option with an empty thumbnail for every page.
+   *
+   * @private
+   */
+  _build() {
+    this._clear();
+    const sizes = this.viewer.pageSizes || {};
+    for (let ndx = 0; ndx < this.viewer.pageCount; ndx++) {
+      const option = document.createElement("div");
+      option.className = "pdfagogo-thumbnail";
+      option.id = `${this.id}-page-${ndx + 1}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(ndx === this.selected));
+      option.setAttribute("aria-label", `Page ${ndx + 1}`);
+      option.setAttribute("data-page", String(ndx));
+
+      const canvas = document.createElement("canvas");
+      canvas.className = "pdfagogo-thumbnail-canvas";
+      canvas.style.width = this.width + "px";
+      // Shaped like the page until it is drawn, estimated from the first page
+      const size = sizes[ndx] || sizes[0];
+      if (size) canvas.style.aspectRatio = `${size.width} / ${size.height}`;
+
+      const label = document.createElement("span");
+      label.className = "pdfagogo-thumbnail-label";
+      label.textContent = String(ndx + 1);
+      label.setAttribute("aria-hidden", "true");
+
+      option.appendChild(canvas);
+      option.appendChild(label);
+      this.list.appendChild(option);
+      this.items.push({ option, canvas, drawn: false, controller: null });
+      this.observer.observe(option);
+    }
+    this._setActive(Math.min(this.active, this.items.length - 1));
+  }
+
+  /**
+   * Empties the list, cancelling and freeing its thumbnails.
+   *
+   * @private
+   */
+  _clear() {
+    this.items.forEach((item) => {
+      if (item.controller) item.controller.abort();
+      this.observer.unobserve(item.option);
+      releaseCanvas(item.canvas);
+    });
+    this.items = [];
+    this.visible.clear();
+    this.list.innerHTML = "";
+    this.list.removeAttribute("aria-activedescendant");
+  }
+
+  /**
+   * Draws the thumbnails that came into view and cancels those that left
+   * it before they were drawn.
+   *
+   * @param {Array<IntersectionObserverEntry>} entries - The options that moved
+   * @private
+   */
+  _onIntersect(entries) {
+    entries.forEach((entry) => {
+      const ndx = Number(entry.target.getAttribute("data-page"));
+      const item = this.items[ndx];
+      if (!item || item.option !== entry.target) return;
+      if (entry.isIntersecting) {
+        this.visible.add(ndx);
+        this._draw(ndx);
+      } else {
+        this.visible.delete(ndx);
+        if (item.controller) item.controller.abort();
+      }
+    });
+  }
+
+  /**
+   * Asks the viewer for a page's thumbnail, unless it is drawn or on its
+   * way.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _draw(ndx) {
+    const item = this.items[ndx];
+    if (!item || item.drawn || item.controller) return;
+    const controller = new AbortController();
+    item.controller = controller;
+    this.viewer.renderThumbnail(ndx, item.canvas, { width: this.width, signal: controller.signal }).then((drawn) => {
+      if (item.controller !== controller) return;
+      item.controller = null;
+      if (!drawn) return;
+      item.drawn = true;
+      item.canvas.style.aspectRatio = `${item.canvas.width} / ${item.canvas.height}`;
+      item.option.classList.add("pdfagogo-thumbnail-drawn");
+    });
+  }
+
+  /**
+   * Draws a page's thumbnail again, e.g. after it was rotated. Thumbnails
+   * out of view are drawn again when they come back.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _redraw(ndx) {
+    const item = this.items[ndx];
+    if (!item) return;
+    if (item.controller) {
+      item.controller.abort();
+      item.controller = null;
+    }
+    item.drawn = false;
+    if (this.visible.has(ndx)) this._draw(ndx);
+  }
+
+  /**
+   * Moves the keyboard to an option.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _setActive(ndx) {
+    const previous = this.items[this.active];
+    if (previous) previous.option.classList.remove("pdfagogo-thumbnail-active");
+    this.active = ndx;
+    const item = this.items[ndx];
+    if (!item) return;
+    item.option.classList.add("pdfagogo-thumbnail-active");
+    this.list.setAttribute("aria-activedescendant", item.option.id);
+  }
+
+  /**
+   * Goes to a page.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _activate(ndx) {
+    this.select(ndx);
+    this.viewer.go_to_page(ndx);
+  }
+
+  /**
+   * Scrolls the list, and only the list, to show an option.
+   *
+   * @param {number} ndx - Zero-based page index
+   * @private
+   */
+  _scrollIntoView(ndx) {
+    const item = this.items[ndx];
+    if (!item || this.list.hidden) return;
+    const top = item.option.offsetTop;
+    const bottom = top + item.option.offsetHeight;
+    if (top < this.list.scrollTop) {
+      this.list.scrollTop = top;
+    } else if (bottom > this.list.scrollTop + this.list.clientHeight) {
+      this.list.scrollTop = bottom - this.list.clientHeight;
+    }
+  }
+
+  /**
+   * Listbox keys: the arrow keys, Home and End move through the pages,
+   * Enter and Space go to the page. Handled keys don't reach the viewer's
+   * own arrow key navigation.
+   *
+   * @param {KeyboardEvent} event - The key press
+   * @private
+   */
+  _onKeyDown(event) {
+    const last = this.items.length - 1;
+    let next = null;
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        next = Math.min(last, this.active + 1);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        next = Math.max(0, this.active - 1);
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = last;
+        break;
+      case "Enter":
+      case " ":
+        if (this.items[this.active]) this._activate(this.active);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (next !== null && next >= 0) {
+      this._setActive(next);
+      this._scrollIntoView(next);
+    }
+  }
+}
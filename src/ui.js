@@ -4,6 +4,7 @@
  * This module provides comprehensive UI functionality for the PDF viewer including:
  * - Loading progress indicators with visual feedback
  * - Navigation controls (previous/next, page selector, download)
+ * - An optional page thumbnail sidebar
  * - Search functionality with text highlighting and match navigation
  * - Accessibility features (screen reader support, keyboard navigation)
  * - Error handling and user feedback
@@ -17,6 +18,8 @@
  * @see {@link https://github.com/khawkins98/PDF-A-go-go|GitHub Repository}
  */
 
+import { ThumbnailPanel } from "./thumbnailPanel.js";
+
 /**
  * Creates and inserts a loading progress bar inside the given container.
  * 
@@ -110,7 +113,8 @@ export function createLoadingBar(container) {
 export function updateLoadingBar(progressBar, value) {
   if (!progressBar) return;
   
-  const percentSpan = document.querySelector('.pdfagogo-loading-percent');
+  const loadingDiv = progressBar.closest(".pdfagogo-loading");
+  const percentSpan = loadingDiv ? loadingDiv.querySelector('.pdfagogo-loading-percent') : null;
   
   if (typeof value === "number") {
     // Determinate progress - show specific percentage
@@ -130,51 +134,257 @@ export function updateLoadingBar(progressBar, value) {
  * is complete or has failed. It handles cases where the loading bar
  * might not exist or has already been removed.
  * 
+ * @param {HTMLElement} [container=document] - The viewer container holding the loading bar
+ * 
  * @example
  * // After successful PDF load
  * loadPdf(url)
  *   .then(pdf => {
- *     removeLoadingBar();
+ *     removeLoadingBar(container);
  *     initializeViewer(pdf);
  *   })
  *   .catch(error => {
- *     removeLoadingBar();
- *     showError('Failed to load PDF: ' + error.message);
+ *     removeLoadingBar(container);
+ *     showError('Failed to load PDF: ' + error.message, container);
  *   });
  */
-export function removeLoadingBar() {
-  const loadingDiv = document.querySelector(".pdfagogo-loading");
+export function removeLoadingBar(container) {
+  const loadingDiv = (container || document).querySelector(".pdfagogo-loading");
   if (loadingDiv && loadingDiv.parentNode) {
     loadingDiv.parentNode.removeChild(loadingDiv);
   }
 }
 
+/**
+ * Default English messages shown for each error code.
+ *
+ * Pass a `messages` object with the same keys to {@link showError} (or as the
+ * `messages` viewer option) to translate them. `{status}` is replaced with
+ * the HTTP status of an `HttpError`.
+ *
+ * @type {Object<string, string>}
+ */
+export const DEFAULT_ERROR_MESSAGES = {
+  NETWORK_ERROR: "The PDF could not be downloaded. Please check your connection.",
+  HTTP_ERROR: "The server could not provide the PDF (error {status}).",
+  NOT_PDF: "This file is not a PDF.",
+  PASSWORD: "This PDF is password protected and could not be opened.",
+  CORRUPT_PDF: "This PDF is damaged and cannot be displayed.",
+  HTML_REDIRECT_TIMEOUT: "The download page did not provide the PDF in time.",
+  RENDER_FAILED: "A page of this PDF could not be displayed.",
+  UNKNOWN: "The PDF could not be loaded.",
+  retry: "Retry"
+};
+
 /**
  * Displays an error message to the user in place of the loading indicator.
  * 
- * This function replaces the loading bar content with an error message,
- * providing clear feedback when PDF loading fails. The error is displayed
- * in a user-friendly format with appropriate styling.
+ * This function replaces the loading bar content with a localized message
+ * for the error's `code`, announced to screen readers as an alert. When an
+ * `onRetry` callback is given, a "Retry" button is shown as well. Messages
+ * are always inserted as text, never as HTML.
  * 
- * @param {string} message - The error message to display to the user
+ * @param {Error|string} error - The error to report, or a message to show as is
+ * @param {HTMLElement} [container=document] - The viewer container holding the loading bar
+ * @param {Object} [options={}] - Display options
+ * @param {Object<string, string>} [options.messages] - Overrides for {@link DEFAULT_ERROR_MESSAGES}
+ * @param {Function} [options.onRetry] - Called when the user presses "Retry"
  * 
  * @example
- * // Handle network error
- * showError('PDF not found. Please check the URL and try again.');
+ * // Show the message for a typed error, with a retry button
+ * showError(error, container, {
+ *   onRetry: () => createViewer(container, opts)
+ * });
  * 
  * @example
- * // Handle parsing error
- * showError('Invalid PDF file. The file may be corrupted.');
+ * // Translate the messages
+ * showError(error, container, {
+ *   messages: { NOT_PDF: "Dieses Dokument ist keine PDF-Datei.", retry: "Erneut versuchen" }
+ * });
  * 
  * @example
- * // Handle timeout error
+ * // Show a custom message
  * showError('Loading timeout. Please check your connection and try again.');
  */
-export function showError(message) {
-  const loadingDiv = document.querySelector(".pdfagogo-loading");
-  if (loadingDiv) {
-    loadingDiv.innerHTML = `<div class="pdfagogo-loading-error">${message}</div>`;
+export function showError(error, container, options = {}) {
+  const root = container || document;
+  let loadingDiv = root.querySelector(".pdfagogo-loading");
+  if (!loadingDiv) {
+    // The loading bar is already gone if the viewer failed after loading
+    if (!container) return;
+    loadingDiv = createLoadingBar(container).closest(".pdfagogo-loading");
+  }
+  const messages = Object.assign({}, DEFAULT_ERROR_MESSAGES, options.messages);
+
+  let text = error;
+  if (typeof error !== "string") {
+    const code = (error && error.code) || "UNKNOWN";
+    text = (messages[code] || messages.UNKNOWN).replace(
+      "{status}",
+      error && error.status !== undefined ? error.status : ""
+    );
   }
+
+  const errorDiv = document.createElement("div");
+  errorDiv.className = "pdfagogo-loading-error";
+  errorDiv.setAttribute("role", "alert");
+  const messageEl = document.createElement("p");
+  messageEl.className = "pdfagogo-loading-error-message";
+  messageEl.textContent = text;
+  errorDiv.appendChild(messageEl);
+
+  if (options.onRetry) {
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.className = "pdfagogo-retry-btn";
+    retryBtn.textContent = messages.retry;
+    retryBtn.addEventListener("click", () => {
+      loadingDiv.remove();
+      options.onRetry();
+    });
+    errorDiv.appendChild(retryBtn);
+  }
+
+  loadingDiv.replaceChildren(errorDiv);
+}
+
+/** @type {number} Counter used to give each password prompt unique element ids */
+let passwordPromptCount = 0;
+
+/**
+ * Shows an inline password prompt in the loading area of a viewer.
+ * 
+ * The prompt replaces the loading bar until the user submits or cancels it.
+ * It is a labelled, keyboard-operable dialog: the password field receives
+ * focus, <kbd>Enter</kbd> submits, <kbd>Escape</kbd> cancels, and a wrong
+ * password is announced to screen readers through an alert.
+ * 
+ * @param {HTMLElement} container - The viewer container holding the loading bar
+ * @param {boolean} [incorrect=false] - Whether the previous password attempt was wrong
+ * @returns {Promise<string|null>} Resolves with the entered password, or null if cancelled
+ * 
+ * @example
+ * loadPdfWithProgress(url, onProgress, {
+ *   onPassword: (incorrect) => showPasswordPrompt(container, incorrect)
+ * });
+ */
+export function showPasswordPrompt(container, incorrect) {
+  const loadingDiv = container.querySelector(".pdfagogo-loading");
+  if (!loadingDiv) return Promise.resolve(null);
+
+  const id = `pdfagogo-password-${++passwordPromptCount}`;
+  const form = document.createElement("form");
+  form.className = "pdfagogo-password-form";
+  form.setAttribute("role", "dialog");
+  form.setAttribute("aria-labelledby", `${id}-title`);
+  form.innerHTML = `
+    <div class="pdfagogo-password-title" id="${id}-title">This PDF is password protected</div>
+    <label class="pdfagogo-password-label" for="${id}-input">Password</label>
+    <input class="pdfagogo-password-input" id="${id}-input" type="password" autocomplete="current-password" required />
+    <div class="pdfagogo-password-error" id="${id}-error" role="alert"></div>
+    <button class="pdfagogo-password-submit" type="submit">Unlock</button>
+    <button class="pdfagogo-password-cancel" type="button">Cancel</button>
+  `;
+  const input = form.querySelector(".pdfagogo-password-input");
+  const errorMsg = form.querySelector(".pdfagogo-password-error");
+  if (incorrect) {
+    errorMsg.textContent = "Incorrect password. Please try again.";
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", `${id}-error`);
+  }
+
+  // Hide the loading bar while the prompt is shown
+  const hidden = Array.from(loadingDiv.children);
+  hidden.forEach((el) => (el.hidden = true));
+  loadingDiv.appendChild(form);
+  input.focus();
+
+  return new Promise((resolve) => {
+    function close(password) {
+      form.remove();
+      hidden.forEach((el) => (el.hidden = false));
+      resolve(password);
+    }
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      close(input.value);
+    });
+    form.querySelector(".pdfagogo-password-cancel").onclick = () => close(null);
+    form.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close(null);
+      }
+    });
+  });
+}
+
+/**
+ * Reads a `key=value` parameter from the URL hash.
+ * 
+ * The hash is treated as a list of `&`-separated parameters so that several
+ * viewers on the same page can each keep their own page number in it.
+ * 
+ * @param {string} key - The parameter name, e.g. `pdf-page`
+ * @returns {string|null} The parameter value, or null if it is not present
+ * 
+ * @example
+ * // URL: https://example.com/#pdf-page=3&pdf-page-report=7
+ * getHashParam('pdf-page-report'); // "7"
+ */
+export function getHashParam(key) {
+  const params = window.location.hash.replace(/^#/, "").split("&");
+  for (const param of params) {
+    const [name, value] = param.split("=");
+    if (name === key) return value === undefined ? "" : value;
+  }
+  return null;
+}
+
+/**
+ * Sets a `key=value` parameter in the URL hash, keeping all other parameters.
+ * 
+ * @param {string} key - The parameter name, e.g. `pdf-page`
+ * @param {string|number|null} value - The value to store, or null to remove the parameter
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.replace=false] - Update the URL in place, without a history entry or a `hashchange` event
+ */
+export function setHashParam(key, value, { replace = false } = {}) {
+  const params = window.location.hash
+    .replace(/^#/, "")
+    .split("&")
+    .filter((param) => param && param.split("=")[0] !== key);
+  if (value !== null) params.push(`${key}=${value}`);
+  if (replace) {
+    history.replaceState(history.state, "", `${window.location.pathname}${window.location.search}#${params.join("&")}`);
+    return;
+  }
+  window.location.hash = params.join("&");
+}
+
+/**
+ * Removes the UI controls that `setupControls` injected for a container.
+ * 
+ * Controls live outside the container (as siblings) and inside it (hint
+ * zones, resize grip, thumbnail sidebar), so the elements created for each
+ * container are tracked on the container itself. Only those are removed, leaving the
+ * controls of any other viewer on the page untouched. The listeners that
+ * `setupControls` added to the container and the window are removed too.
+ * 
+ * @param {HTMLElement} container - The viewer container element
+ */
+export function removeControls(container) {
+  if (!container) return;
+  (container.pdfagogoControls || []).forEach((el) => {
+    if (el && el.parentNode) el.parentNode.removeChild(el);
+  });
+  container.pdfagogoControls = [];
+  (container.pdfagogoListeners || []).forEach(({ target, type, handler }) => {
+    target.removeEventListener(type, handler);
+  });
+  container.pdfagogoListeners = [];
+  // Room made for the thumbnail sidebar
+  container.classList.remove("pdfagogo-thumbnails-open");
 }
 
 /**
@@ -191,6 +401,8 @@ export function showError(message) {
  * The function handles feature toggles through the featureOptions parameter,
  * allowing selective enabling/disabling of UI components. All controls are
  * designed with accessibility in mind and include proper ARIA labels.
+ * Every element is looked up relative to the given container, so several
+ * viewers can be set up on the same page independently.
  * 
  * @param {HTMLElement} container - The main viewer container element
  * @param {Object} featureOptions - Feature toggles and configuration options
@@ -199,8 +411,12 @@ export function showError(message) {
  * @param {boolean} [featureOptions.showPageSelector=true] - Show page number input field
  * @param {boolean} [featureOptions.showCurrentPage=true] - Show current page indicator
  * @param {boolean} [featureOptions.showDownload=true] - Show download button
+ * @param {boolean} [featureOptions.showZoom=true] - Show zoom controls (only for viewers that can zoom)
+ * @param {boolean} [featureOptions.showRotate=true] - Show rotate controls (only for viewers that can rotate pages)
+ * @param {boolean} [featureOptions.showTheme=true] - Show the page colour (reading theme) picker (only for viewers with themes)
  * @param {boolean} [featureOptions.showResizeGrip=true] - Show resize handle
- * @param {ScrollablePdfViewer} viewer - The initialized PDF viewer instance
+ * @param {string} [featureOptions.hashKey="pdf-page"] - URL hash parameter used for page deep links; rotation is kept in `<hashKey>-rotation`
+ * @param {ScrollablePdfViewer|FlipbookViewer} viewer - The initialized PDF viewer instance
  * @param {Object} book - The PDF book object with page access methods
  * @param {Function} book.numPages - Returns total number of pages
  * @param {Function} book.getPage - Retrieves a specific page
@@ -255,21 +471,27 @@ export function showError(message) {
  * //   <input class="pdfagogo-goto-page" type="number" />
  * //   <button class="pdfagogo-goto-btn">Go</button>
  * //   <span class="pdfagogo-page-indicator"></span>
+ * //   <span class="pdfagogo-zoom-controls" role="group">
+ * //     <button class="pdfagogo-zoom-out">−</button>
+ * //     <select class="pdfagogo-zoom-select">...</select>
+ * //     <button class="pdfagogo-zoom-in">+</button>
+ * //   </span>
  * // </div>
  * // <div class="pdfagogo-page-announcement" aria-live="polite"></div>
  * // <div class="pdfagogo-a11y-instructions"></div>
  */
 export function setupControls(container, featureOptions, viewer, book, pdf) {
   // Remove any existing controls
-  [
-    "pdfagogo-search-controls",
-    "pdfagogo-controls",
-    "pdfagogo-page-announcement",
-    "pdfagogo-a11y-instructions",
-  ].forEach((cls) => {
-    const el = document.querySelector("." + cls);
-    if (el && el.parentNode) el.parentNode.removeChild(el);
-  });
+  removeControls(container);
+  const injected = container.pdfagogoControls;
+  const hashKey = featureOptions.hashKey || "pdf-page";
+
+  // Listeners outside the injected elements, removed again by removeControls
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    container.pdfagogoListeners.push({ target, type, handler });
+  }
+  viewer.once("destroy", () => removeControls(container));
 
   // Search controls
   let searchControls, searchBox, searchBtn, searchResult, nextMatchBtn, prevMatchBtn;
@@ -282,6 +504,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
       <span class="pdfagogo-search-result"></span>
     `;
     container.parentNode.insertBefore(searchControls, container);
+    injected.push(searchControls);
     searchBox = searchControls.querySelector(".pdfagogo-search-box");
     searchBtn = searchControls.querySelector(".pdfagogo-search-btn");
     searchResult = searchControls.querySelector(".pdfagogo-search-result");
@@ -320,50 +543,84 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     controlsHTML +=
       '<span class="pdfagogo-page-indicator" aria-live="polite"></span>';
   }
+  // The flipbook viewer always fits the book to the container
+  const canZoom = typeof viewer.setZoom === "function";
+  if (featureOptions.showZoom && canZoom) {
+    controlsHTML += '<span class="pdfagogo-zoom-controls" role="group" aria-label="Zoom">';
+    controlsHTML += '<button class="pdfagogo-zoom-out" aria-label="Zoom out">&minus;</button>';
+    controlsHTML += '<select class="pdfagogo-zoom-select" aria-label="Zoom level">';
+    controlsHTML += '<option value="custom" hidden></option>';
+    controlsHTML += '<option value="fit-width">Fit width</option>';
+    controlsHTML += '<option value="fit-page">Fit page</option>';
+    controlsHTML += '<option value="actual">Actual size</option>';
+    [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4].forEach((level) => {
+      controlsHTML += `<option value="${level}">${level * 100}%</option>`;
+    });
+    controlsHTML += '</select>';
+    controlsHTML += '<button class="pdfagogo-zoom-in" aria-label="Zoom in">+</button>';
+    controlsHTML += '</span>';
+  }
+  const canRotate = typeof viewer.rotate === "function";
+  if (featureOptions.showRotate && canRotate) {
+    controlsHTML += '<span class="pdfagogo-rotate-controls" role="group" aria-label="Rotate">';
+    controlsHTML += '<button class="pdfagogo-rotate-left" aria-label="Rotate all pages counter-clockwise" title="Rotate all pages counter-clockwise">&#x21BA;</button>';
+    controlsHTML += '<button class="pdfagogo-rotate-right" aria-label="Rotate all pages clockwise" title="Rotate all pages clockwise">&#x21BB;</button>';
+    controlsHTML += '<button class="pdfagogo-rotate-page" aria-label="Rotate the current page clockwise">Rotate page</button>';
+    controlsHTML += '</span>';
+  }
+  const canTheme = typeof viewer.setTheme === "function";
+  if (featureOptions.showTheme && canTheme) {
+    controlsHTML += '<span class="pdfagogo-theme-controls">';
+    controlsHTML += '<select class="pdfagogo-theme-select" aria-label="Page colours" title="Page colours">';
+    controlsHTML += '<option value="auto">Auto colours</option>';
+    controlsHTML += '<option value="normal">Normal</option>';
+    controlsHTML += '<option value="dark">Dark</option>';
+    controlsHTML += '<option value="sepia">Sepia</option>';
+    controlsHTML += '<option value="high-contrast">High contrast</option>';
+    controlsHTML += '</select>';
+    controlsHTML += '</span>';
+  }
   controls.innerHTML = controlsHTML;
   container.parentNode.insertBefore(
     controls,
     container.nextSibling
   );
+  injected.push(controls);
 
   // Page announcement for screen readers
-  let pageAnnouncement = document.querySelector(".pdfagogo-page-announcement");
-  if (!pageAnnouncement) {
-    pageAnnouncement = document.createElement("div");
-    pageAnnouncement.className = "pdfagogo-page-announcement";
-    pageAnnouncement.style.position = "absolute";
-    pageAnnouncement.style.left = "-9999px";
-    pageAnnouncement.style.top = "auto";
-    pageAnnouncement.style.width = "1px";
-    pageAnnouncement.style.height = "1px";
-    pageAnnouncement.style.overflow = "hidden";
-    pageAnnouncement.setAttribute("aria-live", "polite");
-    container.parentNode.insertBefore(
-      pageAnnouncement,
-      controls.nextSibling
-    );
-  }
+  const pageAnnouncement = document.createElement("div");
+  pageAnnouncement.className = "pdfagogo-page-announcement";
+  pageAnnouncement.style.position = "absolute";
+  pageAnnouncement.style.left = "-9999px";
+  pageAnnouncement.style.top = "auto";
+  pageAnnouncement.style.width = "1px";
+  pageAnnouncement.style.height = "1px";
+  pageAnnouncement.style.overflow = "hidden";
+  pageAnnouncement.setAttribute("aria-live", "polite");
+  container.parentNode.insertBefore(
+    pageAnnouncement,
+    controls.nextSibling
+  );
+  injected.push(pageAnnouncement);
 
   // Accessibility instructions
-  let a11yInstructions = document.querySelector(".pdfagogo-a11y-instructions");
-  if (!a11yInstructions) {
-    a11yInstructions = document.createElement("div");
-    a11yInstructions.className = "pdfagogo-a11y-instructions";
-    a11yInstructions.setAttribute("aria-live", "polite");
-    a11yInstructions.innerHTML = `
-      <strong>Accessibility:</strong><br>
-      - Use <kbd>Tab</kbd> to focus the reader.<br>
-      - Use <kbd>Left Arrow</kbd> or click/tap the left side to go to the previous page.<br>
-      - Use <kbd>Right Arrow</kbd> or click/tap the right side to go to the next page.<br>
-      - Use <kbd>+</kbd> or <kbd>-</kbd> to zoom in/out.<br>
-      - Use the buttons below for navigation, sharing, and searching.<br>
-      - The current page is announced for screen readers.
-    `;
-    container.parentNode.insertBefore(
-      a11yInstructions,
-      pageAnnouncement.nextSibling
-    );
-  }
+  const a11yInstructions = document.createElement("div");
+  a11yInstructions.className = "pdfagogo-a11y-instructions";
+  a11yInstructions.setAttribute("aria-live", "polite");
+  a11yInstructions.innerHTML = `
+    <strong>Accessibility:</strong><br>
+    - Use <kbd>Tab</kbd> to focus the reader.<br>
+    - Use <kbd>Left Arrow</kbd> or click/tap the left side to go to the previous page.<br>
+    - Use <kbd>Right Arrow</kbd> or click/tap the right side to go to the next page.<br>
+    - Use <kbd>+</kbd> or <kbd>-</kbd> to zoom in/out.<br>
+    - Use the buttons below for navigation, sharing, and searching.<br>
+    - The current page is announced for screen readers.
+  `;
+  container.parentNode.insertBefore(
+    a11yInstructions,
+    pageAnnouncement.nextSibling
+  );
+  injected.push(a11yInstructions);
 
   // Track the current page number using the 'seen' event
   let currentPage = 0;
@@ -371,8 +628,8 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
   // --- Event wiring and logic ---
 
   // Navigation buttons
-  const prevBtn = document.querySelector(".pdfagogo-prev");
-  const nextBtn = document.querySelector(".pdfagogo-next");
+  const prevBtn = controls.querySelector(".pdfagogo-prev");
+  const nextBtn = controls.querySelector(".pdfagogo-next");
   if (nextBtn) nextBtn.onclick = () => viewer.flip_forward();
   if (prevBtn) prevBtn.onclick = () => viewer.flip_back();
   if (!featureOptions.showPrevNext) {
@@ -381,31 +638,44 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
   }
 
   // Share button
-  const shareBtn = document.querySelector(".pdfagogo-share");
+  const shareBtn = controls.querySelector(".pdfagogo-share");
   if (shareBtn)
     shareBtn.onclick = () => {
       const page = currentPage + 1;
-      const shareUrl = `${window.location.origin}${window.location.pathname}#pdf-page=${page}`;
+      const rotation = getRotationParam();
+      const shareUrl = `${window.location.origin}${window.location.pathname}#${hashKey}=${page}` +
+        (rotation ? `&${rotationKey}=${rotation}` : "");
       navigator.clipboard.writeText(shareUrl);
       alert("Share link copied to clipboard:\n" + shareUrl);
     };
 
   // Download button
-  const downloadBtn = document.querySelector(".pdfagogo-download");
+  const downloadBtn = controls.querySelector(".pdfagogo-download");
   if (downloadBtn) {
-    downloadBtn.onclick = () => {
+    downloadBtn.onclick = async () => {
       const link = document.createElement('a');
-      link.href = featureOptions.pdfUrl;
-      link.target = '_blank';
+      let objectUrl = null;
+      if (featureOptions.pdfUrl) {
+        link.href = featureOptions.pdfUrl;
+        link.target = '_blank';
+      } else {
+        // PDFs loaded from bytes, Blobs or data URLs have no URL to link to,
+        // so download the loaded document's data instead
+        const data = await pdf.getData();
+        objectUrl = URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+        link.href = objectUrl;
+        link.download = featureOptions.downloadName || 'document.pdf';
+      }
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
+      if (objectUrl) setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
     };
   }
 
   // Page selector
-  const gotoPageInput = document.querySelector(".pdfagogo-goto-page");
-  const gotoBtn = document.querySelector(".pdfagogo-goto-btn");
+  const gotoPageInput = controls.querySelector(".pdfagogo-goto-page");
+  const gotoBtn = controls.querySelector(".pdfagogo-goto-btn");
   function setPageByNumber(pageNum) {
     if (!viewer || !book) return;
     if (
@@ -440,23 +710,141 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
   }
 
   // Current page indicator
-  const pageIndicator = document.querySelector(
+  const pageIndicator = controls.querySelector(
     ".pdfagogo-page-indicator"
   );
   function updatePage(n) {
     currentPage = parseInt(n);
     const totalPages = book.numPages();
+    const spread = getShownPages();
+    if (spread.length === 2) {
+      const [left, right] = spread.map((ndx) => ndx + 1);
+      if (pageIndicator)
+        pageIndicator.textContent = `Pages ${left}–${right} / ${totalPages}`;
+      if (pageAnnouncement)
+        pageAnnouncement.textContent = `Pages ${left} and ${right} of ${totalPages}`;
+      return;
+    }
     if (pageIndicator)
       pageIndicator.textContent = `Page: ${currentPage} / ${totalPages}`;
     if (pageAnnouncement)
       pageAnnouncement.textContent = `Page ${currentPage} of ${totalPages}`;
   }
+  // Zero-based indices of the pages on screen: the current page, or its spread
+  function getShownPages() {
+    if (currentPage < 1 || typeof viewer.getSpreadPages !== "function") {
+      return [currentPage - 1];
+    }
+    return viewer.getSpreadPages(currentPage - 1);
+  }
   viewer.on("seen", updatePage);
+  // Spreads fall back to single pages on narrow viewers, and back again
+  viewer.on("spreadChanged", () => {
+    updatePage(currentPage);
+    updateNavArrows();
+  });
   updatePage(0);
   if (!featureOptions.showCurrentPage) {
     if (pageIndicator) pageIndicator.style.display = "none";
   }
 
+  // Zoom controls
+  const zoomInBtn = controls.querySelector(".pdfagogo-zoom-in");
+  const zoomOutBtn = controls.querySelector(".pdfagogo-zoom-out");
+  const zoomSelect = controls.querySelector(".pdfagogo-zoom-select");
+  function updateZoom({ zoom, mode }) {
+    if (!zoomSelect) return;
+    const option = zoomSelect.querySelector(`option[value="${mode || zoom}"]`);
+    if (option) {
+      zoomSelect.value = option.value;
+    } else {
+      // Levels set by ctrl + wheel or zoomIn()/zoomOut() aren't in the list
+      const custom = zoomSelect.querySelector('option[value="custom"]');
+      custom.textContent = `${Math.round(zoom * 100)}%`;
+      zoomSelect.value = "custom";
+    }
+  }
+  if (zoomInBtn) zoomInBtn.onclick = () => viewer.zoomIn();
+  if (zoomOutBtn) zoomOutBtn.onclick = () => viewer.zoomOut();
+  if (zoomSelect) {
+    zoomSelect.addEventListener("change", () => {
+      const value = zoomSelect.value;
+      if (value === "custom") return;
+      viewer.setZoom(isNaN(parseFloat(value)) ? value : parseFloat(value));
+    });
+  }
+  if (canZoom) {
+    viewer.on("zoomChanged", updateZoom);
+    updateZoom({ zoom: viewer.zoom, mode: viewer.zoomMode });
+  }
+
+  // Rotate controls
+  const rotateLeftBtn = controls.querySelector(".pdfagogo-rotate-left");
+  const rotateRightBtn = controls.querySelector(".pdfagogo-rotate-right");
+  const rotatePageBtn = controls.querySelector(".pdfagogo-rotate-page");
+  if (rotateLeftBtn) rotateLeftBtn.onclick = () => viewer.rotate(-90);
+  if (rotateRightBtn) rotateRightBtn.onclick = () => viewer.rotate(90);
+  if (rotatePageBtn) rotatePageBtn.onclick = () => viewer.rotate(90, { page: viewer.currentPage });
+
+  // Rotation is kept in the hash as the document's rotation followed by any
+  // rotated pages (1-based), e.g. `pdf-page-rotation=90,3:180`
+  const rotationKey = `${hashKey}-rotation`;
+  let applyingRotation = false;
+  function getRotationParam() {
+    if (!canRotate) return null;
+    const parts = [String(viewer.rotation)];
+    Object.keys(viewer.pageRotations).forEach((ndx) => {
+      parts.push(`${Number(ndx) + 1}:${viewer.pageRotations[ndx]}`);
+    });
+    return parts.length > 1 || viewer.rotation ? parts.join(",") : null;
+  }
+  function applyRotationParam() {
+    const value = getHashParam(rotationKey);
+    if (!canRotate || (value || null) === getRotationParam()) return;
+    const [documentRotation, ...pages] = (value || "0").split(",");
+    const isRotation = (degrees) => !isNaN(degrees) && degrees % 90 === 0;
+    const rotations = {};
+    pages.forEach((entry) => {
+      const [pageNum, degrees] = entry.split(":").map((part) => parseInt(part, 10));
+      if (pageNum >= 1 && pageNum <= book.numPages() && isRotation(degrees)) rotations[pageNum - 1] = degrees;
+    });
+    applyingRotation = true;
+    try {
+      const degrees = parseInt(documentRotation, 10);
+      viewer.setRotation(isRotation(degrees) ? degrees : 0);
+      Object.keys(viewer.pageRotations).forEach((ndx) => {
+        if (!(ndx in rotations)) viewer.setRotation(0, { page: Number(ndx) });
+      });
+      Object.keys(rotations).forEach((ndx) => viewer.setRotation(rotations[ndx], { page: Number(ndx) }));
+    } finally {
+      applyingRotation = false;
+    }
+    setHashParam(rotationKey, getRotationParam(), { replace: true });
+  }
+  // Turning pages doesn't add to the history or move away from the page
+  if (canRotate) {
+    viewer.on("rotationChanged", () => {
+      if (!applyingRotation) setHashParam(rotationKey, getRotationParam(), { replace: true });
+    });
+  }
+
+  // Page colours
+  const themeSelect = controls.querySelector(".pdfagogo-theme-select");
+  if (themeSelect) {
+    themeSelect.value = viewer.getTheme().mode;
+    themeSelect.addEventListener("change", () => viewer.setTheme(themeSelect.value));
+    viewer.on("themeChanged", ({ mode }) => {
+      themeSelect.value = mode;
+    });
+  }
+
+  // Thumbnail sidebar; the flipbook viewer has none
+  if (featureOptions.showThumbnails && typeof viewer.renderThumbnail === "function") {
+    const thumbnails = new ThumbnailPanel(container, viewer);
+    injected.push(thumbnails.element);
+    viewer.once("destroy", () => thumbnails.destroy());
+  }
+
   // SEARCH FUNCTIONALITY
   let matchPages = [];
   let currentMatchIdx = 0;
@@ -466,7 +854,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     matchPages = [];
     currentMatchIdx = 0;
     matchHighlights = {};
-    window.__pdfagogo__highlights = {};
+    viewer.highlights = {};
     for (let i = 0; i < pdf.numPages; i++) {
       const page = await pdf.getPage(i + 1);
       const textContent = await page.getTextContent();
@@ -481,13 +869,15 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
           const itemText = item.str.toLowerCase();
           const idx = itemText.indexOf(query);
           if (idx !== -1) {
+            // Cover the line from just below the baseline (descenders) to
+            // the top of the text
             const x = item.transform[4];
-            const y = item.transform[5] - (item.height || 10);
+            const height = item.height || 10;
             boxes.push({
               x: x,
-              y: y,
+              y: item.transform[5] - height * 0.25,
               width: item.width,
-              height: item.height || 10,
+              height: height * 1.25,
             });
           }
         }
@@ -497,7 +887,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
   }
   function showMatch(idx) {
     if (matchPages.length === 0) {
-      window.__pdfagogo__highlights = {};
+      viewer.highlights = {};
       return;
     }
     currentMatchIdx =
@@ -506,16 +896,16 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     const pageIdx = matchPages[currentMatchIdx];
     // Highlight only the current match
     const highlights = matchHighlights[pageIdx] || [];
-    // Set global highlights for viewer
-    window.__pdfagogo__highlights = {};
-    window.__pdfagogo__highlights[pageIdx] = highlights;
+    // Set highlights for this viewer only
+    viewer.highlights = {};
+    viewer.highlights[pageIdx] = highlights;
     setPageByNumber(pageNum);
     // Only re-render the current and previous match pages
     if (typeof viewer.rerenderPage === 'function') {
       viewer.rerenderPage(pageIdx);
       if (prevMatchPage !== null && prevMatchPage !== pageIdx) {
         // Clear highlights for previous page and re-render
-        window.__pdfagogo__highlights[prevMatchPage] = [];
+        viewer.highlights[prevMatchPage] = [];
         viewer.rerenderPage(prevMatchPage);
       }
       prevMatchPage = pageIdx;
@@ -561,19 +951,35 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     if (searchControls) searchControls.style.display = "none";
   }
 
+  // viewer.load() swapped in another document: keep the controls, but point
+  // them at the new document and forget the old search
+  viewer.on("documentChanged", function (event) {
+    book = event.book;
+    pdf = book.pdf;
+    matchPages = [];
+    currentMatchIdx = 0;
+    matchHighlights = {};
+    prevMatchPage = null;
+    if (searchResult) searchResult.textContent = "";
+    // The new document starts unrotated
+    if (getHashParam(rotationKey) !== null) setHashParam(rotationKey, null, { replace: true });
+    updatePage(0);
+    updateNavArrows();
+  });
+
   // Keyboard navigation for accessibility
-  container.addEventListener("keydown", function (event) {
+  listen(container, "keydown", function (event) {
     if (event.key === "ArrowLeft") {
       viewer.flip_back();
       event.preventDefault();
     } else if (event.key === "ArrowRight") {
       viewer.flip_forward();
       event.preventDefault();
-    } else if (event.key === "+" || event.key === "=") {
-      // No zoom in scroll mode
+    } else if (canZoom && (event.key === "+" || event.key === "=")) {
+      viewer.zoomIn();
       event.preventDefault();
-    } else if (event.key === "-") {
-      // No zoom in scroll mode
+    } else if (canZoom && event.key === "-") {
+      viewer.zoomOut();
       event.preventDefault();
     }
   });
@@ -583,12 +989,13 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     if (!prevBtn || !nextBtn) return;
     let isFirst, isLast;
     isFirst = currentPage === 0;
-    isLast = currentPage >= pdf.numPages;
+    const shown = getShownPages();
+    isLast = shown[shown.length - 1] + 1 >= pdf.numPages;
     prevBtn.style.visibility = isFirst ? 'hidden' : '';
     nextBtn.style.visibility = isLast ? 'hidden' : '';
     setTimeout(() => {
-      const leftHint = document.querySelector('.pdfagogo-hint-left');
-      const rightHint = document.querySelector('.pdfagogo-hint-right');
+      const leftHint = container.querySelector('.pdfagogo-hint-left');
+      const rightHint = container.querySelector('.pdfagogo-hint-right');
       if (leftHint) leftHint.style.display = isFirst ? 'none' : '';
       if (rightHint) rightHint.style.display = isLast ? 'none' : '';
     }, 100);
@@ -598,8 +1005,10 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
 
   // Dynamically add overlay hint zones for click navigation
   setTimeout(() => {
-    let leftZone = document.querySelector('.pdfagogo-hint-left');
-    let rightZone = document.querySelector('.pdfagogo-hint-right');
+    // The controls were removed (e.g. the viewer was destroyed) in the meantime
+    if (container.pdfagogoControls !== injected) return;
+    let leftZone = container.querySelector('.pdfagogo-hint-left');
+    let rightZone = container.querySelector('.pdfagogo-hint-right');
     if (!leftZone) {
       leftZone = document.createElement("div");
       leftZone.className = "pdfagogo-hint-zone pdfagogo-hint-left";
@@ -609,6 +1018,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
       leftArrow.innerHTML = "&#8592;";
       leftZone.appendChild(leftArrow);
       container.appendChild(leftZone);
+      injected.push(leftZone);
     }
     if (!rightZone) {
       rightZone = document.createElement("div");
@@ -619,6 +1029,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
       rightArrow.innerHTML = "&#8594;";
       rightZone.appendChild(rightArrow);
       container.appendChild(rightZone);
+      injected.push(rightZone);
     }
     leftZone.addEventListener("mouseenter", () => leftZone.classList.add("active"));
     leftZone.addEventListener("mouseleave", () => leftZone.classList.remove("active"));
@@ -630,9 +1041,9 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
 
   // --- Hash-based page navigation ---
   function getPageFromHash() {
-    const match = window.location.hash.match(/pdf-page=(\d+)/);
-    if (match) {
-      const pageNum = parseInt(match[1], 10);
+    const value = getHashParam(hashKey);
+    if (value) {
+      const pageNum = parseInt(value, 10);
       if (!isNaN(pageNum) && pageNum >= 1 && pageNum <= pdf.numPages) {
         return pageNum;
       }
@@ -642,32 +1053,39 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
   function goToHashPage() {
     // console.log('goToHashPage');
     const pageNum = getPageFromHash();
-    if (pageNum) {
+    // Ignore hash changes made for other viewers on the page
+    if (pageNum && pageNum !== currentPage) {
       setTimeout(() => {
         // console.log('goToHashPage', pageNum);
         setPageByNumber(pageNum);
-        window.__pdfagogo__pageSetBy = 'hash';
+        viewer.pageSetBy = 'hash';
       }, 200);
     }
   }
-  // Wait for initial render before going to hash page
-  viewer.on('initialRenderComplete', () => {
+  // Wait for initial render before going to hash page; the hash only
+  // applies to the first document, not to ones opened with viewer.load()
+  viewer.once('initialRenderComplete', () => {
     console.log('initialRenderComplete');
+    applyRotationParam();
     goToHashPage();
   });
 
   // Listen for hash changes
-  window.addEventListener("hashchange", goToHashPage);
-  // If no hash, use defaultPage from options
+  listen(window, "hashchange", goToHashPage);
+  listen(window, "hashchange", applyRotationParam);
+  // When navigating to a page, update the hash
+  const originalSetPageByNumber = setPageByNumber;
+  // If no hash, use defaultPage from options, once the pages are laid out
+  // so it lands on the right page; it doesn't change the hash
   if (!getPageFromHash() && featureOptions.defaultPage) {
     const defPage = parseInt(featureOptions.defaultPage, 10);
     if (!isNaN(defPage) && defPage >= 1 && defPage <= pdf.numPages) {
-      setPageByNumber(defPage);
-      window.__pdfagogo__pageSetBy = 'defaultPage';
+      viewer.once('initialRenderComplete', () => {
+        originalSetPageByNumber(defPage);
+        viewer.pageSetBy = 'defaultPage';
+      });
     }
   }
-  // When navigating to a page, update the hash
-  const originalSetPageByNumber = setPageByNumber;
   setPageByNumber = function(pageNum) {
     if (!viewer || !pdf) return;
     if (
@@ -679,7 +1097,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
       alert("Invalid page number");
       return;
     }
-    window.location.hash = `pdf-page=${pageNum}`;
+    setHashParam(hashKey, pageNum);
     originalSetPageByNumber(pageNum);
   };
 
@@ -693,6 +1111,7 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
     resizeGrip.setAttribute("aria-label", "Resize PDF viewer");
     resizeGrip.setAttribute("title", "Drag to resize PDF viewer height");
     container.appendChild(resizeGrip);
+    injected.push(resizeGrip);
 
     let isResizing = false;
     let startY = 0;
@@ -709,8 +1128,8 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
       document.body.style.cursor = 'ns-resize';
       document.addEventListener('mousemove', onMouseMove);
       document.addEventListener('mouseup', onMouseUp);
-      // document.addEventListener('touchmove', onMouseMove, { passive: false });
-      // document.addEventListener('touchend', onMouseUp);
+      document.addEventListener('touchmove', onMouseMove, { passive: false });
+      document.addEventListener('touchend', onMouseUp);
       e.preventDefault();
     }
 
@@ -729,26 +1148,27 @@ export function setupControls(container, featureOptions, viewer, book, pdf) {
 
     /**
      * Handler for when the user releases the resize grip (mouse/touch up).
-     * Cleans up event listeners, redraws the PDF pages, and restores the scroll position to the current page.
+     * Cleans up event listeners, refits this viewer's pages, and restores the scroll position to the current page.
      */
-    async function onMouseUp(e) {
+    function onMouseUp(e) {
+      if (!isResizing) return;
       isResizing = false;
       document.body.style.cursor = '';
-      // document.removeEventListener('mousemove', onMouseMove);
-      // document.removeEventListener('mouseup', onMouseUp);
-      // document.removeEventListener('touchmove', onMouseMove);
-      // document.removeEventListener('touchend', onMouseUp);
+      // Detach the document-level listeners so releasing the mouse elsewhere
+      // on the page (e.g. over another viewer) does not redraw this one
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      document.removeEventListener('touchmove', onMouseMove);
+      document.removeEventListener('touchend', onMouseUp);
       // Only redraw after resizing ends
       // Store the current page index so we can restore the scroll position after redraw
       let currentPage = (typeof viewer.showNdx === 'number') ? viewer.showNdx : (viewer.currentPage || 0);
 
-      // Trigger window resize event to redraw pages at new dimensions
-      window.dispatchEvent(new Event('resize'));
-
-      // Restore the scroll position to the same page after resizing
-      if (typeof viewer?.go_to_page === 'function') {
-        viewer.go_to_page(currentPage);
-      }
+      // Only this viewer changed size, so refit it alone, then go back to
+      // the same page once the pages have their new sizes
+      viewer.refit().then(() => {
+        if (!viewer.destroyed) viewer.go_to_page(currentPage);
+      });
       e.preventDefault();
     }
 